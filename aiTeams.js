@@ -0,0 +1,100 @@
+// =================================================================
+// 🧠 AI FRANCHISES (Fill empty team slots)
+// =================================================================
+// Unclaimed franchises the host marks as AI bid on their own and pick their
+// XI automatically. Ratings come from player.stats (see getPlayerStats in
+// playerPool.js). Bids still go through validateBid() like any other team.
+
+const { getRoleGroup } = require("./autoBid");
+
+// Share of the minimum squad an AI aims to fill per role
+const AI_SQUAD_PLAN = { batter: 0.3, wk: 0.1, allrounder: 0.25, bowler: 0.35 };
+// A star may take up to this many "average slots" of the remaining purse
+const STAR_SLOT_SHARE = 3;
+
+const isForeign = (p) => p && p.playerType === "Foreign";
+
+// 0-100 rating for the player's main job
+function rateAiPlayer(player) {
+  const stats = player.stats || {};
+  const bat = stats.bat || 50;
+  const bowl = stats.bowl || 50;
+  const role = getRoleGroup(player.roleKey);
+  if (role === "bowler") return bowl;
+  if (role === "allrounder") return Math.min(100, (bat + bowl) / 2 + 5);
+  return bat;
+}
+
+// Stable per-team taste (0.85 - 1.15) so AI teams don't all stop at one price
+function getTeamTaste(team, player) {
+  const key = team.bidKey + ":" + player.name;
+  let hash = 0;
+  for (let i = 0; i < key.length; i++)
+    hash = (hash * 31 + key.charCodeAt(i)) % 1000003;
+  return 0.85 + (hash % 31) / 100;
+}
+
+// Most this AI team will pay for `player` (0 = not interested)
+function getAiBidLimit(team, player, rules) {
+  const roster = team.roster || [];
+  const role = getRoleGroup(player.roleKey);
+
+  const target = Math.ceil((AI_SQUAD_PLAN[role] || 0) * rules.minSquad);
+  const have = roster.filter((p) => getRoleGroup(p.roleKey) === role).length;
+  const roleFilled = have >= target;
+  // Squad complete and role covered: nothing left to shop for
+  if (roleFilled && roster.length >= rules.minSquad) return 0;
+
+  // Needed roles are paid for by rating; filled roles only at base price
+  const rating = rateAiPlayer(player);
+  const premium = roleFilled
+    ? 0
+    : Math.max(0, rating - 60) ** 2 * 100000 * getTeamTaste(team, player);
+
+  const slotsLeft = Math.max(1, rules.minSquad - roster.length);
+  const purseCap = (team.budget / slotsLeft) * STAR_SLOT_SHARE;
+
+  return Math.floor(Math.min(player.basePrice + premium, purseCap));
+}
+
+// Best XI within the room's playing XI rules, plus impact player & captain
+function pickAiSquad(roster, rules) {
+  const xiRules = rules.playingXI;
+  const ranked = [...roster].sort((a, b) => rateAiPlayer(b) - rateAiPlayer(a));
+  const xi = [];
+
+  const canAdd = (p) =>
+    xi.length < 11 &&
+    !xi.includes(p) &&
+    (!isForeign(p) || xi.filter(isForeign).length < xiRules.maxForeign);
+
+  const take = (role, count) => {
+    ranked
+      .filter((p) => getRoleGroup(p.roleKey) === role)
+      .forEach((p) => {
+        if (count > 0 && canAdd(p)) {
+          xi.push(p);
+          count--;
+        }
+      });
+  };
+
+  // Keepers first, then a bowling attack, then the best of the rest
+  take("wk", xiRules.minKeepers);
+  take("bowler", 4);
+  take("allrounder", 2);
+  ranked.forEach((p) => canAdd(p) && xi.push(p));
+
+  const impact = xiRules.impactPlayer
+    ? ranked.find((p) => !xi.includes(p)) || null
+    : null;
+  const captain = ranked.find((p) => xi.includes(p));
+
+  return {
+    playing11: xi,
+    impact,
+    captain: captain ? captain.name : null,
+  };
+}
+
+module.exports = { rateAiPlayer, getAiBidLimit, pickAiSquad };
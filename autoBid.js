@@ -0,0 +1,105 @@
+// =================================================================
+// 🤖 AUTO-BID AGENTS (Proxy bidding for absent owners)
+// =================================================================
+// An owner can hand their franchise to an agent. Config shape:
+//   maxByPlayer { playerName: amount }
+//   maxBySet    { setName: amount }
+//   maxByRole   { batter | wk | allrounder | bowler: amount }
+//   needs       { role: count }  -> shopping list, optional
+// The most specific limit wins (player > set > role). With a needs list the
+// agent only chases set/role lots for roles the squad is still short of.
+// Bids themselves go through validateBid() like any human bid.
+
+const ROLE_GROUPS = ["batter", "wk", "allrounder", "bowler"];
+const MAX_NEED = 50;
+
+const normalizeName = (name) => (name || "").toString().trim().toLowerCase();
+const hasKey = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Fast bowlers, spinners & domestic bowlers all count as "bowler"
+function getRoleGroup(roleKey) {
+  const key = normalizeName(roleKey);
+  if (key === "fast" || key === "spinner" || key === "bowler") return "bowler";
+  return ROLE_GROUPS.includes(key) ? key : null;
+}
+
+function readAmounts(source, label, errors) {
+  const result = {};
+  if (source === undefined) return result;
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    errors.push(`${label} must be an object of name: amount`);
+    return result;
+  }
+  Object.entries(source).forEach(([key, amount]) => {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      errors.push(`${label}.${key} must be a positive whole number`);
+      return;
+    }
+    result[key.trim()] = amount;
+  });
+  return result;
+}
+
+// Returns { config, errors }. config is only safe to use when errors is empty.
+function validateAutoBidConfig(input = {}) {
+  const errors = [];
+  const source = input && typeof input === "object" ? input : {};
+
+  const config = {
+    maxByPlayer: readAmounts(source.maxByPlayer, "maxByPlayer", errors),
+    maxBySet: readAmounts(source.maxBySet, "maxBySet", errors),
+    maxByRole: readAmounts(source.maxByRole, "maxByRole", errors),
+    needs: {},
+  };
+
+  Object.keys(config.maxByRole).forEach((role) => {
+    if (!ROLE_GROUPS.includes(role))
+      errors.push(`maxByRole.${role} is not a role (${ROLE_GROUPS.join(", ")})`);
+  });
+
+  Object.entries(source.needs || {}).forEach(([role, count]) => {
+    if (!ROLE_GROUPS.includes(role))
+      return errors.push(`needs.${role} is not a role (${ROLE_GROUPS.join(", ")})`);
+    if (!Number.isInteger(count) || count < 0 || count > MAX_NEED)
+      return errors.push(`needs.${role} must be a whole number between 0 and ${MAX_NEED}`);
+    if (count > 0) config.needs[role] = count;
+  });
+
+  const limits =
+    Object.keys(config.maxByPlayer).length +
+    Object.keys(config.maxBySet).length +
+    Object.keys(config.maxByRole).length;
+  if (limits === 0) errors.push("Set at least one max price for the agent");
+
+  return { config, errors };
+}
+
+// Most the agent will pay for `player`, or 0 if it should not bid at all
+function getAutoBidLimit(config, team, player) {
+  if (!config || !player) return 0;
+  // A named target is chased even if the needs list says the role is full
+  const name = normalizeName(player.name);
+  const playerKey = Object.keys(config.maxByPlayer).find(
+    (k) => normalizeName(k) === name
+  );
+  if (playerKey) return config.maxByPlayer[playerKey];
+
+  const role = getRoleGroup(player.roleKey);
+  if (Object.keys(config.needs).length > 0) {
+    const have = (team.roster || []).filter(
+      (p) => getRoleGroup(p.roleKey) === role
+    ).length;
+    if (have >= (config.needs[role] || 0)) return 0;
+  }
+
+  if (hasKey(config.maxBySet, player.set)) return config.maxBySet[player.set];
+  if (role && hasKey(config.maxByRole, role)) return config.maxByRole[role];
+  return 0;
+}
+
+module.exports = {
+  ROLE_GROUPS,
+  getRoleGroup,
+  validateAutoBidConfig,
+  getAutoBidLimit,
+};
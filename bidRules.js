@@ -0,0 +1,134 @@
+// =================================================================
+// 🛡️ BID VALIDATION (Server Authority)
+// =================================================================
+// Every bid goes through validateBid() before it touches room state.
+// Rejections are structured { code, message, ... } so the client can react
+// per code instead of parsing free text.
+
+const { DEFAULT_ROOM_RULES } = require("./roomRules");
+
+// Fallback reserve per empty slot when the queue has no base prices to go by
+const DEFAULT_RESERVE_PRICE = 2500000;
+
+const BID_ERRORS = {
+  AUCTION_CLOSED: "Bidding is closed for this lot.",
+  NOT_AUTHORIZED: "Authorization Failed",
+  ALREADY_HIGHEST: "You already hold the highest bid.",
+  SQUAD_FULL: "Squad full! Max players reached.",
+  FOREIGN_QUOTA_FULL: "Foreign quota full!",
+  BID_TOO_LOW: "Bid too low!",
+  OFF_SLAB_BID: "Jump bids must land on the increment slabs.",
+  INSUFFICIENT_PURSE: "No Budget!",
+  MAX_BID_EXCEEDED: "Bid exceeds your max bid (purse reserved to fill squad).",
+};
+
+function bidError(code, extra = {}) {
+  return { code, message: BID_ERRORS[code], ...extra };
+}
+
+// Raise required on top of `amount`, from the room's increment slab table
+function getIncrement(amount, slabs = DEFAULT_ROOM_RULES.incrementSlabs) {
+  const slab = slabs.find((s) => s.upTo === null || amount < s.upTo);
+  return (slab || slabs[slabs.length - 1]).step;
+}
+
+// The only legal amount for a plain "bid" click: base price opens, slabs after
+function getNextBid(room, rules = DEFAULT_ROOM_RULES) {
+  if (!room.currentPlayer) return 0;
+  if (!room.currentBidder) return room.currentPlayer.basePrice;
+  return room.currentBid + getIncrement(room.currentBid, rules.incrementSlabs);
+}
+
+// True if `amount` is reachable from `from` by whole slab steps. Works a slab
+// band at a time, so the cost depends on the slab count, not the amount.
+function isOnSlabLadder(from, amount, slabs) {
+  let step = from;
+  while (step < amount) {
+    const slab = slabs.find((s) => s.upTo === null || step < s.upTo) || slabs[slabs.length - 1];
+    const bandEnd = slab.upTo === null ? amount : Math.min(amount, slab.upTo);
+    step += Math.ceil((bandEnd - step) / slab.step) * slab.step;
+  }
+  return step === amount;
+}
+
+function isForeign(player) {
+  return player && player.playerType === "Foreign";
+}
+
+// Cheapest base price still to come: what each empty squad slot must reserve
+function getReservePrice(room) {
+  const upcoming = (room.auctionQueue || []).filter(
+    (p) => !p.status && p !== room.currentPlayer && p.basePrice > 0
+  );
+  if (upcoming.length === 0) return DEFAULT_RESERVE_PRICE;
+  return Math.min(...upcoming.map((p) => p.basePrice));
+}
+
+// Highest amount a team may bid and still afford a minimum squad at base price
+function getMaxBid(room, team, rules = DEFAULT_ROOM_RULES) {
+  const squadSize = (team.roster || []).length;
+  const slotsStillToFill = Math.max(0, rules.minSquad - (squadSize + 1));
+  return team.budget - slotsStillToFill * getReservePrice(room);
+}
+
+// Squad size & foreign quota: shared by bids and RTM eligibility
+function checkSquadRoom(team, player, rules = DEFAULT_ROOM_RULES) {
+  const roster = team.roster || [];
+  if (roster.length >= rules.maxSquad)
+    return bidError("SQUAD_FULL", { limit: rules.maxSquad });
+
+  if (isForeign(player) && roster.filter(isForeign).length >= rules.maxForeign)
+    return bidError("FOREIGN_QUOTA_FULL", { limit: rules.maxForeign });
+
+  return null;
+}
+
+function validateBid(room, team, amount, rules = DEFAULT_ROOM_RULES) {
+  if (
+    !room.state.isActive ||
+    room.timerPaused ||
+    room.sellingInProgress ||
+    !room.currentPlayer
+  )
+    return bidError("AUCTION_CLOSED");
+
+  if (room.currentBidder === team.bidKey) return bidError("ALREADY_HIGHEST");
+
+  return validateBidAmount(room, team, amount, getNextBid(room, rules), rules);
+}
+
+// Squad room, slab ladder, purse & max-bid reserve for an amount on the
+// current lot. Shared by live bids and the RTM final raise.
+function validateBidAmount(room, team, amount, nextBid, rules = DEFAULT_ROOM_RULES) {
+  const squadError = checkSquadRoom(team, room.currentPlayer, rules);
+  if (squadError) return squadError;
+
+  if (!Number.isFinite(amount) || amount < nextBid)
+    return bidError("BID_TOO_LOW", { currentBid: room.currentBid, nextBid });
+
+  // Purse first: keeps absurd amounts away from the slab ladder
+  if (team.budget < amount) return bidError("INSUFFICIENT_PURSE");
+
+  if (
+    amount > nextBid &&
+    !rules.allowJumpBids &&
+    !isOnSlabLadder(nextBid, amount, rules.incrementSlabs)
+  )
+    return bidError("OFF_SLAB_BID", { nextBid });
+
+  const maxBid = getMaxBid(room, team, rules);
+  if (amount > maxBid) return bidError("MAX_BID_EXCEEDED", { maxBid });
+
+  return null;
+}
+
+module.exports = {
+  BID_ERRORS,
+  bidError,
+  checkSquadRoom,
+  getIncrement,
+  getMaxBid,
+  getNextBid,
+  validateBid,
+  validateBidAmount,
+};
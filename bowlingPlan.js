@@ -0,0 +1,144 @@
+// =================================================================
+// 🎯 BOWLING PLANS (Who bowls which over)
+// =================================================================
+// Auto plan: pace with the new ball, spin through the middle and the two
+// best death bowlers saved for overs 16-20. Laws always hold: max 4 overs
+// a bowler and never two overs in a row.
+// Captains may submit their own plan with the squad: 20 entries (one per
+// over), each a Playing XI name or null for "auto". A planned bowler who is
+// bowled out or bowled the previous over falls back to the auto plan.
+
+const { getCatalogueRole, getRating } = require("./playerPool");
+
+const OVERS = 20;
+const MAX_OVERS_PER_BOWLER = 4;
+const DEATH_SPECIALISTS = 2;
+const DEATH_RESERVE = 2; // overs each death specialist keeps back for 16-20
+const MIN_ATTACK = 5;
+
+// Skill bonus by phase & bowler type
+const PHASE_BONUS = {
+  powerplay: { pace: 10, medium: 5, spin: 0 },
+  middle: { pace: 0, medium: 5, spin: 10 },
+  death: { pace: 10, medium: 5, spin: -5 },
+};
+
+// Marquee & domestic bowlers only say "bowler": the catalogue knows pace from spin
+function getBowlerType(roleKey, name) {
+  let r = (roleKey || "").toLowerCase();
+  if (r === "bowler" && name) r = getCatalogueRole(name) || r;
+  if (r.includes("spin")) return "spin";
+  if (r.includes("fast") || r.includes("pace")) return "pace";
+  return "medium";
+}
+
+// 0-based over -> phase. Rain-shortened innings scale the phases (6/9/5 of 20)
+function getOverPhase(over, overs = OVERS) {
+  if (over < Math.ceil(overs * 0.3)) return "powerplay";
+  if (over < overs - Math.ceil(overs * 0.25)) return "middle";
+  return "death";
+}
+
+// One fifth of the innings each: 4 overs in a T20
+const getOverCap = (overs) => Math.ceil(overs / 5);
+
+const isKeeper = (p) => /wk|wicketkeeper/.test((p.roleKey || "").toLowerCase());
+
+const isBowlingOption = (p) => {
+  const r = (p.roleKey || "").toLowerCase();
+  return /bowl|fast|spin|ar|all/.test(r) && !isKeeper(p);
+};
+
+const phaseScore = (p, phase) => getRating(p, "bowl") + PHASE_BONUS[phase][getBowlerType(p.roleKey, p.name)];
+
+// Returns { plan, errors }. plan is null when every over is left on auto.
+function validateBowlingPlan(plan, playing11) {
+  const errors = [];
+  if (plan === undefined || plan === null) return { plan: null, errors };
+  if (!Array.isArray(plan) || plan.length > OVERS) {
+    errors.push(`Bowling plan must list up to ${OVERS} overs`);
+    return { plan: null, errors };
+  }
+
+  const names = (playing11 || []).map((p) => p && p.name);
+  const normalized = Array.from({ length: OVERS }, (_, i) =>
+    plan[i] ? String(plan[i]).trim() || null : null
+  );
+  const counts = {};
+
+  normalized.forEach((name, i) => {
+    if (!name) return;
+    if (!names.includes(name))
+      errors.push(`Over ${i + 1}: ${name} is not in the Playing XI`);
+    if (name === normalized[i - 1])
+      errors.push(`Over ${i + 1}: ${name} can't bowl consecutive overs`);
+    counts[name] = (counts[name] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([name, count]) => {
+    if (count > MAX_OVERS_PER_BOWLER)
+      errors.push(`${name} is planned for ${count} overs (max ${MAX_OVERS_PER_BOWLER})`);
+  });
+
+  return { plan: normalized.some(Boolean) ? normalized : null, errors };
+}
+
+// Short of five real bowlers: the best part-timers (never the keeper) fill in
+function getAttack(xi) {
+  const attack = xi.filter(isBowlingOption);
+  xi.filter((p) => !attack.includes(p) && !isKeeper(p))
+    .sort((a, b) => getRating(b, "bowl") - getRating(a, "bowl"))
+    .slice(0, Math.max(0, MIN_ATTACK - attack.length))
+    .forEach((p) => attack.push(p));
+  return attack;
+}
+
+// The one bowler a captain trusts with the last over (Super Over too)
+const pickDeathBowler = (xi) =>
+  [...getAttack(xi)].sort((a, b) => phaseScore(b, "death") - phaseScore(a, "death"))[0] || xi[0];
+
+// One planner per innings: call nextBowler(over, overs) once per over, in order.
+// overs = the innings' allotted overs, which rain may cut mid-innings
+function createBowlingPlanner(bowlTeam) {
+  const xi = bowlTeam.playing11;
+  const plan = bowlTeam.bowlingPlan || [];
+  const attack = getAttack(xi);
+
+  const deathSpecialists = [...attack]
+    .sort((a, b) => phaseScore(b, "death") - phaseScore(a, "death"))
+    .slice(0, DEATH_SPECIALISTS);
+
+  const oversBowled = {};
+  let lastBowler = null;
+
+  const canBowl = (p, limit) =>
+    !!p && p !== lastBowler && (oversBowled[p.name] || 0) < limit;
+
+  const best = (candidates, phase) =>
+    candidates.sort((a, b) => phaseScore(b, phase) - phaseScore(a, phase))[0];
+
+  return function nextBowler(over, overs = OVERS) {
+    const phase = getOverPhase(over, overs);
+    const cap = getOverCap(overs);
+    const limitFor = (p) =>
+      phase !== "death" && deathSpecialists.includes(p) ? Math.max(1, cap - DEATH_RESERVE) : cap;
+
+    let bowler = xi.find((p) => p.name === plan[over]);
+    if (!canBowl(bowler, cap)) bowler = null;
+    if (!bowler) bowler = best(attack.filter((p) => canBowl(p, limitFor(p))), phase);
+    if (!bowler) bowler = best(attack.filter((p) => canBowl(p, cap)), phase);
+    if (!bowler) bowler = best(xi.filter((p) => canBowl(p, cap) && !isKeeper(p)), phase);
+    if (!bowler) bowler = xi.find((p) => p !== lastBowler) || xi[0];
+
+    oversBowled[bowler.name] = (oversBowled[bowler.name] || 0) + 1;
+    lastBowler = bowler;
+    return bowler;
+  };
+}
+
+module.exports = {
+  getBowlerType,
+  getOverPhase,
+  validateBowlingPlan,
+  createBowlingPlanner,
+  pickDeathBowler,
+};
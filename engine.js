@@ -0,0 +1,1007 @@
+// =================================================================
+// 🚀 UPDATED GAME ENGINE (Strict adherence to your Luck/Role Rules)
+// =================================================================
+// Every random roll comes from the seeded `rng` passed down from
+// runNewLogicSimulation(), so the same teams + seed replay the same season
+// ball for ball. Never call Math.random() in here.
+
+const { createRng, randomSeed } = require("./seededRandom");
+const { createBowlingPlanner, getBowlerType, getOverPhase } = require("./bowlingPlan");
+const { PITCH_TYPES, getHomeVenue, decideToss } = require("./venues");
+const { pickSuperOverSide } = require("./superOver");
+const { getRating } = require("./playerPool");
+const {
+  FULL_OVERS,
+  MIN_OVERS_FOR_RESULT,
+  getResources,
+  getRevisedTarget,
+  rollWeather,
+} = require("./weather");
+
+// 1. Helper to generate Luck (1-10)
+const getLuck = (rng) => Math.floor(rng() * 10) + 1;
+
+
+// Player luck: the luckier of batter & bowler tilts the roll their way.
+// Returns -1 (batter's luck), +1 (bowler's luck) or 0
+function getLuckSwing(batsman, bowler, rng) {
+  const edge = (getRating(bowler, "luck") - getRating(batsman, "luck")) / 50; // 10 points = 20%
+  return rng() < Math.abs(edge) ? Math.sign(edge) : 0;
+}
+
+// A tie that keeps repeating is settled on boundaries after this many
+const MAX_SUPER_OVERS = 5;
+
+// Chance per ball, times the venue's dew factor, that dew helps the batter
+const DEW_SLIP = { spin: 0.3, medium: 0.2, pace: 0.2 };
+
+// Captaincy: leadership = captain's luck + best suit, worth up to ±20% morale.
+// Every ball the gap between the two captains may tilt the roll.
+const MAX_MORALE = 0.2;
+
+function getCaptainMorale(team) {
+  const captain = team.playing11.find((p) => p.name === team.captain);
+  if (!captain) return { name: "None", morale: 0 };
+  const leadership =
+    (getRating(captain, "luck") + Math.max(getRating(captain, "bat"), getRating(captain, "bowl"))) / 2;
+  const morale = Math.max(-MAX_MORALE, Math.min(MAX_MORALE, (leadership - 60) / 200));
+  return { name: captain.name, morale: Math.round(morale * 100) / 100 };
+}
+
+// 2. Define Batting Order Priority
+const ROLE_PRIORITY = {
+  opener: 1,
+  wk: 1, // Wicketkeepers are often top/middle
+  "middle order": 2,
+  batter: 2,
+  finisher: 3,
+  "all-rounder": 4,
+  ar: 4,
+  allrounder: 4,
+  spinner: 5,
+  spin: 5,
+  "fast bowler": 6,
+  bowler: 6,
+  fast: 6,
+  pace: 6,
+};
+
+// Helper to determine order
+const getPriority = (roleKey) => {
+  if (!roleKey) return 99;
+  const lower = roleKey.toLowerCase();
+  for (const key in ROLE_PRIORITY) {
+    if (lower.includes(key)) return ROLE_PRIORITY[key];
+  }
+  return 99;
+};
+
+// 3. The Core Ball-by-Ball Logic
+// 3. The Core Ball-by-Ball Logic (Rebalanced for T20)
+// --- SIMULATION HELPERS ---
+
+const BATTER_PROFILE = {
+  opener: { aggression: 0.6, risk: 0.4 },
+  anchor: { aggression: 0.35, risk: 0.2 }, // Tuned: Slower accumulation
+  finisher: { aggression: 0.9, risk: 0.65 },
+  allrounder: { aggression: 0.55, risk: 0.4 },
+  bowler: { aggression: 0.2, risk: 0.7 },
+};
+
+function getBatterProfile(roleKey) {
+  const r = (roleKey || "").toLowerCase();
+  if (r.includes("finisher")) return BATTER_PROFILE.finisher;
+  if (r.includes("opener")) return BATTER_PROFILE.opener;
+  if (r.includes("all")) return BATTER_PROFILE.allrounder;
+  if (r.includes("bowl") || r.includes("spin") || r.includes("fast"))
+    return BATTER_PROFILE.bowler;
+  return BATTER_PROFILE.anchor;
+}
+
+function getPhase(over) {
+  if (over <= 6) return "powerplay";
+  if (over <= 15) return "middle";
+  return "death";
+}
+
+// ☝️ DISMISSALS (How the wicket fell & who gets the credit)
+const DISMISSAL_WEIGHTS = {
+  pace: { bowled: 22, caught: 52, lbw: 14, stumped: 0, "run out": 9, "hit wicket": 3 },
+  medium: { bowled: 18, caught: 55, lbw: 14, stumped: 2, "run out": 9, "hit wicket": 2 },
+  spin: { bowled: 14, caught: 46, lbw: 16, stumped: 14, "run out": 8, "hit wicket": 2 },
+};
+
+// New ball swings & seams, spinners flight it in the middle, the death is slogs & scrambled twos
+const PHASE_DISMISSAL_SHIFT = {
+  powerplay: { bowled: 5, lbw: 4 },
+  middle: { stumped: 3 },
+  death: { caught: 15, "run out": 8, bowled: 3 },
+};
+
+const CAUGHT_BEHIND = { pace: 0.3, medium: 0.25, spin: 0.1 };
+const CAUGHT_AND_BOWLED = 0.08;
+
+const DISMISSAL_COMMENTARY = {
+  bowled: "OUT! Cleaned him up!",
+  caught: "OUT! Caught!",
+  lbw: "OUT! Plumb in front, LBW!",
+  stumped: "OUT! Stumped, lightning quick hands!",
+  "run out": "OUT! Run out, short of the crease!",
+  "hit wicket": "OUT! Hit wicket, trod on his stumps!",
+};
+
+// Fielding credit -> MVP points (a wicket is worth 25)
+const FIELDING_POINTS = { catches: 8, stumpings: 12, runOuts: 12 };
+
+const surname = (name) => name.trim().split(/\s+/).pop();
+
+// Nobody picked a keeper: the first man in the XI takes the gloves
+const getKeeper = (team) =>
+  team.playing11.find((p) => /wk|wicketkeeper/.test((p.roleKey || "").toLowerCase())) ||
+  team.playing11[0];
+
+// Returns { type, text, bowlerCredit, fielder, credit }
+function getDismissal(bowler, fieldingXI, keeper, phase, rng) {
+  const bowlerType = getBowlerType(bowler.roleKey, bowler.name);
+  const weights = Object.entries(DISMISSAL_WEIGHTS[bowlerType]).map(([type, base]) => [
+    type,
+    base > 0 ? base + (PHASE_DISMISSAL_SHIFT[phase][type] || 0) : 0,
+  ]);
+  let roll = rng() * weights.reduce((sum, [, w]) => sum + w, 0);
+  const type = (weights.find(([, w]) => (roll -= w) < 0) || weights[1])[0];
+
+  const b = surname(bowler.name);
+  const pickFielder = (pool) => pool[Math.floor(rng() * pool.length)];
+  const outfield = fieldingXI.filter((p) => p !== bowler && p !== keeper);
+
+  if (type === "caught") {
+    const r = rng();
+    const fielder =
+      r < CAUGHT_AND_BOWLED
+        ? bowler
+        : r < CAUGHT_AND_BOWLED + CAUGHT_BEHIND[bowlerType] || outfield.length === 0
+        ? keeper
+        : pickFielder(outfield);
+    const text = fielder === bowler ? `c & b ${b}` : `c ${surname(fielder.name)} b ${b}`;
+    return { type, text, bowlerCredit: true, fielder, credit: "catches" };
+  }
+  if (type === "stumped")
+    return { type, text: `st ${surname(keeper.name)} b ${b}`, bowlerCredit: true, fielder: keeper, credit: "stumpings" };
+  if (type === "run out") {
+    const fielder = pickFielder(fieldingXI);
+    return { type, text: `run out (${surname(fielder.name)})`, bowlerCredit: false, fielder, credit: "runOuts" };
+  }
+  const text = type === "bowled" ? `b ${b}` : type === "lbw" ? `lbw b ${b}` : `hit wicket b ${b}`;
+  return { type, text, bowlerCredit: true, fielder: null, credit: null };
+}
+
+// --- NEW REALISTIC ENGINE ---
+// --- FINAL BALL ENGINE (WITH PITCH INFLUENCE) ---
+function simulateBall(batsman, bowler, phase, pitch, luckModifier, rng) {
+  let luck = getLuck(rng);
+
+  luck += luckModifier; // Applied from context
+
+  // Pitch influence
+  luck += pitch.luckShift;
+  if (pitch.spinShift && getBowlerType(bowler.roleKey, bowler.name) === "spin") luck += pitch.spinShift;
+
+  // Bowler skill bias (Skill modifiers to luck)
+  const bowl = getRating(bowler, "bowl");
+  if (bowl > 85) luck += 2;
+  else if (bowl > 75) luck += 1;
+
+  // Phase effect
+  if (phase === "death") luck += 1;
+  if (phase === "powerplay") luck -= 1;
+  
+  // Bowler pressure (Additional small nudge based on raw skill vs random)
+  const bowlBoost = bowl / 100;
+  luck += rng() < bowlBoost ? 1 : 0;
+
+  // Clamp luck to ensure valid range 1-10+ (Logic handles >9 anyway, but let's keep it sane if needed, though high luck = OUT)
+  // Actually, don't clamp high, as high = Wicket. Clamp low to 1.
+  // Clamp luck
+  luck = Math.max(1, luck);
+
+  let result = resolveBall(luck, batsman, pitch, rng);
+
+  // ERROR 3 FIX: Buff Bowler Impact (Reduce runs)
+  if (bowl > 85 && result.legal && !result.wicket) {
+      result.runs = Math.max(0, result.runs - 1);
+      // Update commentary if needed, or simplistic
+  }
+
+  return result;
+}
+
+// What one ball can be at each luck (index 1-9, higher = riskier): weights
+// out of 100. A good batter turns risk into boundaries rather than wickets.
+// Tuned to T20 totals: ~170 in 20 overs, all out one innings in ten or so
+// (see test/engine.test.js).
+const BALL_OUTCOMES = [
+  null,
+  { extra: 40, dot: 40, one: 20 },
+  { extra: 8, dot: 50, one: 35, two: 5, four: 2 },
+  { extra: 4, dot: 40, one: 41, two: 8, four: 5, six: 1, wicket: 1 },
+  { extra: 2, dot: 36, one: 38, two: 9, four: 9, six: 3, wicket: 3 },
+  { extra: 2, dot: 34, one: 34, two: 8, four: 12, six: 4, wicket: 6 },
+  { extra: 1, dot: 34, one: 30, two: 7, four: 13, six: 6, wicket: 9 },
+  { extra: 1, dot: 36, one: 26, two: 6, four: 13, six: 6, wicket: 12 },
+  { extra: 1, dot: 40, one: 22, two: 5, four: 12, six: 7, wicket: 14 },
+  { extra: 1, dot: 44, one: 18, two: 4, four: 11, six: 8, wicket: 17 },
+];
+
+const BALL_COMMENTARY = {
+  dot: "Dot ball.",
+  one: "Single taken.",
+  two: "Good running.",
+  four: "Four runs!",
+  six: "Maximum!",
+};
+const BALL_RUNS = { dot: 0, one: 1, two: 2, four: 4, six: 6 };
+
+function resolveBall(luck, batsman, pitch, rng) {
+  const batBoost = getRating(batsman, "bat") / 100;
+  const weights = { ...BALL_OUTCOMES[Math.min(luck, BALL_OUTCOMES.length - 1)] };
+  // Batter skill (50 = as listed): more boundaries, fewer wickets
+  if (weights.four) weights.four *= 0.25 + 1.5 * batBoost;
+  if (weights.six) weights.six *= 0.25 + 1.5 * batBoost;
+  if (weights.wicket) weights.wicket *= 1.75 - 1.5 * batBoost;
+
+  const entries = Object.entries(weights);
+  let roll = rng() * entries.reduce((sum, [, w]) => sum + w, 0);
+  const outcome = (entries.find(([, w]) => (roll -= w) < 0) || entries[0])[0];
+
+  let event = {
+    runs: 0,
+    wicket: false,
+    extra: null,
+    legal: true,
+    commentary: ""
+  };
+
+  if (outcome === "wicket") {
+    event.wicket = true;
+    event.commentary = "OUT! Cleaned him up!";
+    return event;
+  }
+  if (outcome === "extra") {
+    // both wide & no-ball are illegal
+    event.extra = rng() < 0.7 ? "WIDE" : "NO BALL";
+    event.runs = 1;
+    event.legal = false;
+    event.commentary = event.extra;
+    return event;
+  }
+
+  event.runs = BALL_RUNS[outcome];
+  event.commentary = BALL_COMMENTARY[outcome];
+
+  // Pitch: a quick outfield stretches the running, a slow one cuts it short
+  if (event.runs > 0 && event.runs < 4) {
+    const originalRuns = event.runs;
+    event.runs = Math.max(0, event.runs + pitch.runBoost);
+    if (event.runs !== originalRuns) event.commentary = `${event.runs} run${event.runs === 1 ? "" : "s"}, ${pitch.runBoost > 0 ? "quick outfield" : "slow outfield"}.`;
+  }
+
+  return event;
+}
+
+// options.seed -> replay a season exactly (a random seed is picked otherwise)
+// options.rainFactor -> scales every venue's rain chance (0 = dry season)
+function runNewLogicSimulation(teams, options = {}) {
+  const seed = options.seed === undefined ? randomSeed() : options.seed;
+  const rng = createRng(seed);
+  const rainFactor = options.rainFactor === undefined ? 1 : options.rainFactor;
+  const allStats = {}; // Central stats tracker for Caps
+  const leagueMatches = [];
+  const playoffs = [];
+
+  // Init Stats
+  teams.forEach((t) => {
+    t.stats = {
+      played: 0,
+      won: 0,
+      lost: 0,
+      pts: 0,
+      nrr: 0,
+      runsScored: 0,
+      runsConceded: 0,
+      oversFaced: 0,
+      oversBowled: 0,
+      noResult: 0,
+    };
+    t.playing11.forEach((p) => {
+      allStats[p.name] = {
+        name: p.name,
+        runs: 0,
+        wkts: 0,
+        pts: 0,
+        fours: 0,
+        sixes: 0,
+        catches: 0,
+        stumpings: 0,
+        runOuts: 0,
+      };
+    });
+  });
+
+  const getPlayerStat = (name) => {
+    if (!allStats[name])
+      allStats[name] = {
+        name: name,
+        runs: 0,
+        wkts: 0,
+        pts: 0,
+        fours: 0,
+        sixes: 0,
+        catches: 0,
+        stumpings: 0,
+        runOuts: 0,
+      };
+    return allStats[name];
+  };
+
+  // --- INNINGS SIMULATOR ---
+  // --- INNINGS SIMULATOR (FINAL STRICT VERSION) ---
+  // target: runs needed to win (chase only). dew: venue dew factor, only for the chase.
+  // rain: { overs (allotted), stopAtOver, onStop({ balls, wickets, score }) }.
+  // Play stops at the end of over stopAtOver; onStop returns the resumed
+  // { overs, target } or null when play never resumes.
+  function simulateInnings(batTeam, bowlTeam, target = null, pitch = PITCH_TYPES.COMMON, dew = 0, rain = {}) {
+    // 1. LOCKED BATTING ORDER (User Selected)
+    // We clone playing11 below to ensure we don't mutate the global team object
+    // const battingOrder = batTeam.playing11; // Moved below to be explicitly a copy 
+    let strikerIndex = 0;
+    let nonStrikerIndex = 1;
+    let nextBatsmanIndex = 2;
+
+    // 2. Bowling Plan (auto or captain's, see bowlingPlan.js)
+    const nextBowler = createBowlingPlanner(bowlTeam);
+
+    // 3. Captains (morale fixed for the innings, swings counted per ball)
+    const captains = {
+      bat: { ...getCaptainMorale(batTeam), swings: 0 },
+      bowl: { ...getCaptainMorale(bowlTeam), swings: 0 },
+    };
+    const captainEdge = captains.bowl.morale - captains.bat.morale;
+
+    // Initialize Cards
+    // CLONE playing11 to avoid permanent mutation, but respect order
+    const battingOrder = [...batTeam.playing11];
+    
+    // ERROR 1 & 2: Limits (rain may cut them mid-innings)
+    let maxOvers = rain.overs || FULL_OVERS;
+    let maxBalls = maxOvers * 6;
+    let totalBalls = 0;
+    let stopped = false;
+    let interruption = null;
+
+    // Track Impact Usage Local to Innings
+    let impactUsed = false;
+
+    const batCard = battingOrder.map((p) => ({
+      name: p.name,
+      runs: 0, 
+      balls: 0, 
+      fours: 0, 
+      sixes: 0, 
+      luck: 0,
+      status: "dnb"
+    }));
+    
+    // Set Openers
+    if(batCard[strikerIndex]) batCard[strikerIndex].status = "not out";
+    if(batCard[nonStrikerIndex]) batCard[nonStrikerIndex].status = "not out";
+
+    const bowlCardMap = {}; 
+    const fieldingMap = {}; // catches, stumpings & run outs by the bowling side
+    let dewBalls = 0;
+    const keeper = getKeeper(bowlTeam);
+    let score = 0;
+    let wickets = 0;
+    let ballLog = [];
+    let isFreeHit = false;
+
+    // --- OVER LOOP ---
+    for (let over = 0; over < maxOvers; over++) {
+       if (wickets >= 10 || (target && score >= target)) break;
+       // ERROR 1: Safety break
+       if (totalBalls >= maxBalls) break;
+
+       // Rain stops play at the end of an over
+       if (over === rain.stopAtOver) {
+           const resumed = rain.onStop ? rain.onStop({ balls: totalBalls, wickets, score }) : null;
+           interruption = {
+               atOver: over,
+               score,
+               wickets,
+               overs: maxOvers, // allotted before the stoppage
+               target,
+               resumedOvers: resumed ? resumed.overs : null,
+           };
+           if (!resumed) {
+               stopped = true;
+               break;
+           }
+           maxOvers = resumed.overs;
+           maxBalls = maxOvers * 6;
+           target = resumed.target;
+           if (target && score >= target) break;
+       }
+
+       // Select Bowler (over cap, no consecutive overs)
+       const bowlerObj = nextBowler(over, maxOvers);
+
+       if (!bowlCardMap[bowlerObj.name]) {
+           bowlCardMap[bowlerObj.name] = { name: bowlerObj.name, runs: 0, wkts: 0, balls: 0, economy: 0, luck: 0 };
+       }
+       const bowlerStats = bowlCardMap[bowlerObj.name];
+
+       // Phase Logic (scaled for shortened innings)
+       const phase = getOverPhase(over, maxOvers);
+
+       let balls = 0;
+       
+       // --- BALL LOOP (ERROR 1 FIX: Check totalBalls) ---
+       while (balls < 6 && totalBalls < maxBalls) {
+           if (wickets >= 10 || (target && score >= target)) break;
+
+           const striker = battingOrder[strikerIndex];
+           if(!striker) break; // Should not happen if logic matches
+           const strikerStats = batCard[strikerIndex];
+
+           // AGGRESSION BIAS
+           const wicketTakerBias = (bowlerObj.bowl > 85) ? 2 : (bowlerObj.bowl > 75 ? 1 : 0);
+           
+           // ERROR 4 & 7: Chase Pressure & Soft Cap
+           // Pass context via luck modification or arguments? modifying simulateBall is hard signature change.
+           // We'll modify the input phase or handle it via a wrapper?
+           // Easiest: modify 'pitch' temporarily? No.
+           // Better: Add logic here to modify luck before simulateBall? simulateBall calcs luck internally.
+           // We can't easily inject without changing simulateBall signature.
+           // Wait, simulateBall consumes 'phase'. We can hijack 'phase' or just accept simulateBall logic is strictly luck-based
+           // and we modifier luck *inside* simulateBall? But simulateBall is outside this scope.
+           
+           // Let's modify simulateBall signature? excessive.
+           // FIX: Modify simulateBall to accept 'pressureLuck'.
+           // NO, user provided logic: "if (rrr > 10) luck += 1".
+           // This implies access to luck variable.
+           // Implementation: Logic must be INSIDE simulateBall or passed to it.
+           // I will simply modify simulateBall to take an optional 'luckModifier' argument.
+           
+           let luckModifier = 0;
+           // Chase Pressure
+           if (target) {
+              const ballsLeft = maxBalls - totalBalls;
+              const runsLeft = target - score;
+              if (ballsLeft > 0) {
+                  const rrr = runsLeft / (ballsLeft / 6);
+                  if (rrr > 10) luckModifier += 1;
+                  if (rrr > 12) luckModifier += 2;
+              }
+           }
+           // Soft Cap
+           if (score > 260) luckModifier += 2; // Collapse likely
+
+           // Player luck & captaincy (balls tilted are counted for the scorecard)
+           const luckSwing = getLuckSwing(striker, bowlerObj, rng);
+           if (luckSwing < 0) strikerStats.luck++;
+           if (luckSwing > 0) bowlerStats.luck++;
+           const captainSwing = rng() < Math.abs(captainEdge) ? Math.sign(captainEdge) : 0;
+           if (captainSwing < 0) captains.bat.swings++;
+           if (captainSwing > 0) captains.bowl.swings++;
+           luckModifier += luckSwing + captainSwing;
+
+           // Dew: the wet ball slips out of the bowler's hand (spinners worst)
+           if (dew && rng() < dew * DEW_SLIP[getBowlerType(bowlerObj.roleKey, bowlerObj.name)]) {
+               luckModifier -= 1;
+               dewBalls++;
+           }
+
+           // We need to pass this to simulateBall. 
+           // I'll update simulateBall to accept 5th arg, OR just add to phase string? hacky.
+           // I will update simulateBall definition in next step or use a global? No.
+           // For now, let's assume I update simulateBall separately or below.
+           
+           // Actually, I can wrap the result. If luckModifier > 0, we can re-roll? No.
+           // I will update simulateBall signature in a separate chunk.
+
+           const result = simulateBall(striker, bowlerObj, phase, pitch, luckModifier, rng);
+           
+           // How it fell (bowler type & phase set the odds)
+           if (result.wicket) {
+               result.dismissal = getDismissal(bowlerObj, bowlTeam.playing11, keeper, phase, rng);
+               result.commentary = DISMISSAL_COMMENTARY[result.dismissal.type];
+           }
+
+           // FREE HIT LOGIC FIX: Only a run out counts on a Free Hit
+           if (result.wicket && isFreeHit && result.dismissal.type !== "run out") {
+               result.wicket = false;
+               result.commentary = "Not Out (Free Hit)";
+           }
+
+           // Log Event
+           ballLog.push({
+             over: `${over}.${balls + 1}`,
+             batsman: striker.name,
+             bowler: bowlerObj.name,
+             runs: result.runs,
+             extra: result.extra,
+             wicket: result.wicket,
+             dismissal: result.wicket ? result.dismissal.text : null,
+             commentary: result.commentary
+           });
+
+           score += result.runs;
+           bowlerStats.runs += result.runs;
+
+           // Legality
+           if (result.legal) {
+               balls++;
+               totalBalls++; // ERROR 1 FIX
+               strikerStats.balls++;
+               bowlerStats.balls++;
+               if (isFreeHit) isFreeHit = false;
+           } else {
+               if (result.extra === "NO BALL") isFreeHit = true;
+               // Wides/Noballs don't increment balls faced/bowled usually, but run counts.
+           }
+
+           // Batting Stats (Only runs off bat)
+           if (result.legal || result.extra === "NO BALL") {
+               if (!result.extra) {
+                   strikerStats.runs += result.runs;
+                   if (result.runs === 4) { strikerStats.fours++; getPlayerStat(striker.name).fours++; }
+                   if (result.runs === 6) { strikerStats.sixes++; getPlayerStat(striker.name).sixes++; }
+                   getPlayerStat(striker.name).runs += result.runs;
+                   getPlayerStat(striker.name).pts += result.runs;
+               }
+           }
+           
+           // WICKET
+           if (result.wicket) {
+                const { dismissal } = result;
+                wickets++;
+                strikerStats.status = "out";
+                strikerStats.dismissal = dismissal.text;
+                if (dismissal.bowlerCredit) {
+                    bowlerStats.wkts++;
+                    getPlayerStat(bowlerObj.name).wkts++;
+                    getPlayerStat(bowlerObj.name).pts += 25;
+                }
+                if (dismissal.fielder) {
+                    const name = dismissal.fielder.name;
+                    if (!fieldingMap[name]) fieldingMap[name] = { name, catches: 0, stumpings: 0, runOuts: 0 };
+                    fieldingMap[name][dismissal.credit]++;
+                    getPlayerStat(name)[dismissal.credit]++;
+                    getPlayerStat(name).pts += FIELDING_POINTS[dismissal.credit];
+                }
+                
+                if (nextBatsmanIndex < battingOrder.length) {
+                    strikerIndex = nextBatsmanIndex++;
+                    if(batCard[strikerIndex]) batCard[strikerIndex].status = "not out";
+                } else {
+                    strikerIndex = -1; // All out mostly
+                }
+           } 
+           // RUNS RUNNING (Strike Rotate)
+           else {
+               if (result.runs % 2 === 1) {
+                   if (nonStrikerIndex !== -1 && strikerIndex !== -1) {
+                       [strikerIndex, nonStrikerIndex] = [nonStrikerIndex, strikerIndex];
+                   }
+               }
+           }
+       } // balls loop
+       
+       // End Over Swap
+       if (nonStrikerIndex !== -1 && strikerIndex !== -1) {
+           [strikerIndex, nonStrikerIndex] = [nonStrikerIndex, strikerIndex];
+       }
+       
+       // --- IMPACT PLAYER LOGIC (ERROR 5 FIX) ---
+       // Replaces only if wickets >= 5
+       if (!impactUsed && batTeam.impact && wickets >= 5 && batCard[10].status === "dnb") {
+            const impactPlayer = batTeam.impact;
+            battingOrder[10] = impactPlayer; 
+            batCard[10].name = impactPlayer.name;
+            batCard[10].runs = 0; 
+            batCard[10].balls = 0;
+            batCard[10].luck = 0;
+            batCard[10].status = "not out";
+            impactUsed = true;
+       }
+
+    } // over loop
+
+    // Calculate Actual Balls Bowled for Stats
+    const totalLegalBalls = bowlCardMap && Object.values(bowlCardMap).reduce((acc, b) => acc + b.balls, 0);
+
+    // Format Bowling Card
+    const bowlCard = Object.values(bowlCardMap);
+    bowlCard.forEach((b) => {
+      b.oversDisplay = `${Math.floor(b.balls / 6)}.${b.balls % 6}`;
+      b.economy = b.balls > 0 ? (b.runs / (b.balls / 6)).toFixed(1) : "0.0";
+    });
+
+    return {
+      score,
+      wickets,
+      balls: totalLegalBalls || 0, 
+      bat: batCard,
+      bowl: bowlCard,
+      fielding: Object.values(fieldingMap),
+      dewBalls,
+      overs: maxOvers,
+      target,
+      stopped,
+      interruption,
+      team: batTeam.name,
+      captains,
+      ballLog
+    };
+  }
+
+  // --- SUPER OVER ---
+  // One over, three batters (two wickets). Runs & wickets stay off the season stats.
+  function simulateSuperOver(batTeam, bowlTeam, target, pitch, number) {
+    const { batters } = pickSuperOverSide(batTeam);
+    const { bowler } = pickSuperOverSide(bowlTeam);
+    const keeper = getKeeper(bowlTeam);
+    const batCard = batters.map((p) => ({ name: p.name, runs: 0, balls: 0, fours: 0, sixes: 0, status: "dnb" }));
+    const bowlCard = { name: bowler.name, runs: 0, wkts: 0, balls: 0 };
+    const ballLog = [];
+    let strikerIndex = 0;
+    let nonStrikerIndex = 1;
+    let score = 0;
+    let wickets = 0;
+    let isFreeHit = false;
+    batCard.slice(0, 2).forEach((b) => (b.status = "not out"));
+
+    while (bowlCard.balls < 6 && wickets < batters.length - 1) {
+      if (target && score >= target) break;
+      const striker = batters[strikerIndex];
+      const strikerStats = batCard[strikerIndex];
+      const result = simulateBall(striker, bowler, "death", pitch, 0, rng);
+      if (result.wicket) result.dismissal = getDismissal(bowler, bowlTeam.playing11, keeper, "death", rng);
+      if (result.wicket && isFreeHit && result.dismissal.type !== "run out") result.wicket = false;
+
+      ballLog.push({
+        superOver: number,
+        over: `0.${bowlCard.balls + 1}`,
+        batsman: striker.name,
+        bowler: bowler.name,
+        runs: result.runs,
+        extra: result.extra,
+        wicket: result.wicket,
+        dismissal: result.wicket ? result.dismissal.text : null,
+        commentary: result.commentary,
+      });
+
+      score += result.runs;
+      bowlCard.runs += result.runs;
+      if (result.legal) {
+        bowlCard.balls++;
+        strikerStats.balls++;
+        isFreeHit = false;
+      } else if (result.extra === "NO BALL") isFreeHit = true;
+      if (!result.extra) {
+        strikerStats.runs += result.runs;
+        if (result.runs === 4) strikerStats.fours++;
+        if (result.runs === 6) strikerStats.sixes++;
+      }
+
+      if (result.wicket) {
+        wickets++;
+        strikerStats.status = "out";
+        strikerStats.dismissal = result.dismissal.text;
+        if (result.dismissal.bowlerCredit) bowlCard.wkts++;
+        strikerIndex = Math.max(strikerIndex, nonStrikerIndex) + 1;
+        if (batCard[strikerIndex]) batCard[strikerIndex].status = "not out";
+      } else if (result.runs % 2 === 1) {
+        [strikerIndex, nonStrikerIndex] = [nonStrikerIndex, strikerIndex];
+      }
+    }
+
+    bowlCard.oversDisplay = `${Math.floor(bowlCard.balls / 6)}.${bowlCard.balls % 6}`;
+    bowlCard.economy = bowlCard.balls > 0 ? (bowlCard.runs / (bowlCard.balls / 6)).toFixed(1) : "0.0";
+    return { team: batTeam.name, score, wickets, balls: bowlCard.balls, bat: batCard, bowl: [bowlCard], ballLog };
+  }
+
+  // Tied match: Super Overs until one side wins. The side that batted second
+  // bats first, then the order flips for every repeat (ICC playing conditions).
+  // Returns { winner, superOvers }
+  function playSuperOvers(t1, t2, i1, i2, pitch) {
+    const superOvers = [];
+    let [first, second] = [t2, t1];
+    while (superOvers.length < MAX_SUPER_OVERS) {
+      const number = superOvers.length + 1;
+      const a = simulateSuperOver(first, second, null, pitch, number);
+      const b = simulateSuperOver(second, first, a.score + 1, pitch, number);
+      superOvers.push({ first: a, second: b });
+      if (a.score !== b.score) return { winner: b.score > a.score ? second : first, superOvers };
+      [first, second] = [second, first];
+    }
+    // Still level after the safety limit: more boundaries in the match wins
+    const boundaries = (inn) => inn.bat.reduce((sum, b) => sum + b.fours + b.sixes, 0);
+    return { winner: boundaries(i2) > boundaries(i1) ? t2 : t1, superOvers };
+  }
+
+  // NRR helper: runs & overs for one side of a completed match
+  function addNetRunRate(team, scored, faced, conceded, bowled) {
+    team.stats.runsScored += scored;
+    team.stats.oversFaced += faced;
+    team.stats.runsConceded += conceded;
+    team.stats.oversBowled += bowled;
+  }
+
+  // Played at the home side's ground (venues.js). The toss winner's captain
+  // reads the pitch & dew; t1 is always the side batting first. Rain
+  // (weather.js) can shorten or abandon it; the home side is the higher
+  // seed in the playoffs, so it advances when a knockout has no result.
+  function playMatch(home, away, type) {
+    const venue = getHomeVenue(home);
+    const pitch = PITCH_TYPES[venue.pitch];
+    const tossWinner = rng() < 0.5 ? home : away;
+    const tossLoser = tossWinner === home ? away : home;
+    const decision = decideToss(venue);
+    const [t1, t2] = decision === "bat" ? [tossWinner, tossLoser] : [tossLoser, tossWinner];
+    const weather = rollWeather(venue, rainFactor, rng);
+    const isLeague = type === "League";
+
+    const match = {
+      t1: t1.name,
+      t2: t2.name,
+      type,
+      venue: { ground: venue.ground, city: venue.city, home: venue.home, pitch: pitch.name, dew: venue.dew },
+      toss: { winner: tossWinner.name, decision },
+      weather: null,
+    };
+
+    if (weather && weather.type === "washout") {
+      if (isLeague) {
+        [t1, t2].forEach((t) => {
+          t.stats.played++;
+          t.stats.noResult++;
+          t.stats.pts += 1;
+        });
+      }
+      return {
+        ...match,
+        score1: "-",
+        score2: "-",
+        winnerName: isLeague ? null : home.name,
+        margin: isLeague ? "No result" : "No result (higher seed advances)",
+        weather: { type: weather.type, text: "Washed out without a ball bowled" },
+        topScorer: null,
+        bestBowler: { name: "-", figures: "-" },
+        details: null,
+      };
+    }
+
+    const overs = weather && weather.type === "delayed start" ? weather.overs : FULL_OVERS;
+    if (overs < FULL_OVERS) match.weather = { type: weather.type, text: `Rain delayed the start: ${overs} overs a side` };
+    const i1 = simulateInnings(t1, t2, null, pitch, 0, {
+      overs,
+      stopAtOver: weather && weather.type === "first innings cut" ? weather.atOver : undefined,
+    });
+
+    // First innings cut short: the chase gets the same overs & a revised target
+    let chaseOvers = overs;
+    let target = i1.score + 1;
+    let revised = false;
+    if (i1.stopped) {
+      const { atOver } = i1.interruption;
+      const r1 = 100 - getResources(FULL_OVERS - atOver, i1.wickets);
+      chaseOvers = atOver;
+      target = getRevisedTarget(i1.score, r1, getResources(atOver, 0));
+      revised = true;
+      match.weather = {
+        type: weather.type,
+        text: `Rain ended ${t1.name}'s innings after ${atOver} overs. ${t2.name} set ${target} in ${atOver} overs`,
+      };
+    }
+
+    // Chase cut short: resumed with fewer overs, or decided on the par score
+    // resources the chase had: used before the stoppage + any overs left after it
+    const r1 = getResources(overs, 0);
+    const chaseResources = (wickets, oversLeft) =>
+      100 - getResources(chaseOvers - weather.atOver, wickets) + getResources(oversLeft, wickets);
+    const i2 = simulateInnings(t2, t1, target, pitch, venue.dew, {
+      overs: chaseOvers,
+      stopAtOver: weather && weather.type === "chase cut" ? weather.atOver : undefined,
+      onStop: ({ wickets }) => {
+        if (!weather.resumeOvers || weather.resumeOvers < MIN_OVERS_FOR_RESULT) return null;
+        return {
+          overs: weather.resumeOvers,
+          target: getRevisedTarget(i1.score, r1, chaseResources(wickets, weather.resumeOvers - weather.atOver)),
+        };
+      },
+    });
+
+    let winnerName = null;
+    let margin = "No result";
+    let par = null;
+    let superOvers = [];
+    const dls = (text) => (revised ? `${text} (DLS)` : text);
+    // Level on runs or on the DLS par: a Super Over decides it
+    const settleTie = () => {
+      const tieBreak = playSuperOvers(t1, t2, i1, i2, pitch);
+      winnerName = tieBreak.winner.name;
+      superOvers = tieBreak.superOvers;
+    };
+
+    if (i2.interruption) {
+      const { atOver, score, wickets, resumedOvers } = i2.interruption;
+      if (resumedOvers) {
+        revised = true;
+        match.weather = {
+          type: weather.type,
+          text: `Rain stopped play at ${score}/${wickets} after ${atOver} overs. Target revised to ${i2.target} in ${resumedOvers} overs`,
+        };
+      } else {
+        match.weather = { type: weather.type, text: `Rain stopped play at ${score}/${wickets} after ${atOver} overs` };
+      }
+    }
+
+    if (i2.stopped) {
+      const { atOver, wickets } = i2.interruption;
+      if (atOver >= MIN_OVERS_FOR_RESULT) {
+        par = getRevisedTarget(i1.score, r1, chaseResources(wickets, 0)) - 1;
+        match.weather.text += `. DLS par score ${par}`;
+        if (i2.score > par) {
+          winnerName = t2.name;
+          margin = `${10 - i2.wickets} wkts (DLS)`;
+        } else if (i2.score < par) {
+          winnerName = t1.name;
+          margin = `${par - i2.score} runs (DLS)`;
+        } else {
+          settleTie();
+          margin = "Super Over (DLS)";
+        }
+      } else {
+        match.weather.text += `. Too few overs for a result`;
+      }
+    } else if (i2.score >= i2.target) {
+      winnerName = t2.name;
+      margin = dls(`${10 - i2.wickets} wkts`);
+    } else if (i2.score < i2.target - 1) {
+      winnerName = t1.name;
+      margin = dls(`${i2.target - 1 - i2.score} runs`);
+    } else {
+      settleTie();
+      margin = "Super Over";
+    }
+
+    // Stats Update for Table
+    const noResult = !winnerName && margin === "No result";
+    if (isLeague && winnerName) {
+      const winner = [t1, t2].find((t) => t.name === winnerName);
+      const loser = [t1, t2].find((t) => t.name !== winnerName);
+
+      winner.stats.played++;
+      winner.stats.won++;
+      winner.stats.pts += 2;
+
+      loser.stats.played++;
+      loser.stats.lost++;
+    } else if (isLeague) {
+      [t1, t2].forEach((t) => {
+        t.stats.played++;
+        t.stats.pts += 1;
+        if (noResult) t.stats.noResult++;
+      });
+    }
+
+    // NRR: with a revised target t1 is credited with target - 1 (or the par
+    // score when play never resumed) in the overs t2 had
+    if (isLeague && !noResult) {
+      const t1Runs = par !== null ? par : i2.target - 1;
+      const t1Overs = par !== null ? i2.balls / 6 : i2.overs;
+      addNetRunRate(t1, t1Runs, t1Overs, i2.score, i2.balls / 6);
+      addNetRunRate(t2, i2.score, i2.balls / 6, t1Runs, t1Overs);
+    }
+
+    // Knockouts need a winner: the higher seed (home side) goes through
+    if (!isLeague && !winnerName) {
+      winnerName = home.name;
+      margin = `${margin} (higher seed advances)`;
+    }
+
+    // Helper for Top Performer
+    const bestBat = [...i1.bat, ...i2.bat].sort((a, b) => b.runs - a.runs)[0];
+    const bestBowl = [...i1.bowl, ...i2.bowl].sort(
+      (a, b) => b.wkts - a.wkts
+    )[0];
+
+    return {
+      ...match,
+      score1: `${i1.score}/${i1.wickets}`,
+      score2: `${i2.score}/${i2.wickets}`,
+      winnerName,
+      margin,
+      target: { runs: i2.target, overs: i2.overs, revised, par },
+      topScorer: bestBat,
+      bestBowler: {
+        name: bestBowl?.name || "-",
+        figures: `${bestBowl?.wkts || 0} wkts`,
+      },
+      details: { i1, i2, superOvers },
+    };
+  }
+
+  // --- LEAGUE GENERATION (Double Round Robin) ---
+  // 2 Matches against every team (Home and Away)
+  for (let i = 0; i < teams.length; i++) {
+    for (let j = i + 1; j < teams.length; j++) {
+        // Match 1: i vs j
+        leagueMatches.push(playMatch(teams[i], teams[j], "League"));
+        // Match 2: j vs i
+        leagueMatches.push(playMatch(teams[j], teams[i], "League"));
+    }
+  }
+
+  // Calculate NRR and Sort
+  teams.forEach((t) => {
+    t.stats.nrr =
+      t.stats.runsScored / t.stats.oversFaced -
+        t.stats.runsConceded / t.stats.oversBowled || 0;
+  });
+  teams.sort((a, b) => b.stats.pts - a.stats.pts || b.stats.nrr - a.stats.nrr);
+
+  // --- PLAYOFFS ---
+  // Top 4 play playoffs, else Top 2 play final. The higher seed hosts.
+  let champion = teams[0].name;
+  let runner = teams[1] ? teams[1].name : "";
+
+  if (teams.length >= 4) {
+    const q1 = playMatch(teams[0], teams[1], "Qualifier 1");
+    const elim = playMatch(teams[2], teams[3], "Eliminator");
+
+    const loserQ1 = q1.winnerName === teams[0].name ? teams[1] : teams[0];
+    const winnerElim = elim.winnerName === teams[2].name ? teams[2] : teams[3];
+
+    const q2 = playMatch(loserQ1, winnerElim, "Qualifier 2");
+
+    const finalist1 = teams.find((t) => t.name === q1.winnerName);
+    const finalist2 = teams.find((t) => t.name === q2.winnerName);
+
+    const final = playMatch(finalist1, finalist2, "FINAL");
+    playoffs.push(q1, elim, q2, final);
+    champion = final.winnerName;
+    runner =
+      final.winnerName === finalist1.name ? finalist2.name : finalist1.name;
+  } else if (teams.length >= 2) {
+    const final = playMatch(teams[0], teams[1], "FINAL");
+    playoffs.push(final);
+    champion = final.winnerName;
+  }
+
+  const statsArr = Object.values(allStats);
+
+  // ERROR 6 FIX: Align Data Shape for Frontend (clean fix)
+  teams.forEach(t => {
+      t.p = t.stats.played;
+      t.w = t.stats.won;
+      t.l = t.stats.lost;
+      t.nr = t.stats.noResult;
+      t.pts = t.stats.pts;
+  });
+
+  return {
+    seed,
+    winner: champion,
+    runnerUp: runner,
+    standings: teams,
+    leagueMatches,
+    playoffs,
+    allTeamsData: teams,
+    orangeCap: statsArr.sort((a, b) => b.runs - a.runs)[0],
+    purpleCap: statsArr.sort((a, b) => b.wkts - a.wkts)[0],
+    mvp: statsArr.sort((a, b) => b.pts - a.pts)[0],
+  };
+}
+
+module.exports = { runNewLogicSimulation, getRating };
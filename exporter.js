@@ -0,0 +1,237 @@
+const zlib = require("zlib");
+
+// =================================================================
+// 📤 AUCTION EXPORT (CSV / JSON / XLSX)
+// =================================================================
+// buildAuctionReport() flattens a room into sheets (arrays of flat row
+// objects). The writers below turn those sheets into files with no
+// external services: CSV is plain text, XLSX is a hand-built zip of
+// SpreadsheetML parts (one worksheet per sheet, inline strings only).
+
+// Fixed header per sheet, so an empty sheet still gets its header row
+const COLUMNS = {
+  squads: ["Team", "Player", "Role", "Type", "Set", "Status", "Base Price", "Purchase Price"],
+  purses: ["Team", "Players", "Foreign", "Total Spent", "Remaining Purse", "RTM Used"],
+  unsold: ["Player", "Role", "Type", "Set", "Base Price"],
+  bids: ["Time", "Lot", "Player", "Team", "Amount", "Source", "Accepted", "Reason"],
+};
+const SHEETS = Object.keys(COLUMNS);
+
+// Text that a spreadsheet would run as a formula gets a leading '
+const FORMULA_START = /^[=+\-@\t\r]/;
+const safeText = (value) =>
+  typeof value === "string" && FORMULA_START.test(value) ? "'" + value : value;
+
+function buildAuctionReport(room) {
+  const teams = room.teams || [];
+
+  const squads = teams.flatMap((t) =>
+    (t.roster || []).map((p) => ({
+      Team: t.name,
+      Player: p.name,
+      Role: p.roleKey,
+      Type: p.playerType,
+      Set: p.set,
+      Status: p.status,
+      "Base Price": p.basePrice,
+      "Purchase Price": p.price,
+    }))
+  );
+
+  const purses = teams.map((t) => {
+    const roster = t.roster || [];
+    return {
+      Team: t.name,
+      Players: roster.length,
+      Foreign: roster.filter((p) => p.playerType === "Foreign").length,
+      "Total Spent": t.totalSpent || 0,
+      "Remaining Purse": t.budget,
+      "RTM Used": t.rtmsUsed || 0,
+    };
+  });
+
+  const unsold = (room.auctionQueue || [])
+    .filter((p) => p.status === "UNSOLD" && !p.requeued)
+    .map((p) => ({
+      Player: p.name,
+      Role: p.roleKey,
+      Type: p.playerType,
+      Set: p.set,
+      "Base Price": p.basePrice,
+    }));
+
+  const bids = (room.bidLedger || []).map((e) => ({
+    Time: new Date(e.at).toISOString(),
+    Lot: e.lotNumber,
+    Player: e.playerName,
+    Team: e.teamName,
+    Amount: e.amount,
+    Source: e.source,
+    Accepted: e.accepted ? "YES" : "NO",
+    Reason: e.code || "",
+  }));
+
+  return { squads, purses, unsold, bids };
+}
+
+// --- CSV ---
+function toCsv(rows, columns) {
+  const cell = (value) => {
+    const text = value === undefined || value === null ? "" : String(safeText(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((line) => line.map(cell).join(","))
+    .join("\r\n");
+}
+
+// --- XLSX ---
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function worksheetXml(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+
+  const sheetRows = lines
+    .map((values, r) => {
+      const cells = values
+        .map((value, c) => {
+          const ref = columnName(c) + (r + 1);
+          if (typeof value === "number" && Number.isFinite(value))
+            return `<c r="${ref}"><v>${value}</v></c>`;
+          if (value === undefined || value === null) return "";
+          return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(safeText(value))}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`;
+}
+
+function toXlsx(sheets) {
+  const names = Object.keys(sheets);
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${names
+        .map(
+          (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        )
+        .join("")}</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names
+        .map(
+          (name, i) =>
+            `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+        )
+        .join("")}</sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${names
+        .map(
+          (_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        )
+        .join("")}</Relationships>`,
+    },
+    ...names.map((name, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      data: worksheetXml(sheets[name], COLUMNS[name]),
+    })),
+  ];
+  return zip(files);
+}
+
+// --- ZIP (deflate, no encryption, no zip64) ---
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.from(data, "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // utf-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(0, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuf, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + packed.length;
+  });
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+module.exports = { SHEETS, COLUMNS, buildAuctionReport, toCsv, toXlsx };
@@ -0,0 +1,131 @@
+// =================================================================
+// 📺 LIVE MATCH (Ball-by-ball feed for the match viewer)
+// =================================================================
+// The engine plays a whole season at once, so the live viewer replays one
+// finished match from its ballLogs. buildMatchFeed() turns a match into
+// frames: a "ball" (score, run rates, commentary & win probability) or a
+// "break" (innings change, rain, Super Over). server.js paces them out.
+
+const { AVERAGE_SCORE, getResources } = require("./weather");
+
+const WIN_PROB_SPREAD = 20; // runs off par that make a clear favourite
+const SUPER_OVER_RUNS_PER_BALL = 1.6;
+const SUPER_OVER_SPREAD = 4;
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+const runRate = (runs, balls) => (balls > 0 ? Number(((runs * 6) / balls).toFixed(2)) : 0);
+const formatBalls = (balls) => `${Math.floor(balls / 6)}.${balls % 6}`;
+
+// Chance (0-1) the batting side wins from here. target is null when setting one.
+function getBattingWinChance({ score, wickets, balls, overs, target, superOver }) {
+  const ballsLeft = overs * 6 - balls;
+  const allOut = wickets >= (superOver ? 2 : 10);
+  if (target === null) {
+    if (superOver) return 0.5;
+    const par = (AVERAGE_SCORE * getResources(overs, 0)) / 100;
+    const expected = allOut ? 0 : (AVERAGE_SCORE * getResources(ballsLeft / 6, wickets)) / 100;
+    return logistic((score + expected - par) / WIN_PROB_SPREAD);
+  }
+
+  const needed = target - score;
+  if (needed <= 0) return 1;
+  if (allOut || ballsLeft <= 0) return needed === 1 ? 0.5 : 0; // level: Super Over
+  const expected = superOver
+    ? ballsLeft * SUPER_OVER_RUNS_PER_BALL
+    : (AVERAGE_SCORE * getResources(ballsLeft / 6, wickets)) / 100;
+  return logistic((expected - needed) / (superOver ? SUPER_OVER_SPREAD : WIN_PROB_SPREAD));
+}
+
+// { t1, t2 } as whole percentages, t1 being the side that batted first
+function toWinProbability(match, battingTeam, chance) {
+  const t1 = Math.round(100 * (battingTeam === match.t1 ? chance : 1 - chance));
+  return { t1, t2: 100 - t1 };
+}
+
+// stages: [{ fromOver, overs, target }] - a rain stoppage starts a new stage
+function addInnings(frames, match, innings, label, stages, superOver = false) {
+  let score = 0;
+  let wickets = 0;
+  let balls = 0;
+  let stageIndex = 0;
+  let stage = stages[0];
+  const state = () => ({ score, wickets, balls, overs: stage.overs, target: stage.target, superOver });
+  const nextStage = () => {
+    stage = stages[++stageIndex];
+    frames.push({
+      kind: "break",
+      text: stage.text,
+      winProbability: toWinProbability(match, innings.team, getBattingWinChance(state())),
+    });
+  };
+
+  innings.ballLog.forEach((b) => {
+    if (stages[stageIndex + 1] && parseInt(b.over, 10) >= stages[stageIndex + 1].fromOver) nextStage();
+
+    score += b.runs;
+    if (!b.extra) balls++;
+    if (b.wicket) wickets++;
+
+    const ballsLeft = stage.overs * 6 - balls;
+    frames.push({
+      kind: "ball",
+      innings: label,
+      team: innings.team,
+      over: b.over,
+      batsman: b.batsman,
+      bowler: b.bowler,
+      runs: b.runs,
+      extra: b.extra,
+      wicket: b.wicket,
+      dismissal: b.dismissal,
+      commentary: b.commentary || "",
+      score,
+      wickets,
+      overs: formatBalls(balls),
+      runRate: runRate(score, balls),
+      target: stage.target,
+      requiredRate: stage.target === null ? null : runRate(Math.max(0, stage.target - score), ballsLeft),
+      winProbability: toWinProbability(match, innings.team, getBattingWinChance(state())),
+    });
+  });
+  // Revised target already reached when play resumed
+  if (stages[stageIndex + 1]) nextStage();
+}
+
+// Frames for one match from the season results (a washout is a single break)
+function buildMatchFeed(match) {
+  const frames = [];
+  if (!match.details) {
+    frames.push({ kind: "break", text: match.weather ? match.weather.text : "No play", winProbability: { t1: 50, t2: 50 } });
+    return frames;
+  }
+
+  const { i1, i2, superOvers = [] } = match.details;
+  addInnings(frames, match, i1, "1st Innings", [{ fromOver: 0, overs: i1.overs, target: null }]);
+  if (i1.stopped) frames.push({ kind: "break", text: match.weather.text, winProbability: frames[frames.length - 1].winProbability });
+
+  const cut = i2.interruption;
+  // Before a rain stoppage the chase had its original overs & target
+  const chaseOpening = cut ? { fromOver: 0, overs: cut.overs, target: cut.target } : { fromOver: 0, overs: i2.overs, target: i2.target };
+  const chaseStages = cut && cut.resumedOvers
+    ? [chaseOpening, { fromOver: cut.atOver, overs: i2.overs, target: i2.target, text: match.weather.text }]
+    : [chaseOpening];
+  frames.push({
+    kind: "break",
+    text: `Innings break: ${i2.team} need ${chaseOpening.target} from ${chaseOpening.overs} overs`,
+    winProbability: toWinProbability(match, i2.team, getBattingWinChance({ score: 0, wickets: 0, balls: 0, ...chaseOpening })),
+  });
+  addInnings(frames, match, i2, "2nd Innings", chaseStages);
+  if (i2.stopped) frames.push({ kind: "break", text: match.weather.text, winProbability: frames[frames.length - 1].winProbability });
+
+  superOvers.forEach((so, n) => {
+    const label = `Super Over${superOvers.length > 1 ? ` ${n + 1}` : ""}`;
+    frames.push({ kind: "break", text: `Scores level! ${label}: ${so.first.team} bat first`, winProbability: { t1: 50, t2: 50 } });
+    addInnings(frames, match, so.first, label, [{ fromOver: 0, overs: 1, target: null }], true);
+    addInnings(frames, match, so.second, label, [{ fromOver: 0, overs: 1, target: so.first.score + 1 }], true);
+  });
+
+  return frames;
+}
+
+module.exports = { buildMatchFeed };
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_ROOM_RULES } = require("./roomRules");
+
+// =================================================================
+// 💾 ROOM PERSISTENCE (Pluggable stores)
+// =================================================================
+// Every store exposes the same 3 methods:
+//   save(roomId, json)      -> persist a room's JSON text (may return a promise)
+//   remove(roomId)          -> forget a room
+//   loadAll()               -> { [roomId]: snapshot }
+//
+// Drivers: "json" (default, one file per room) and "sqlite"
+// (needs `npm install better-sqlite3`). Pick with ROOM_STORE=json|sqlite.
+
+function createJsonStore({ dir }) {
+  const roomsDir = path.join(dir, "rooms");
+  fs.mkdirSync(roomsDir, { recursive: true });
+
+  const fileFor = (roomId) =>
+    path.join(roomsDir, encodeURIComponent(roomId) + ".json");
+
+  return {
+    async save(roomId, json) {
+      const file = fileFor(roomId);
+      const tmp = file + ".tmp";
+      // Write + rename so a crash mid-write never leaves a half file behind
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, file);
+    },
+
+    remove(roomId) {
+      const file = fileFor(roomId);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    },
+
+    loadAll() {
+      const result = {};
+      fs.readdirSync(roomsDir)
+        .filter((f) => f.endsWith(".json"))
+        .forEach((f) => {
+          const roomId = decodeURIComponent(f.slice(0, -".json".length));
+          try {
+            result[roomId] = JSON.parse(
+              fs.readFileSync(path.join(roomsDir, f), "utf8")
+            );
+          } catch (e) {
+            console.error(`Skipping corrupt room snapshot ${f}:`, e.message);
+          }
+        });
+      return result;
+    },
+  };
+}
+
+function createSqliteStore({ dir }) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (e) {
+    throw new Error(
+      "ROOM_STORE=sqlite requires the 'better-sqlite3' package (npm install better-sqlite3)"
+    );
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const db = new Database(path.join(dir, "rooms.db"));
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS rooms (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)"
+  );
+
+  const upsert = db.prepare(
+    "INSERT INTO rooms (id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+  );
+  const del = db.prepare("DELETE FROM rooms WHERE id = ?");
+  const all = db.prepare("SELECT id, data FROM rooms");
+
+  return {
+    save(roomId, json) {
+      upsert.run(roomId, json, Date.now());
+    },
+
+    remove(roomId) {
+      del.run(roomId);
+    },
+
+    loadAll() {
+      const result = {};
+      all.all().forEach((row) => {
+        try {
+          result[row.id] = JSON.parse(row.data);
+        } catch (e) {
+          console.error(`Skipping corrupt room snapshot ${row.id}:`, e.message);
+        }
+      });
+      return result;
+    },
+  };
+}
+
+const DRIVERS = {
+  json: createJsonStore,
+  sqlite: createSqliteStore,
+};
+
+function createRoomStore({ driver = "json", dir }) {
+  const factory = DRIVERS[driver];
+  if (!factory) throw new Error(`Unknown room store driver: ${driver}`);
+  return factory({ dir });
+}
+
+// Coalesces saves per room: every call within delayMs becomes one write of
+// the state at write time, and a room's writes never overlap
+function createSaveQueue(store, { delayMs = 250 } = {}) {
+  const timers = new Map(); // roomId -> pending timeout
+  const serializers = new Map(); // roomId -> () => json | null
+  const writes = new Map(); // roomId -> write in flight
+
+  function write(roomId) {
+    clearTimeout(timers.get(roomId));
+    timers.delete(roomId);
+    const serialize = serializers.get(roomId);
+    serializers.delete(roomId);
+
+    const previous = writes.get(roomId) || Promise.resolve();
+    const next = previous
+      .then(() => {
+        const json = serialize();
+        if (json !== null) return store.save(roomId, json);
+      })
+      .catch((e) => console.error(`Failed to persist room ${roomId}:`, e.message))
+      .then(() => {
+        if (writes.get(roomId) === next) writes.delete(roomId);
+      });
+    writes.set(roomId, next);
+    return next;
+  }
+
+  return {
+    schedule(roomId, serialize) {
+      serializers.set(roomId, serialize);
+      if (!timers.has(roomId)) timers.set(roomId, setTimeout(() => write(roomId), delayMs));
+    },
+
+    // Write everything now (shutdown, tests)
+    flush() {
+      [...timers.keys()].forEach(write);
+      return Promise.all(writes.values());
+    },
+  };
+}
+
+// Timer handles & live socket ids are meaningless after a restart
+const TRANSIENT_ROOM_KEYS = new Set([
+  "timerInterval",
+  "rtmTimeout",
+  "autoBidTimeout",
+  "nextLotTimeout",
+  "projectionRunning",
+  "lastResults",
+  "liveMatch",
+]);
+
+function serializeRoom(room) {
+  return JSON.stringify(room, (key, value) => (TRANSIENT_ROOM_KEYS.has(key) ? undefined : value));
+}
+
+// Snapshot -> live room: fields added since the save get their defaults,
+// nobody is connected and no timers are running yet
+function reviveRoom(snapshot) {
+  return {
+    rules: DEFAULT_ROOM_RULES,
+    autoBid: {},
+    saleHistory: [],
+    auditLog: [],
+    bidLedger: [],
+    poolId: "ipl",
+    customPool: null,
+    queueDraftPoolId: null,
+    queueLock: null,
+    tournamentHistory: [],
+    ...snapshot,
+    rules: { ...DEFAULT_ROOM_RULES, ...snapshot.rules }, // rules added since the save
+    users: [],
+    adminSocketId: null,
+    timerInterval: null,
+    rtmTimeout: null,
+    autoBidTimeout: null,
+    nextLotTimeout: null,
+    projectionRunning: false,
+    lastResults: null,
+    liveMatch: null,
+  };
+}
+
+module.exports = { createRoomStore, createSaveQueue, serializeRoom, reviveRoom };
@@ -0,0 +1,449 @@
+// =================================================================
+// 📊 PLAYER POOL (Catalogue, CSV/JSON import & auction queue)
+// =================================================================
+// The built-in catalogue lives in players.json. Queues are only ever built
+// here so a client can't inject players, base prices or stats. Pool ids:
+//   "ipl"    -> built-in marquee, category & domestic sets
+//   "custom" -> the file the host imported into the room (room.customPool)
+
+const CATALOGUE = require("./players.json");
+
+const POOL_IDS = ["ipl", "custom"];
+
+const NORMALIZED_IMAGE_MAP = {};
+Object.keys(CATALOGUE.images).forEach((k) => {
+  NORMALIZED_IMAGE_MAP[k.toLowerCase()] = CATALOGUE.images[k];
+});
+
+// Ratings live in p.stats on auction & API players (flat on older objects).
+// 0 is a real rating (a pure batter's bowling): only a missing one counts as 50
+function getRating(p, key) {
+  const rating = (p && p.stats && p.stats[key]) ?? (p && p[key]);
+  return Number.isFinite(rating) ? rating : 50;
+}
+
+// Known players use their ratings; anyone else gets stable generated ones
+function getPlayerStats(name, roleHint = "bat") {
+  const known = CATALOGUE.database[name];
+  if (known)
+    return { bat: known.bat, bowl: known.bowl, luck: known.luck, role: known.type };
+  let hash = 0;
+  for (let i = 0; i < name.length; i++)
+    hash = name.charCodeAt(i) + ((hash << 5) - hash);
+  const consistentRand = () => {
+    let t = Math.sin(hash++) * 10000;
+    return t - Math.floor(t);
+  };
+  const isBowler =
+    roleHint.toLowerCase().includes("bowl") ||
+    roleHint.toLowerCase().includes("fast") ||
+    roleHint.toLowerCase().includes("spin");
+  const isAllRounder = roleHint.toLowerCase().includes("all");
+  let bat = 40 + Math.floor(consistentRand() * 40);
+  let bowl = 10 + Math.floor(consistentRand() * 40);
+  let luck = 50 + Math.floor(consistentRand() * 40);
+  if (isBowler) {
+    bat = 20 + Math.floor(consistentRand() * 30);
+    bowl = 70 + Math.floor(consistentRand() * 20);
+  }
+  if (isAllRounder) {
+    bat = 60 + Math.floor(consistentRand() * 25);
+    bowl = 60 + Math.floor(consistentRand() * 25);
+  }
+  return { bat, bowl, luck, role: roleHint };
+}
+
+// --- CUSTOM POOL IMPORT ---
+// A file with any bad row is rejected as a whole with per-row errors.
+
+// Header spellings we accept -> column
+const POOL_HEADER_ALIASES = {
+  name: "name",
+  player: "name",
+  role: "role",
+  nationality: "nationality",
+  type: "nationality",
+  set: "set",
+  baseprice: "basePrice",
+  base: "basePrice",
+  bat: "bat",
+  bowl: "bowl",
+  luck: "luck",
+  img: "img",
+  image: "img",
+  imageurl: "img",
+};
+
+const POOL_ROLE_ALIASES = {
+  batter: "batter",
+  bat: "batter",
+  batsman: "batter",
+  wk: "wk",
+  keeper: "wk",
+  wicketkeeper: "wk",
+  allrounder: "allrounder",
+  ar: "allrounder",
+  fast: "fast",
+  pace: "fast",
+  spinner: "spinner",
+  spin: "spinner",
+  bowler: "bowler",
+  bowl: "bowler",
+};
+
+const POOL_NATIONALITIES = ["Indian", "Foreign", "Uncapped"];
+const MAX_POOL_PLAYERS = 1000;
+// Names, sets & images end up in HTML, inline handlers and CSS url()s
+const UNSAFE_TEXT = /[<>"'`\\]/;
+const UNSAFE_URL = /[\s<>"'`()\\]/;
+
+const normalizePoolKey = (text) =>
+  (text || "").toString().toLowerCase().replace(/[^a-z]/g, "");
+
+// "Keeper", "spin", "AR" ... -> roleKey (null if unknown)
+const getRoleKey = (text) => POOL_ROLE_ALIASES[normalizePoolKey(text)] || null;
+
+// Catalogue "type" -> roleKey, for players given by name only
+const CATALOGUE_ROLE_KEYS = { bat: "batter", ar: "allrounder", wk: "wk" };
+
+// Spinners = the Spinners set + marquee/domestic spinners listed separately
+const CATALOGUE_SPINNERS = new Set([
+  ...CATALOGUE.sets["Spinners"].foreign,
+  ...CATALOGUE.sets["Spinners"].indian,
+  ...CATALOGUE.spinners,
+]);
+
+// Specialist bowlers resolve to "fast" or "spinner", like the auction sets
+function getCatalogueRole(name) {
+  const known = CATALOGUE.database[name];
+  if (!known) return null;
+  if (known.type === "bowl") return CATALOGUE_SPINNERS.has(name) ? "spinner" : "fast";
+  return CATALOGUE_ROLE_KEYS[known.type] || null;
+}
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF/LF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+// File text -> [{ rowNumber, values: { column: raw } }]
+function readPoolRows(text, isJson) {
+  const mapKeys = (obj) => {
+    const values = {};
+    Object.entries(obj).forEach(([key, value]) => {
+      const column = POOL_HEADER_ALIASES[normalizePoolKey(key)];
+      if (column) values[column] = value;
+    });
+    return values;
+  };
+
+  if (isJson) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.players;
+    if (!Array.isArray(list))
+      throw new Error("JSON must be an array of players (or { players: [...] })");
+    return list.map((obj, i) => ({
+      rowNumber: i + 1,
+      values: obj && typeof obj === "object" ? mapKeys(obj) : {},
+    }));
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error("The file is empty");
+  return lines.map((cells, i) => {
+    const obj = {};
+    header.forEach((key, c) => (obj[key] = cells[c]));
+    return { rowNumber: i + 2, values: mapKeys(obj) }; // +1 header, +1 for 1-based
+  });
+}
+
+// "2Cr", "50L", "2 Cr", "20000000" -> rupees
+function parsePoolPrice(value) {
+  const text = (value === undefined || value === null ? "" : String(value))
+    .replace(/[₹,\s]/g, "")
+    .toLowerCase();
+  if (!text) return NaN;
+  const num = parseFloat(text);
+  if (!/^\d+(\.\d+)?(cr|l)?$/.test(text)) return NaN;
+  if (text.endsWith("cr")) return Math.round(num * 10000000);
+  if (text.endsWith("l")) return Math.round(num * 100000);
+  return Math.round(num);
+}
+
+function validatePoolRows(rows) {
+  const players = [];
+  const errors = [];
+  const names = new Set();
+
+  if (rows.length > MAX_POOL_PLAYERS) {
+    errors.push({ row: 0, message: `At most ${MAX_POOL_PLAYERS} players per pool` });
+    return { players, errors };
+  }
+
+  rows.forEach(({ rowNumber, values }) => {
+    const rowErrors = [];
+    const text = (key) =>
+      values[key] === undefined || values[key] === null
+        ? ""
+        : String(values[key]).trim();
+
+    const name = text("name");
+    if (!name) rowErrors.push("name is required");
+    else if (UNSAFE_TEXT.test(name))
+      rowErrors.push(`name "${name}" can't contain < > " ' \` or \\`);
+    else if (names.has(name.toLowerCase()))
+      rowErrors.push(`duplicate player "${name}"`);
+
+    const roleKey = getRoleKey(text("role"));
+    if (!roleKey)
+      rowErrors.push(
+        `role "${text("role")}" must be one of batter, wk, allrounder, fast, spinner, bowler`
+      );
+
+    const nationality = POOL_NATIONALITIES.find(
+      (n) => n.toLowerCase() === text("nationality").toLowerCase()
+    );
+    if (!nationality)
+      rowErrors.push(
+        `nationality "${text("nationality")}" must be Indian, Foreign or Uncapped`
+      );
+
+    const setName = text("set");
+    if (!setName) rowErrors.push("set is required");
+    else if (UNSAFE_TEXT.test(setName))
+      rowErrors.push(`set "${setName}" can't contain < > " ' \` or \\`);
+
+    const basePrice = parsePoolPrice(values.basePrice);
+    if (!Number.isInteger(basePrice) || basePrice <= 0)
+      rowErrors.push(`base price "${text("basePrice")}" is not a valid amount`);
+
+    // Ratings are optional: blanks fall back to the generated stats
+    const fallback = getPlayerStats(name || "?", roleKey || "bat");
+    const stats = { role: fallback.role };
+    ["bat", "bowl", "luck"].forEach((key) => {
+      if (text(key) === "") return (stats[key] = fallback[key]);
+      const rating = Number(text(key));
+      if (!Number.isInteger(rating) || rating < 0 || rating > 100)
+        rowErrors.push(`${key} rating "${text(key)}" must be 0-100`);
+      stats[key] = rating;
+    });
+
+    const img = text("img");
+    if (img && !/^(https?:\/\/|\/|\.\/)/i.test(img))
+      rowErrors.push(`image URL "${img}" must start with http(s):// or /`);
+    else if (UNSAFE_URL.test(img))
+      rowErrors.push(`image URL "${img}" can't contain spaces, quotes, brackets or \\`);
+
+    if (rowErrors.length) {
+      errors.push({ row: rowNumber, message: rowErrors.join("; ") });
+      return;
+    }
+
+    names.add(name.toLowerCase());
+    players.push({
+      name,
+      category: `${nationality} ${roleKey}`,
+      roleKey,
+      basePrice,
+      incrementStep: 2500000,
+      set: setName,
+      img: img || null,
+      stats,
+      playerType: nationality,
+      isProcessed: false,
+      status: null,
+    });
+  });
+
+  if (players.length === 0 && errors.length === 0)
+    errors.push({ row: 0, message: "The file has no players" });
+  return { players, errors };
+}
+
+// Returns { players, errors }. players is only safe to use when errors is empty.
+function parsePlayerPool(text, isJson) {
+  try {
+    return validatePoolRows(readPoolRows(String(text || ""), isJson));
+  } catch (err) {
+    return { players: [], errors: [{ row: 0, message: err.message }] };
+  }
+}
+
+// --- AUCTION QUEUE BUILDER ---
+// options.skipNames -> already owned (retained) players never go under the hammer
+// options.shuffle   -> false keeps catalogue / file order within each set
+function buildAuctionQueue(poolId, customPool, options = {}) {
+  const queue = [];
+  const seen = new Set(options.skipNames || []);
+  const shuffle = (array) =>
+    options.shuffle === false ? array : array.sort(() => Math.random() - 0.5);
+
+  const safePush = (players) => {
+    players.forEach((p) => {
+      if (!seen.has(p.name)) {
+        seen.add(p.name);
+        queue.push(p);
+      }
+    });
+  };
+
+  // Imported pool replaces the built-in lists: sets in file order, shuffled within
+  if (poolId === "custom") {
+    [...new Set(customPool.map((p) => p.set))].forEach((setName) =>
+      safePush(
+        shuffle(
+          customPool
+            .filter((p) => p.set === setName)
+            .map((p) => ({ ...p, stats: { ...p.stats } }))
+        )
+      )
+    );
+    return queue;
+  }
+
+  const createPlayer = (dataObj, setName, roleHint, basePrice, increment) => {
+    let name = typeof dataObj === "object" ? dataObj.name : dataObj;
+    let type = typeof dataObj === "object" ? dataObj.type : "Unknown";
+    const stats = getPlayerStats(name, roleHint);
+    const safeKey = name.toLowerCase();
+    const imageSrc =
+      NORMALIZED_IMAGE_MAP[safeKey] || CATALOGUE.images[name] || null;
+    return {
+      name,
+      category: `${type} ${roleHint}`,
+      roleKey: roleHint.toLowerCase(),
+      basePrice,
+      incrementStep: increment,
+      set: setName,
+      img: imageSrc,
+      stats: stats,
+      playerType: type,
+      isProcessed: false,
+      status: null,
+    };
+  };
+
+  const { marquee, sets } = CATALOGUE;
+  const marqueeBat = marquee.batter.map((p) =>
+    createPlayer(p, "Marquee Set (Bat)", "batter", 20000000, 2500000)
+  );
+  const marqueeBowl = marquee.bowler.map((p) =>
+    createPlayer(p, "Marquee Set (Bowl)", "bowler", 20000000, 2500000)
+  );
+  const marqueeAR = marquee.allrounder.map((p) =>
+    createPlayer(p, "Marquee Set (AR)", "allrounder", 20000000, 2500000)
+  );
+  const marqueeWK = marquee.wicketkeeper.map((p) =>
+    createPlayer(p, "Marquee Set (WK)", "wk", 20000000, 2500000)
+  );
+
+  safePush(
+    shuffle([...marqueeBat, ...marqueeBowl, ...marqueeAR, ...marqueeWK])
+  );
+
+  const processCategory = (categoryName, roleName, foreignList, indianList) => {
+    const f = foreignList.map((n) =>
+      createPlayer(
+        { name: n, type: "Foreign" },
+        `${categoryName} (Foreign)`,
+        roleName,
+        15000000,
+        2500000
+      )
+    );
+    const i = indianList.map((n) =>
+      createPlayer(
+        { name: n, type: "Indian" },
+        `${categoryName} (Indian)`,
+        roleName,
+        10000000,
+        2500000
+      )
+    );
+    return shuffle([...f, ...i]);
+  };
+
+  safePush(
+    processCategory("Batters", "batter", sets["Batsmen"].foreign, sets["Batsmen"].indian)
+  );
+  safePush(
+    processCategory(
+      "Fast Bowlers",
+      "fast",
+      sets["Fast Bowlers"].foreign,
+      sets["Fast Bowlers"].indian
+    )
+  );
+  safePush(
+    processCategory(
+      "Spinners",
+      "spinner",
+      sets["Spinners"].foreign,
+      sets["Spinners"].indian
+    )
+  );
+  safePush(
+    processCategory(
+      "Wicketkeepers",
+      "wk",
+      sets["Wicketkeeper"].foreign,
+      sets["Wicketkeeper"].indian
+    )
+  );
+  safePush(
+    processCategory(
+      "All-Rounders",
+      "allrounder",
+      sets["All-rounders"].foreign,
+      sets["All-rounders"].indian
+    )
+  );
+
+  const domBat = sets["Domestic"].batsmen.map((n) =>
+    createPlayer({ name: n, type: "Uncapped" }, "Domestic Set", "batter", 2500000, 500000)
+  );
+  const domBowl = sets["Domestic"].bowlers.map((n) =>
+    createPlayer({ name: n, type: "Uncapped" }, "Domestic Set", "bowler", 2500000, 500000)
+  );
+  safePush(shuffle([...domBat, ...domBowl]));
+
+  return queue;
+}
+
+module.exports = {
+  POOL_IDS,
+  getRating,
+  getPlayerStats,
+  getRoleKey,
+  getCatalogueRole,
+  parsePlayerPool,
+  buildAuctionQueue,
+};
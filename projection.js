@@ -0,0 +1,99 @@
+// =================================================================
+// 📈 SEASON PROJECTION (Monte Carlo over the final squads)
+// =================================================================
+// Replays the whole season `seasons` times (seeds seed, seed+1, ...) and
+// averages the outcomes per team and per player. A 10-team season costs
+// ~50 ms of CPU, so every season is followed by a setImmediate(): a server
+// keeps serving sockets while thousands of seasons are simulated.
+
+const { runNewLogicSimulation } = require("./engine");
+const { MAX_SEED, randomSeed } = require("./seededRandom");
+
+const DEFAULT_SEASONS = 1000;
+const MAX_SEASONS = 5000;
+const PROGRESS_EVERY = 10; // seasons between onProgress() calls
+
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+// Top 4 go through to the playoffs (top 2 straight to a final if fewer)
+const getPlayoffSpots = (teamCount) => (teamCount >= 4 ? 4 : 2);
+
+function addInnings(totals, innings, bowlingTeam) {
+  innings.bat.forEach((b) => {
+    const p = totals[innings.team] && totals[innings.team][b.name];
+    if (p) p.runs += b.runs;
+  });
+  innings.bowl.forEach((b) => {
+    const p = totals[bowlingTeam] && totals[bowlingTeam][b.name];
+    if (p) p.wkts += b.wkts;
+  });
+}
+
+// Returns { seasons, firstSeed, teams: [{ name, titlePct, playoffPct,
+// avgPts, avgNrr, players: [{ name, roleKey, expRuns, expWkts }] }] }
+async function projectSeasons(teams, options = {}) {
+  const seasons = options.seasons || DEFAULT_SEASONS;
+  const firstSeed = options.seed === undefined ? randomSeed() : options.seed;
+  const playoffSpots = getPlayoffSpots(teams.length);
+
+  const summary = {};
+  const players = {}; // team -> player -> { runs, wkts }
+  teams.forEach((t) => {
+    summary[t.name] = { titles: 0, playoffs: 0, pts: 0, nrr: 0 };
+    players[t.name] = {};
+    [...t.playing11, ...(t.impact ? [t.impact] : [])].forEach((p) => {
+      players[t.name][p.name] = { name: p.name, roleKey: p.roleKey, runs: 0, wkts: 0 };
+    });
+  });
+
+  for (let i = 0; i < seasons; i++) {
+    if (i > 0) {
+      if (options.onProgress && i % PROGRESS_EVERY === 0) options.onProgress(i, seasons);
+      await nextTick();
+    }
+
+    const seed = (firstSeed + i) % (MAX_SEED + 1);
+    // The engine sorts & annotates its teams, so every season gets a fresh copy
+    const results = runNewLogicSimulation(JSON.parse(JSON.stringify(teams)), {
+      seed,
+      rainFactor: options.rainFactor,
+    });
+
+    summary[results.winner].titles++;
+    results.standings.forEach((t, rank) => {
+      if (rank < playoffSpots) summary[t.name].playoffs++;
+      summary[t.name].pts += t.pts;
+      summary[t.name].nrr += t.stats.nrr;
+    });
+    [...results.leagueMatches, ...results.playoffs].forEach((m) => {
+      if (!m.details) return; // washed out
+      addInnings(players, m.details.i1, m.t2);
+      addInnings(players, m.details.i2, m.t1);
+    });
+  }
+
+  const pct = (count) => Math.round((count / seasons) * 1000) / 10;
+  const avg = (total, digits) => Number((total / seasons).toFixed(digits));
+
+  return {
+    seasons,
+    firstSeed,
+    teams: teams
+      .map((t) => ({
+        name: t.name,
+        titlePct: pct(summary[t.name].titles),
+        playoffPct: pct(summary[t.name].playoffs),
+        avgPts: avg(summary[t.name].pts, 2),
+        avgNrr: avg(summary[t.name].nrr, 3),
+        players: Object.values(players[t.name]).map((p) => ({
+          name: p.name,
+          roleKey: p.roleKey,
+          expRuns: avg(p.runs, 1),
+          expWkts: avg(p.wkts, 2),
+        })),
+      }))
+      .sort((a, b) => b.titlePct - a.titlePct || b.avgPts - a.avgPts),
+  };
+}
+
+module.exports = { DEFAULT_SEASONS, MAX_SEASONS, projectSeasons };
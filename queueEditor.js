@@ -0,0 +1,93 @@
+// =================================================================
+// 🗂️ QUEUE EDITOR (Host reorders the lots still to come)
+// =================================================================
+// Only the upcoming lots are editable: sold / unsold lots and the lot under
+// the hammer never move. Edits (lots are identified by player name):
+//   moveSet { set, toIndex }    -> reorder whole sets
+//   move    { name, toIndex }   -> drag one lot (0 = next up)
+//   next    { name }            -> pull a player to the front
+//   remove  { name }            -> back to the bench
+//   insert  { name, toIndex }   -> bench player into the queue
+//   lock    { seed? }           -> seeded shuffle within each set, then freeze
+//                                  (same seed + same lots = same order)
+//   unlock  {}
+// The bench is the room's pool minus queued and owned players, so a host can
+// only insert players the server itself built.
+
+const { randomSeed, parseSeed, createRng, seededShuffle } = require("./seededRandom");
+
+const EDIT_ACTIONS = ["moveSet", "move", "next", "remove", "insert", "lock", "unlock"];
+
+// Set names in order of first appearance
+const getSetOrder = (lots) => [...new Set(lots.map((p) => p.set))];
+
+const clampIndex = (value, max) =>
+  Math.min(Math.max(Number.isInteger(value) ? value : max, 0), max);
+
+// Returns { upcoming, lock } or { error }. Never mutates its inputs.
+function applyQueueEdit({ upcoming, lock, bench }, edit = {}) {
+  const { action } = edit;
+  if (!EDIT_ACTIONS.includes(action)) return { error: `Unknown queue action "${action}"` };
+
+  if (action === "unlock") return { upcoming, lock: null };
+  if (lock) return { error: `Queue order is locked (seed ${lock.seed}). Unlock it first.` };
+
+  const lots = [...upcoming];
+  const findLot = () => lots.findIndex((p) => p.name === edit.name);
+
+  switch (action) {
+    case "moveSet": {
+      const sets = getSetOrder(lots);
+      const from = sets.indexOf(edit.set);
+      if (from === -1) return { error: `No upcoming lots in set "${edit.set}"` };
+      sets.splice(clampIndex(edit.toIndex, sets.length - 1), 0, ...sets.splice(from, 1));
+      return {
+        upcoming: sets.flatMap((s) => lots.filter((p) => p.set === s)),
+        lock,
+      };
+    }
+    case "move":
+    case "next": {
+      const from = findLot();
+      if (from === -1) return { error: `${edit.name} is not in the upcoming lots` };
+      const [lot] = lots.splice(from, 1);
+      const to = action === "next" ? 0 : clampIndex(edit.toIndex, lots.length);
+      lots.splice(to, 0, lot);
+      return { upcoming: lots, lock };
+    }
+    case "remove": {
+      const from = findLot();
+      if (from === -1) return { error: `${edit.name} is not in the upcoming lots` };
+      lots.splice(from, 1);
+      return { upcoming: lots, lock };
+    }
+    case "insert": {
+      const player = bench.find((p) => p.name === edit.name);
+      if (!player) return { error: `${edit.name} is not available to insert` };
+      lots.splice(clampIndex(edit.toIndex, lots.length), 0, {
+        ...player,
+        stats: { ...player.stats },
+      });
+      return { upcoming: lots, lock };
+    }
+    case "lock": {
+      const seed = edit.seed === undefined || edit.seed === "" ? randomSeed() : parseSeed(edit.seed);
+      if (seed === null) return { error: "Seed must be a whole number between 0 and 4294967295" };
+      // Sorted first so a seed gives the same order whatever the edits before
+      const rng = createRng(seed);
+      return {
+        upcoming: getSetOrder(lots).flatMap((s) =>
+          seededShuffle(
+            lots
+              .filter((p) => p.set === s)
+              .sort((a, b) => a.name.localeCompare(b.name)),
+            rng
+          )
+        ),
+        lock: { seed, at: Date.now() },
+      };
+    }
+  }
+}
+
+module.exports = { applyQueueEdit };
@@ -0,0 +1,180 @@
+// =================================================================
+// 📜 ROOM RULES (Schema + Validation)
+// =================================================================
+// Host-editable settings for a room. create_room / update_room_rules pass a
+// partial object; anything missing falls back to DEFAULT_ROOM_RULES.
+
+const CRORE = 10000000;
+const LAKH = 100000;
+
+const DEFAULT_ROOM_RULES = {
+  timerSeconds: 10, // Clock for a fresh lot
+  bidExtensionSeconds: 10, // Clock is topped back up to this after every bid
+  saleDelaySeconds: 4, // Pause on the SOLD/UNSOLD screen
+  purse: 100 * CRORE,
+  minSquad: 18,
+  maxSquad: 25,
+  maxForeign: 8,
+  // Ascending; the last slab has upTo: null (no ceiling)
+  incrementSlabs: [
+    { upTo: 1 * CRORE, step: 5 * LAKH },
+    { upTo: 2 * CRORE, step: 10 * LAKH },
+    { upTo: 5 * CRORE, step: 20 * LAKH },
+    { upTo: null, step: 25 * LAKH },
+  ],
+  allowJumpBids: false, // Off: jump bids must still land on the slab ladder
+  playingXI: {
+    maxForeign: 4,
+    minKeepers: 1,
+    impactPlayer: true,
+  },
+  rtmCards: 2,
+  maxRetentions: 3,
+  // Base price for unsold players re-queued in accelerated rounds (100 = unchanged)
+  acceleratedBasePricePercent: 100,
+  // Chance of rain at every venue, as a % of its usual odds (0 = dry season)
+  rainPercent: 100,
+};
+
+// Integer fields: [min, max]
+const NUMBER_FIELDS = {
+  timerSeconds: [3, 120],
+  bidExtensionSeconds: [1, 120],
+  saleDelaySeconds: [1, 30],
+  purse: [1 * CRORE, 1000 * CRORE],
+  minSquad: [11, 50],
+  maxSquad: [11, 50],
+  maxForeign: [0, 50],
+  rtmCards: [0, 10],
+  maxRetentions: [0, 10],
+  acceleratedBasePricePercent: [10, 100],
+  rainPercent: [0, 300],
+};
+
+const XI_FIELDS = {
+  maxForeign: [0, 11],
+  minKeepers: [0, 11],
+};
+
+function checkInteger(value, [min, max], label, errors) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${label} must be a whole number between ${min} and ${max}`);
+  }
+}
+
+function validateSlabs(slabs, errors) {
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    errors.push("incrementSlabs must be a non-empty list");
+    return;
+  }
+  let lastCeiling = 0;
+  slabs.forEach((slab, i) => {
+    const isLast = i === slabs.length - 1;
+    if (!slab || !Number.isInteger(slab.step) || slab.step <= 0) {
+      errors.push(`incrementSlabs[${i}].step must be a positive whole number`);
+      return;
+    }
+    if (isLast) {
+      if (slab.upTo !== null)
+        errors.push("The last increment slab must have upTo: null");
+      return;
+    }
+    if (!Number.isInteger(slab.upTo) || slab.upTo <= lastCeiling) {
+      errors.push(`incrementSlabs[${i}].upTo must be higher than the slab before it`);
+      return;
+    }
+    lastCeiling = slab.upTo;
+  });
+}
+
+// Returns { rules, errors }. rules is only safe to use when errors is empty.
+function validateRoomRules(input = {}) {
+  const errors = [];
+  const source = input && typeof input === "object" ? input : {};
+
+  const rules = {
+    ...DEFAULT_ROOM_RULES,
+    ...source,
+    playingXI: { ...DEFAULT_ROOM_RULES.playingXI, ...(source.playingXI || {}) },
+  };
+
+  Object.entries(NUMBER_FIELDS).forEach(([key, range]) =>
+    checkInteger(rules[key], range, key, errors)
+  );
+  Object.entries(XI_FIELDS).forEach(([key, range]) =>
+    checkInteger(rules.playingXI[key], range, `playingXI.${key}`, errors)
+  );
+  if (typeof rules.allowJumpBids !== "boolean")
+    errors.push("allowJumpBids must be true or false");
+  if (typeof rules.playingXI.impactPlayer !== "boolean")
+    errors.push("playingXI.impactPlayer must be true or false");
+
+  validateSlabs(rules.incrementSlabs, errors);
+
+  if (rules.minSquad > rules.maxSquad)
+    errors.push("minSquad cannot be more than maxSquad");
+  if (rules.playingXI.maxForeign > rules.maxForeign)
+    errors.push("playingXI.maxForeign cannot be more than maxForeign");
+
+  // Drop unknown keys so clients can't smuggle state onto the room
+  Object.keys(rules).forEach((key) => {
+    if (!(key in DEFAULT_ROOM_RULES)) delete rules[key];
+  });
+
+  return { rules, errors };
+}
+
+// Squad-screen rules for a submitted XI. Returns a list of problems.
+function checkPlayingXI({ playing11, impact, captain }, rules = DEFAULT_ROOM_RULES) {
+  const errors = [];
+  const xi = Array.isArray(playing11) ? playing11 : [];
+  const xiRules = rules.playingXI;
+
+  if (xi.length !== 11) errors.push("Playing XI must have exactly 11 players");
+
+  const foreign = xi.filter((p) => p && p.playerType === "Foreign").length;
+  if (foreign > xiRules.maxForeign)
+    errors.push(`Max ${xiRules.maxForeign} foreign players allowed in Playing XI`);
+
+  const keepers = xi.filter(
+    (p) => p && p.roleKey && p.roleKey.toLowerCase() === "wk"
+  ).length;
+  if (keepers < xiRules.minKeepers)
+    errors.push(`At least ${xiRules.minKeepers} wicketkeeper(s) required`);
+
+  if (xiRules.impactPlayer && !impact) errors.push("Pick an impact player");
+  if (!xiRules.impactPlayer && impact)
+    errors.push("Impact player is disabled in this room");
+
+  if (!xi.some((p) => p && p.name === captain))
+    errors.push("Captain must be in the Playing XI");
+
+  return errors;
+}
+
+// Swaps a submitted XI & impact player (names or client objects) for the
+// team's own roster entries, so roles, nationality & stats come from the
+// server. Returns { playing11, impact, errors }.
+function resolveSquadPicks(roster, { playing11, impact }) {
+  const errors = [];
+  const byName = new Map((roster || []).map((p) => [p.name, p]));
+  const resolve = (pick) => {
+    const name = typeof pick === "string" ? pick : pick && pick.name;
+    const player = byName.get(name);
+    if (!player) errors.push(`${name || "Unknown player"} is not in your squad`);
+    return player;
+  };
+
+  const xi = (Array.isArray(playing11) ? playing11 : []).map(resolve).filter(Boolean);
+  const names = xi.map((p) => p.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) errors.push(`${duplicate} is in the Playing XI twice`);
+
+  const sub = impact ? resolve(impact) || null : null;
+  if (sub && names.includes(sub.name))
+    errors.push(`Impact player ${sub.name} is already in the Playing XI`);
+
+  return { playing11: xi, impact: sub, errors };
+}
+
+module.exports = { DEFAULT_ROOM_RULES, validateRoomRules, checkPlayingXI, resolveSquadPicks };
@@ -230,8 +230,12 @@ let globalTeams = [];
 let currentActivePlayer = null;
 let auctionStarted = false;
 let currentHighestBidderKey = null;
+let serverNextBid = 0; // Next legal bid, computed by the server
+let myBidTarget = 0; // serverNextBid, or higher after "+" (jump bid)
 let connectedUsersCount = 1;
 let lastTournamentData = null;
+let retentionState = null;
+let roomRules = null; // Server-validated room rules (see roomRules.js)
 
 const ALL_IPL_TEAMS = [
   "CSK",
@@ -263,6 +267,14 @@ setInterval(() => {
 socket.on("connect", () => {
   socketAlive = true;
   if (lobbyError) lobbyError.innerText = "";
+
+  // Reconnect (or server restart): re-enter the room so request_sync works again
+  if (myRoomId) {
+    socket.emit("join_room", {
+      roomId: myRoomId,
+      password: localStorage.getItem("ipl_last_pass"),
+    });
+  }
 });
 
 socket.on("disconnect", (reason) => {
@@ -290,6 +302,13 @@ socket.on("reconnect", () => {
 
 socket.on("pongServer", () => {});
 
+socket.on("error_message", (msg) => {
+  if (lobbyError) lobbyError.innerText = msg;
+  if (gameContainer.style.display !== "none") {
+    logEvent(`⚠️ ${msg}`, true);
+  }
+});
+
 if (!window._beforeUnloadBound) {
   window._beforeUnloadBound = true;
   window.addEventListener("beforeunload", (e) => {
@@ -299,740 +318,6 @@ if (!window._beforeUnloadBound) {
   });
 }
 
-// ======================================================
-// 📊 PLAYER DATABASE (RESTORED)
-// ======================================================
-const PLAYER_DATABASE = {
-  // --- MARQUEE & TOP BATTERS ---
-  "Virat Kohli": { bat: 98, bowl: 10, luck: 90, type: "bat" },
-  "Rohit Sharma": { bat: 95, bowl: 15, luck: 92, type: "bat" },
-  "Shubman Gill": { bat: 92, bowl: 5, luck: 88, type: "bat" },
-  "Suryakumar Yadav": { bat: 96, bowl: 5, luck: 85, type: "bat" },
-  "Travis Head": { bat: 94, bowl: 20, luck: 88, type: "bat" },
-  "Yashasvi Jaiswal": { bat: 90, bowl: 10, luck: 85, type: "bat" },
-  "Ruturaj Gaikwad": { bat: 89, bowl: 5, luck: 88, type: "bat" },
-  "Rinku Singh": { bat: 90, bowl: 5, luck: 95, type: "bat" },
-  "Shreyas Iyer": { bat: 88, bowl: 10, luck: 85, type: "bat" },
-  "Faf du Plessis": { bat: 88, bowl: 5, luck: 82, type: "bat" },
-  "David Warner": { bat: 89, bowl: 5, luck: 78, type: "bat" },
-
-  // --- FOREIGN BATTERS ---
-  "David Miller": { bat: 89, bowl: 5, luck: 90, type: "bat" },
-  "Harry Brook": { bat: 86, bowl: 10, luck: 75, type: "bat" },
-  "Kane Williamson": { bat: 88, bowl: 15, luck: 82, type: "bat" },
-  "Shimron Hetmyer": { bat: 85, bowl: 5, luck: 85, type: "bat" },
-  "Rovman Powell": { bat: 82, bowl: 15, luck: 80, type: "bat" },
-  "Steve Smith": { bat: 86, bowl: 10, luck: 75, type: "bat" },
-  "Devon Conway": { bat: 89, bowl: 5, luck: 85, type: "bat" },
-  "Jake Fraser-McGurk": { bat: 88, bowl: 5, luck: 88, type: "bat" },
-  "Dewald Brevis": { bat: 80, bowl: 20, luck: 75, type: "bat" },
-  "Tim David": { bat: 86, bowl: 10, luck: 85, type: "bat" },
-  "Finn Allen": { bat: 83, bowl: 5, luck: 75, type: "bat" },
-  "Rilee Rossouw": { bat: 84, bowl: 5, luck: 70, type: "bat" },
-  "Jason Roy": { bat: 85, bowl: 5, luck: 78, type: "bat" },
-
-  // --- INDIAN BATTERS ---
-  "Sai Sudharsan": { bat: 88, bowl: 5, luck: 85, type: "bat" },
-  "Tilak Varma": { bat: 87, bowl: 15, luck: 85, type: "bat" },
-  "Shikhar Dhawan": { bat: 84, bowl: 5, luck: 80, type: "bat" },
-  "Ajinkya Rahane": { bat: 80, bowl: 5, luck: 75, type: "bat" },
-  "Prithvi Shaw": { bat: 82, bowl: 5, luck: 70, type: "bat" },
-  "Rajat Patidar": { bat: 85, bowl: 5, luck: 82, type: "bat" },
-  "Rahul Tripathi": { bat: 81, bowl: 5, luck: 75, type: "bat" },
-  "Shivam Dube": { bat: 88, bowl: 40, luck: 85, type: "bat" },
-  "Manish Pandey": { bat: 78, bowl: 5, luck: 70, type: "bat" },
-  "Devdutt Padikkal": { bat: 80, bowl: 5, luck: 75, type: "bat" },
-
-  // --- DOMESTIC / UNCAPPED BATTERS ---
-  "Sameer Rizvi": { bat: 78, bowl: 10, luck: 75, type: "bat" },
-  "Angkrish Raghuvanshi": { bat: 80, bowl: 10, luck: 78, type: "bat" },
-  "Ashutosh Sharma": { bat: 84, bowl: 5, luck: 88, type: "bat" },
-  "Shashank Singh": { bat: 85, bowl: 10, luck: 88, type: "bat" },
-  "Nehal Wadhera": { bat: 82, bowl: 15, luck: 80, type: "bat" },
-  "Naman Dhir": { bat: 78, bowl: 40, luck: 75, type: "bat" },
-  "Ayush Badoni": { bat: 80, bowl: 10, luck: 80, type: "bat" },
-  "Yash Dhull": { bat: 76, bowl: 5, luck: 75, type: "bat" },
-  "Sarfaraz Khan": { bat: 82, bowl: 5, luck: 75, type: "bat" },
-  "Abdul Samad": { bat: 80, bowl: 15, luck: 80, type: "bat" },
-  "Vaibhav Suryavanshi": { bat: 76, bowl: 10, luck: 85, type: "bat" },
-  "Priyansh Arya": { bat: 80, bowl: 5, luck: 80, type: "bat" },
-  "Swastik Chikara": { bat: 78, bowl: 5, luck: 75, type: "bat" },
-  "Musheer Khan": { bat: 78, bowl: 60, luck: 78, type: "bat" },
-  "Aniket Verma": { bat: 75, bowl: 5, luck: 75, type: "bat" },
-
-  // --- WICKETKEEPERS ---
-  "Rishabh Pant": { bat: 92, bowl: 0, luck: 90, type: "wk" },
-  "MS Dhoni": { bat: 85, bowl: 0, luck: 99, type: "wk" },
-  "Jos Buttler": { bat: 93, bowl: 0, luck: 88, type: "wk" },
-  "Heinrich Klaasen": { bat: 95, bowl: 0, luck: 90, type: "wk" },
-  "Sanju Samson": { bat: 90, bowl: 0, luck: 85, type: "wk" },
-  "KL Rahul": { bat: 91, bowl: 0, luck: 85, type: "wk" },
-  "Nicholas Pooran": { bat: 92, bowl: 0, luck: 88, type: "wk" },
-  "Quinton de Kock": { bat: 89, bowl: 0, luck: 85, type: "wk" },
-  "Phil Salt": { bat: 88, bowl: 0, luck: 82, type: "wk" },
-  "Ishan Kishan": { bat: 87, bowl: 0, luck: 80, type: "wk" },
-  "Jitesh Sharma": { bat: 82, bowl: 0, luck: 78, type: "wk" },
-  "Dhruv Jurel": { bat: 82, bowl: 0, luck: 82, type: "wk" },
-  "Dinesh Karthik": { bat: 85, bowl: 0, luck: 88, type: "wk" },
-  "Jonny Bairstow": { bat: 90, bowl: 0, luck: 85, type: "wk" },
-  "Rahmanullah Gurbaz": { bat: 84, bowl: 0, luck: 80, type: "wk" },
-  "Josh Inglis": { bat: 85, bowl: 0, luck: 82, type: "wk" },
-  "Shai Hope": { bat: 83, bowl: 0, luck: 80, type: "wk" },
-  "Tristan Stubbs": { bat: 88, bowl: 15, luck: 85, type: "wk" },
-  "Wriddhiman Saha": { bat: 82, bowl: 0, luck: 80, type: "wk" },
-  "Anuj Rawat": { bat: 78, bowl: 0, luck: 75, type: "wk" },
-  "Prabhsimran Singh": { bat: 84, bowl: 0, luck: 80, type: "wk" },
-  "KS Bharat": { bat: 78, bowl: 0, luck: 75, type: "wk" },
-  "Vishnu Vinod": { bat: 78, bowl: 0, luck: 75, type: "wk" },
-  "Abishek Porel": { bat: 83, bowl: 0, luck: 80, type: "wk" },
-  "Robin Minz": { bat: 80, bowl: 0, luck: 82, type: "wk" },
-  "Kumar Kushagra": { bat: 78, bowl: 0, luck: 78, type: "wk" },
-  "Ryan Rickelton": { bat: 80, bowl: 0, luck: 75, type: "wk" },
-  "Donovan Ferreira": { bat: 82, bowl: 10, luck: 75, type: "wk" },
-
-  // --- ALL-ROUNDERS (Top Tier) ---
-  "Hardik Pandya": { bat: 88, bowl: 85, luck: 90, type: "ar" },
-  "Ravindra Jadeja": { bat: 85, bowl: 88, luck: 90, type: "ar" },
-  "Andre Russell": { bat: 94, bowl: 82, luck: 90, type: "ar" },
-  "Glenn Maxwell": { bat: 90, bowl: 75, luck: 80, type: "ar" },
-  "Sunil Narine": { bat: 92, bowl: 90, luck: 92, type: "ar" },
-  "Axar Patel": { bat: 84, bowl: 88, luck: 88, type: "ar" },
-  "Cameron Green": { bat: 87, bowl: 82, luck: 85, type: "ar" },
-  "Liam Livingstone": { bat: 87, bowl: 70, luck: 80, type: "ar" },
-  "Sam Curran": { bat: 78, bowl: 86, luck: 85, type: "ar" },
-  "Marcus Stoinis": { bat: 88, bowl: 75, luck: 88, type: "ar" },
-  "Will Jacks": { bat: 88, bowl: 60, luck: 85, type: "ar" },
-  "Rachin Ravindra": { bat: 85, bowl: 75, luck: 82, type: "ar" },
-  "Moeen Ali": { bat: 82, bowl: 78, luck: 80, type: "ar" },
-  "Mitchell Marsh": { bat: 88, bowl: 78, luck: 82, type: "ar" },
-  "Pat Cummins": { bat: 75, bowl: 92, luck: 95, type: "ar" },
-  "Ravichandran Ashwin": { bat: 72, bowl: 88, luck: 90, type: "ar" },
-
-  // --- ALL-ROUNDERS (Mid/Domestic) ---
-  "Nitish Kumar Reddy": { bat: 85, bowl: 78, luck: 88, type: "ar" },
-  "Abhishek Sharma": { bat: 89, bowl: 50, luck: 85, type: "ar" },
-  "Azmatullah Omarzai": { bat: 80, bowl: 78, luck: 78, type: "ar" },
-  "Romario Shepherd": { bat: 82, bowl: 75, luck: 78, type: "ar" },
-  "Mohammad Nabi": { bat: 80, bowl: 80, luck: 78, type: "ar" },
-  "Jason Holder": { bat: 75, bowl: 82, luck: 75, type: "ar" },
-  "Krunal Pandya": { bat: 78, bowl: 82, luck: 80, type: "ar" },
-  "Deepak Hooda": { bat: 78, bowl: 30, luck: 75, type: "ar" },
-  "Rahul Tewatia": { bat: 82, bowl: 40, luck: 92, type: "ar" },
-  "Riyan Parag": { bat: 85, bowl: 40, luck: 80, type: "ar" },
-  "Shahrukh Khan": { bat: 82, bowl: 10, luck: 78, type: "ar" },
-  "Chris Woakes": { bat: 65, bowl: 85, luck: 82, type: "ar" },
-  "Daniel Sams": { bat: 60, bowl: 82, luck: 80, type: "ar" },
-  "Kyle Mayers": { bat: 85, bowl: 70, luck: 80, type: "ar" },
-  "Vijay Shankar": { bat: 78, bowl: 60, luck: 75, type: "ar" },
-  "Shahbaz Ahmed": { bat: 75, bowl: 78, luck: 80, type: "ar" },
-  "Ramandeep Singh": { bat: 78, bowl: 65, luck: 80, type: "ar" },
-  "Lalit Yadav": { bat: 72, bowl: 65, luck: 75, type: "ar" },
-  "Washington Sundar": { bat: 75, bowl: 82, luck: 80, type: "ar" },
-  "Nitish Rana": { bat: 82, bowl: 40, luck: 75, type: "ar" },
-  "Venkatesh Iyer": { bat: 84, bowl: 50, luck: 80, type: "ar" },
-  "Daryl Mitchell": { bat: 86, bowl: 50, luck: 82, type: "ar" },
-  "Aiden Markram": { bat: 85, bowl: 45, luck: 82, type: "ar" },
-  "Sikandar Raza": { bat: 84, bowl: 82, luck: 82, type: "ar" },
-  "Mitchell Santner": { bat: 70, bowl: 86, luck: 85, type: "ar" },
-  "Arjun Tendulkar": { bat: 40, bowl: 78, luck: 75, type: "ar" },
-  "Tanush Kotian": { bat: 60, bowl: 75, luck: 75, type: "ar" },
-  "Suryansh Shedge": { bat: 65, bowl: 60, luck: 75, type: "ar" },
-  "Vipraj Nigam": { bat: 60, bowl: 70, luck: 75, type: "ar" },
-
-  // --- FAST BOWLERS (Foreign) ---
-  "Jasprit Bumrah": { bat: 20, bowl: 99, luck: 95, type: "bowl" },
-  "Mitchell Starc": { bat: 30, bowl: 92, luck: 88, type: "bowl" },
-  "Trent Boult": { bat: 20, bowl: 90, luck: 88, type: "bowl" },
-  "Kagiso Rabada": { bat: 25, bowl: 89, luck: 85, type: "bowl" },
-  "Jofra Archer": { bat: 40, bowl: 90, luck: 80, type: "bowl" },
-  "Matheesha Pathirana": { bat: 5, bowl: 91, luck: 88, type: "bowl" },
-  "Gerald Coetzee": { bat: 20, bowl: 86, luck: 85, type: "bowl" },
-  "Lockie Ferguson": { bat: 20, bowl: 88, luck: 85, type: "bowl" },
-  "Mark Wood": { bat: 20, bowl: 89, luck: 85, type: "bowl" },
-  "Anrich Nortje": { bat: 10, bowl: 88, luck: 80, type: "bowl" },
-  "Josh Hazlewood": { bat: 15, bowl: 90, luck: 85, type: "bowl" },
-  "Marco Jansen": { bat: 65, bowl: 86, luck: 82, type: "bowl" },
-  "Spencer Johnson": { bat: 20, bowl: 84, luck: 80, type: "bowl" },
-  "Alzarri Joseph": { bat: 35, bowl: 85, luck: 80, type: "bowl" },
-  "Dilshan Madushanka": { bat: 10, bowl: 84, luck: 80, type: "bowl" },
-  "Nuwan Thushara": { bat: 10, bowl: 83, luck: 80, type: "bowl" },
-  "Mustafizur Rahman": { bat: 10, bowl: 87, luck: 85, type: "bowl" },
-  "Fazalhaq Farooqi": { bat: 10, bowl: 85, luck: 80, type: "bowl" },
-  "Naveen-ul-Haq": { bat: 10, bowl: 86, luck: 82, type: "bowl" },
-  "Nathan Ellis": { bat: 15, bowl: 85, luck: 80, type: "bowl" },
-  "Kwena Maphaka": { bat: 5, bowl: 82, luck: 80, type: "bowl" },
-
-  // --- FAST BOWLERS (Indian) ---
-  "Mohammed Shami": { bat: 15, bowl: 91, luck: 85, type: "bowl" },
-  "Mohammed Siraj": { bat: 10, bowl: 88, luck: 85, type: "bowl" },
-  "Arshdeep Singh": { bat: 10, bowl: 88, luck: 85, type: "bowl" },
-  "Deepak Chahar": { bat: 30, bowl: 85, luck: 82, type: "bowl" },
-  "Shardul Thakur": { bat: 45, bowl: 82, luck: 90, type: "bowl" },
-  "Bhuvneshwar Kumar": { bat: 30, bowl: 86, luck: 85, type: "bowl" },
-  "T Natarajan": { bat: 5, bowl: 87, luck: 82, type: "bowl" },
-  "Mohit Sharma": { bat: 10, bowl: 86, luck: 85, type: "bowl" },
-  "Harshal Patel": { bat: 40, bowl: 88, luck: 88, type: "bowl" },
-  "Mayank Yadav": { bat: 10, bowl: 88, luck: 85, type: "bowl" },
-  "Avesh Khan": { bat: 15, bowl: 85, luck: 80, type: "bowl" },
-  "Khaleel Ahmed": { bat: 10, bowl: 86, luck: 82, type: "bowl" },
-  "Mukesh Kumar": { bat: 10, bowl: 85, luck: 82, type: "bowl" },
-  "Ishant Sharma": { bat: 20, bowl: 83, luck: 80, type: "bowl" },
-  "Umesh Yadav": { bat: 30, bowl: 84, luck: 80, type: "bowl" },
-  "Prasidh Krishna": { bat: 10, bowl: 85, luck: 80, type: "bowl" },
-  "Umran Malik": { bat: 10, bowl: 84, luck: 75, type: "bowl" },
-  "Harshit Rana": { bat: 40, bowl: 85, luck: 85, type: "bowl" },
-  "Akash Deep": { bat: 20, bowl: 84, luck: 80, type: "bowl" },
-  "Yash Dayal": { bat: 10, bowl: 83, luck: 80, type: "bowl" },
-  "Akash Madhwal": { bat: 10, bowl: 84, luck: 80, type: "bowl" },
-  "Vidwath Kaverappa": { bat: 10, bowl: 80, luck: 75, type: "bowl" },
-  "Tushar Deshpande": { bat: 15, bowl: 84, luck: 82, type: "bowl" },
-  "Vaibhav Arora": { bat: 15, bowl: 82, luck: 80, type: "bowl" },
-  "Yash Thakur": { bat: 10, bowl: 83, luck: 80, type: "bowl" },
-  "Kartik Tyagi": { bat: 20, bowl: 82, luck: 75, type: "bowl" },
-  "Chetan Sakariya": { bat: 20, bowl: 82, luck: 80, type: "bowl" },
-  "Simarjeet Singh": { bat: 15, bowl: 82, luck: 75, type: "bowl" },
-  "Rasikh Salam": { bat: 10, bowl: 82, luck: 80, type: "bowl" },
-  "Ashwani Kumar": { bat: 10, bowl: 78, luck: 75, type: "bowl" },
-
-  // --- SPINNERS ---
-  "Rashid Khan": { bat: 60, bowl: 96, luck: 92, type: "bowl" },
-  "Yuzvendra Chahal": { bat: 5, bowl: 93, luck: 88, type: "bowl" },
-  "Kuldeep Yadav": { bat: 10, bowl: 93, luck: 88, type: "bowl" },
-  "Ravi Bishnoi": { bat: 10, bowl: 88, luck: 85, type: "bowl" },
-  "Varun Chakravarthy": { bat: 5, bowl: 89, luck: 82, type: "bowl" },
-  "Wanindu Hasaranga": { bat: 50, bowl: 90, luck: 85, type: "bowl" },
-  "Maheesh Theekshana": { bat: 20, bowl: 87, luck: 80, type: "bowl" },
-  "Adam Zampa": { bat: 10, bowl: 87, luck: 80, type: "bowl" },
-  "Mujeeb Ur Rahman": { bat: 20, bowl: 86, luck: 80, type: "bowl" },
-  "Noor Ahmad": { bat: 15, bowl: 87, luck: 85, type: "bowl" },
-  "Keshav Maharaj": { bat: 40, bowl: 85, luck: 80, type: "bowl" },
-  "Adil Rashid": { bat: 30, bowl: 86, luck: 82, type: "bowl" },
-  "Tabraiz Shamsi": { bat: 10, bowl: 85, luck: 80, type: "bowl" },
-  "Rahul Chahar": { bat: 20, bowl: 84, luck: 80, type: "bowl" },
-  "Amit Mishra": { bat: 25, bowl: 83, luck: 85, type: "bowl" },
-  "Piyush Chawla": { bat: 35, bowl: 85, luck: 88, type: "bowl" },
-  "Karn Sharma": { bat: 30, bowl: 82, luck: 80, type: "bowl" },
-  "Mayank Markande": { bat: 20, bowl: 83, luck: 80, type: "bowl" },
-  "R Sai Kishore": { bat: 25, bowl: 85, luck: 82, type: "bowl" },
-  "Suyash Sharma": { bat: 5, bowl: 84, luck: 80, type: "bowl" },
-  "Manimaran Siddharth": { bat: 10, bowl: 80, luck: 75, type: "bowl" },
-  "Allah Ghazanfar": { bat: 10, bowl: 82, luck: 82, type: "bowl" },
-  "Digvesh Rathi": { bat: 5, bowl: 80, luck: 78, type: "bowl" },
-};
-
-const MARQUEE_PLAYERS = {
-  batter: [
-    { name: "Virat Kohli", type: "Indian" },
-    { name: "Rohit Sharma", type: "Indian" },
-    { name: "Shubman Gill", type: "Indian" },
-    { name: "Suryakumar Yadav", type: "Indian" },
-    { name: "Travis Head", type: "Foreign" },
-    { name: "Yashasvi Jaiswal", type: "Indian" },
-    { name: "Ruturaj Gaikwad", type: "Indian" },
-    { name: "Shreyas Iyer", type: "Indian" },
-    { name: "Abhishek Sharma", type: "Indian" },
-    { name: "Rinku Singh", type: "Indian" },
-  ],
-  bowler: [
-    { name: "Jasprit Bumrah", type: "Indian" },
-    { name: "Mitchell Starc", type: "Foreign" },
-    { name: "Pat Cummins", type: "Foreign" },
-    { name: "Mohammed Shami", type: "Indian" },
-    { name: "Rashid Khan", type: "Foreign" },
-    { name: "Trent Boult", type: "Foreign" },
-    { name: "Kagiso Rabada", type: "Foreign" },
-    { name: "Yuzvendra Chahal", type: "Indian" },
-    { name: "Mohammed Siraj", type: "Indian" },
-    { name: "Arshdeep Singh", type: "Indian" },
-    { name: "Kuldeep Yadav", type: "Indian" },
-    { name: "Matheesha Pathirana", type: "Foreign" },
-  ],
-  allrounder: [
-    { name: "Hardik Pandya", type: "Indian" },
-    { name: "Ravindra Jadeja", type: "Indian" },
-    { name: "Andre Russell", type: "Foreign" },
-    { name: "Glenn Maxwell", type: "Foreign" },
-    { name: "Sunil Narine", type: "Foreign" },
-    { name: "Axar Patel", type: "Indian" },
-    { name: "Cameron Green", type: "Foreign" },
-    { name: "Sam Curran", type: "Foreign" },
-    { name: "Marcus Stoinis", type: "Foreign" },
-  ],
-  wicketkeeper: [
-    { name: "MS Dhoni", type: "Indian" },
-    { name: "Rishabh Pant", type: "Indian" },
-    { name: "Jos Buttler", type: "Foreign" },
-    { name: "Heinrich Klaasen", type: "Foreign" },
-    { name: "Sanju Samson", type: "Indian" },
-    { name: "KL Rahul", type: "Indian" },
-    { name: "Nicholas Pooran", type: "Foreign" },
-    { name: "Quinton de Kock", type: "Foreign" },
-    { name: "Ishan Kishan", type: "Indian" },
-    { name: "Phil Salt", type: "Foreign" },
-  ],
-};
-
-const RAW_DATA = {
-  Batsmen: {
-    foreign: [
-      "Faf du Plessis",
-      "David Miller",
-      "Harry Brook",
-      "Kane Williamson",
-      "Shimron Hetmyer",
-      "Rovman Powell",
-      "Will Jacks",
-      "Steve Smith",
-      "Devon Conway",
-      "Daryl Mitchell",
-      "Jake Fraser-McGurk",
-      "Dewald Brevis",
-      "Tim David",
-      "Aiden Markram",
-      "Finn Allen",
-      "Rilee Rossouw",
-      "Jason Roy",
-      "David Warner",
-    ],
-    indian: [
-      "Sai Sudharsan",
-      "Tilak Varma",
-      "Shikhar Dhawan",
-      "Ajinkya Rahane",
-      "Prithvi Shaw",
-      "Venkatesh Iyer",
-      "Rajat Patidar",
-      "Nitish Rana",
-      "Rahul Tripathi",
-      "Shivam Dube",
-      "Manish Pandey",
-      "Devdutt Padikkal",
-      "Sameer Rizvi",
-      "Nehal Wadhera",
-    ],
-  },
-  "Fast Bowlers": {
-    foreign: [
-      "Anrich Nortje",
-      "Josh Hazlewood",
-      "Jofra Archer",
-      "Mark Wood",
-      "Lockie Ferguson",
-      "Gerald Coetzee",
-      "Marco Jansen",
-      "Spencer Johnson",
-      "Alzarri Joseph",
-      "Dilshan Madushanka",
-      "Nuwan Thushara",
-      "Mustafizur Rahman",
-      "Fazalhaq Farooqi",
-      "Nathan Ellis",
-      "Naveen-ul-Haq",
-    ],
-    indian: [
-      "Deepak Chahar",
-      "Shardul Thakur",
-      "Bhuvneshwar Kumar",
-      "T Natarajan",
-      "Mohit Sharma",
-      "Umesh Yadav",
-      "Prasidh Krishna",
-      "Avesh Khan",
-      "Harshal Patel",
-      "Khaleel Ahmed",
-      "Mukesh Kumar",
-      "Ishant Sharma",
-      "Umran Malik",
-      "Harshit Rana",
-      "Akash Deep",
-      "Yash Dayal",
-      "Mayank Yadav",
-    ],
-  },
-  Spinners: {
-    foreign: [
-      "Wanindu Hasaranga",
-      "Maheesh Theekshana",
-      "Adam Zampa",
-      "Mujeeb Ur Rahman",
-      "Noor Ahmad",
-      "Mitchell Santner",
-      "Keshav Maharaj",
-      "Adil Rashid",
-      "Tabraiz Shamsi",
-      "Allah Ghazanfar",
-    ],
-    indian: [
-      "Ravichandran Ashwin",
-      "Ravi Bishnoi",
-      "Varun Chakravarthy",
-      "Washington Sundar",
-      "Rahul Chahar",
-      "Amit Mishra",
-      "Piyush Chawla",
-      "Karn Sharma",
-      "Mayank Markande",
-      "R Sai Kishore",
-      "Suyash Sharma",
-    ],
-  },
-  Wicketkeeper: {
-    foreign: [
-      "Jonny Bairstow",
-      "Rahmanullah Gurbaz",
-      "Josh Inglis",
-      "Shai Hope",
-      "Tristan Stubbs",
-      "Ryan Rickelton",
-      "Donovan Ferreira",
-    ],
-    indian: [
-      "Jitesh Sharma",
-      "Dhruv Jurel",
-      "Dinesh Karthik",
-      "Wriddhiman Saha",
-      "Anuj Rawat",
-      "Prabhsimran Singh",
-      "KS Bharat",
-      "Vishnu Vinod",
-      "Abishek Porel",
-    ],
-  },
-  "All-rounders": {
-    foreign: [
-      "Liam Livingstone",
-      "Moeen Ali",
-      "Mitchell Marsh",
-      "Rachin Ravindra",
-      "Azmatullah Omarzai",
-      "Romario Shepherd",
-      "Mohammad Nabi",
-      "Jason Holder",
-      "Chris Woakes",
-      "Daniel Sams",
-      "Kyle Mayers",
-      "Sikandar Raza",
-    ],
-    indian: [
-      "Krunal Pandya",
-      "Deepak Hooda",
-      "Rahul Tewatia",
-      "Vijay Shankar",
-      "Riyan Parag",
-      "Shahrukh Khan",
-      "Shahbaz Ahmed",
-      "Ramandeep Singh",
-      "Lalit Yadav",
-      "Nitish Kumar Reddy",
-    ],
-  },
-  Domestic: {
-    batsmen: [
-      "Vaibhav Suryavanshi",
-      "Priyansh Arya",
-      "Angkrish Raghuvanshi",
-      "Ashutosh Sharma",
-      "Naman Dhir",
-      "Ayush Mhatre",
-      "Yash Dhull",
-      "Sarfaraz Khan",
-      "Musheer Khan",
-      "Shashank Singh",
-      "Abdul Samad",
-      "Swastik Chikara",
-      "Andre Siddarth",
-      "Aniket Verma",
-    ],
-    bowlers: [
-      "Akash Madhwal",
-      "Vidwath Kaverappa",
-      "Tushar Deshpande",
-      "Vaibhav Arora",
-      "Yash Thakur",
-      "Kartik Tyagi",
-      "Chetan Sakariya",
-      "Simarjeet Singh",
-      "Manimaran Siddharth",
-      "Arjun Tendulkar",
-      "Rasikh Salam",
-      "Mohsin Khan",
-      "Digvesh Rathi",
-      "Ashwani Kumar",
-    ],
-    wicketkeepers: [
-      "Robin Minz",
-      "Urvil Patel",
-      "Kumar Kushagra",
-      "Avanish Aravelly",
-      "Luvnith Sisodia",
-    ],
-    allrounders: [
-      "Suryansh Shedge",
-      "Vipraj Nigam",
-      "Prashant Veer",
-      "Tanush Kotian",
-      "Arshin Kulkarni",
-    ],
-  },
-};
-
-const PLAYER_IMAGE_MAP = {
-  "David Warner":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRy2UoIz9RctCjtDw0iTDr9W8lq_jMqGo0JpQ&s",
-  "Virat Kohli":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSXd7IOQ0NKyGMznUdvuNfPqT1PjyLLWs2PlA&s",
-  "rohit sharma":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQ3sfdazCnce91FbLAu66M2aa49A2OJ_UfWRg&s",
-  "rishabh pant":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR5UKPHZLy9Mb72EvFlbnmH6PA3ySNWbxvLWA&s",
-  "kl rahul":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQs5YIL9kZU5kRl0nW4CMDXezaXSrn_7d1cWw&s",
-  "jasprit bumrah":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSOhggyxRW4R8C5stRZeM6xF_-MLpKGeTTnNQ&s",
-  "hardik pandya":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSMl97E5YCG_qhtODqspjhQbiVKdgkGSQoj2w&s",
-  "axar patel":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTZq-Wt00Pd8Olb3f8vzTE7ud9xeUv5yMcgsg&s",
-  "rashid khan":
-    "https://www.iplbetonline.in/wp-content/uploads/2023/04/218.png",
-  "heinrich klaasen":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQiFL5rG_FgzbJjvdATUOQrhdsE90YPI4fuug&s",
-  "sanju samson":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR8Xp0CvnGYY2QCwxVow7kvpP3ZTkzVus1MGg&s",
-  "yashasvi jaiswal":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTMMIlG4UCovEfziX_SI09qkf3_Cg2SX-P-Lg&s",
-  "mitchell starc":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRPGz1TkJbf1sCV4pLRxdmXi6-QqjDAV3EKbw&s",
-  "nicholas pooran":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQttQw5G5G4LV07_JzAAlJwQYzTiJHDO-7JRQ&s",
-  "yuzvendra chahal":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSl2t1XzBVcHqNBLVc1n75AaJd2-tcnk4g48g&s",
-  "kuldeep yadav":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQ3BdPeWcBfg_ShlOT1BJcl1uhXwd6_jWxBoA&s",
-  "sai sudharsan":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQYqNPZ_ROZnx8SiGAG9uWubwN7ghfjPq3XXA&s",
-  "varun chakravarthy": "https://static.toiimg.com/photo/119129071.cms",
-  "t natarajan":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRqUl5j0TmK38vQvoxg9ngJVAUVhEzar1tT_w&s",
-  "abhishek sharma":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSvUeLIbFDGe9Whp3BX3CSqQ93dQoeZubgwBw&s",
-  "mohammed shami":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTnFzvB9NG74q7rS8MjSW_zD1pBRBat5YDHmw&s",
-  "daryl mitchell":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQsC0r1IFYQLEPXhy2OtS1VJp07YA80CCcd8Q&s",
-  "dewald brevis":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRTQivnVww3TfhkuUmwYJZQuR6wroS0svAppA&s",
-  "ms dhoni":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQlUHTyVfbyG3PgcyaRzLI_KE9HHqUqgrFIFQ&s",
-  "suryakumar yadav":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRHid9tiHpmtLTokHjhRy5N6vkVcxzL7thkeQ&s",
-  "travis head":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQdPCSKpkwcuZDMlFoiDm3R3BAo1EzRtNdiPg&s",
-  "ravindra jadeja":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRI8Z-1QJiEVn2_eCbhrW5MyXhUJn9HE2XdAA&s",
-  "trent boult":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQIoXfsx5jBlVAr1H3fGk0S_c-0MNn-r-4o9Q&s",
-  "arshdeep singh":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRz9QMCpjUJj5Smz5WS0If_WXhC-9F2-Tvs3w&s",
-  "glenn maxwell":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTH8L43Zy6vc06DL4pDJKRxaazWyqeJFs_xdw&s",
-  "sam curran":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR-X04hvyAKngMVDfBpYVahZeB58Rb4ryXO0A&s",
-  "krunal pandya":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRRTGdJoU_Hofobj-hU3tpyPMAKg_jtq9Lg1A&s",
-  "romario shepherd":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQJvAy_9pMhWWvU7jvLjvq4IjAD_kluu7Kh2A&s",
-  "aiden markram":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTOajmONNd7d64dfVUFmUbVEsO3yPHHnAx8Yg&s",
-  "liam livingstone":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTflymyT3ojb12YfLmIWYwvK7maoqsYvftyIw&s",
-  "shivam dube":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRGsxQpnbZyU0mtKlvBgnhPErZiGHehmb4YuA&s",
-  "quinton de kock":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcS1husYcqQxzXbB2jYZctsHKUO1r5KYMUxyrA&s",
-  "dhruv jurel":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQZm_mMkVrBrfrY9bs0swEN5Td1hE-aRz9n2w&s",
-  "jos buttler":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRJyXqCruiGYygsRkxwF7NIrT7IpAPR5fJJJA&s",
-  "andre russell":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRiGYYt9ovNiRcFSjadP2AksRsd0Mdi1dNZDg&s",
-  "ruturaj gaikwad":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSXGbBtm6R4GJT2j2ZxvROVEeV7UbrIuRDleA&s",
-  "shubman gill":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRtakT_H1Gyp9KF85UHvLv0MjQbT0OXLJlsEQ&s",
-  "shreyas iyer":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRO10-jV4zy9JtIxbWzRZiJagKzkYR4l507Cw&s",
-  "tilak varma":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTfMM-hv47GDNhi-6WrbcBfD-AUAPy0qnjSnw&s",
-  "devon conway":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcREdCc6o0V15HYS4vv_HFww4fUehf5t9ByGxA&s",
-  "devdatt padikal":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSAuY6qP02fFUlKZ4ld7Wrhm-alVVJeTcNv2A&s",
-  "kane williamson":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRGpOxgmrjBEe7v76wwMov_YFuAoogFSrZ_zg&s",
-  "will jacks":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR6J3WVvja_9EB2qJ8er90GqkEDTCGv5hQBag&s",
-  "harry brook":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRAArvrYHQzYLSlOugAi6drdAg5IzIibCyjaw&s",
-  "ibrahim zadran":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSS0O-R0JSfMt0maVI6v6OU1a0SSIj8ijeOnQ&s",
-  "lockie ferguson":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQGQmTjuxXSYhQHZcRi9U8UlqMyYiYBLn2cBg&s",
-  "josh hazlewood":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQ-4ZjUwjHrvhukWLmMNoM2P69feAJ9zck9uQ&s",
-  "harshit rana":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQpcXQmpK-CbFtlnQnmCoN9FmPS3xbOGLwUDQ&s",
-  "prasidh krishna":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTOhgXERAAoBAuhwRRZf2wMWISXjnIYDlrEmA&s",
-  "kagiso rabada":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQxvidFiausg2Me1UfVNU7f1cx_jYsLdeUwaQ&s",
-  "harshal patel":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQFgJDXgf0In2PO3Ie9mO4_8VjqwwRkRP2e8Q&s",
-  "pat cummins":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcS9nkSiV6jtCApLRnOFSKUAUQspjV5hpJOdBQ&s",
-  "matheesha pathirana":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR4TerGmA61_rrVaNBeBHejm5J60vzQs0rWTg&s",
-  "mark wood":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcT61NLgM2DT5tYUhLKRjLyylZzRbxc4wTb_3A&s",
-  "mukesh kumar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcS8hgsxXLIMkdEMRyqIzCMlnwpGjG2nKV1hGw&s",
-  "anrich nortje":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQp_INFjiNgN1e9CgcoGSYEoHR7d863BrAEkg&s",
-  "tushar deshpande":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQ2chrGKb_zLMRCjpQh2rSEG6AewNxP5L3k7Q&s",
-  "sunil narine":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRWsWXzcPF-5GJEEjgr9IaPPn-yCHMyZxCMqA&s",
-  "wanindu hasaranga":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTOd5ea0dPuQ2Piq3gCg0k2XdaF810mFPWFoA&s",
-  "mujeeb ur rahman":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTC9WDInYus_x1b86moJX9kYdTW3Le84sDrWg&s",
-  "rahmanullah gurbaz":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRW2tuWnal4q-leOBRU4aWfcngk1NWbY04XnQ&s",
-  "noor ahmad":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcT4Aw3GMm7PPUQOM4Z1csrE8n5rxcfLZfu5sg&s",
-  "maheesh theekshana":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRprnzQmcBvOhfS1eqZHcporjcEYFWqQmVMnQ&s",
-  "murugan ashwin":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQZp4FDSxl5b3K9mouAdn5zJJ_cyrXQvhf0mg&s",
-  "adam zampa":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQqVlUCngLKUeqaRirZaRWkeQIsEmHmoAIuqw&s",
-  "mayank markande":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTAR6Wt6xq1oPl5upF_8CiXxmc37xT-CisXLw&s",
-  "ravi bishnoi":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRQvLEQRAinM5V7CwTqzdau9AqiOC7erIisKw&s",
-  "alex carey":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR3fx9oUbwobdrMkbA2eWpUwzRWazNT3Sk1ug&s",
-  "dinesh karthik":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRQ7EgmJkgCRpcfBrFV0CXGx6bIKjtk5wEeVQ&s",
-  "jitesh sharma":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTjeHFwIBbAbF_tpPcXNUp0-5D1LOANzxLxWA&s",
-  "washington sundar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRkWDcgskNJH3SvDpogZ-QXE7WQnstEvuk8Kg&s",
-  "riyan parag":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTNQGzq26UBlFu_dPv--OOFgCiyHBGTnqBumw&s",
-  "nitish rana":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQJLQfDqFWetnMsl8WmFsRZhQBCLlDv7fiT1Q&s",
-  "mitchell marsh":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSctxL2Fnj4DdMI8wf84B8Zku6tdXqBMs3lrw&s",
-  "tim david":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRFdb361FkQD3qyQTu2z9oqHQ7MJLXTKYuSsA&s",
-  "cameron green":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR1x3cvTR2n1ab-W6LhAwKcyUuHUuDMqzMiSw&s",
-  "marcus stoinis":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcS7TaJF3IIbU7FPkYCHT0j3LQGVrVhnzIDR7Q&s",
-  "rinku singh":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQzbWiyOzr11AFN-yAzFYWzQmEu5F3JsRyRrw&s",
-  "deepak hooda":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTF918ic4VnyxQvakJJsXT1OKmeBIuIkwKyhA&s",
-  "rahul tewatia":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTeCWXJoDrKnXVVrV3IYBNhhrUwwBaOi_l5NA&s",
-  "phil salt":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQ6CRh_5YOiZaB_s-OO5w1z5AvBNEM0X-qDDw&s",
-  "shahrukh khan":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR8Xp0CvnGYY2QCwxVow7kvpP3ZTkzVus1MGg&s",
-  "Faf du Plessis":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRuw5WAznke_M1y83XWQl3WyTpj8mmvquREPA&s",
-  "David Miller":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQZzfUcZmOT3vo7ucCn8zdlh3FTFcB0gs_t8w&s",
-  "Shimron Hetmyer":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQHPHEGd-TGdia5MOHN8DEeNoQm5g4cMpx9SQ&s",
-  "Jake Fraser-McGurk":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRHbxIFZAqNHXoUfusHxX38_9EPuS5f4V_y6w&s",
-  "Shikhar Dhawan":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTmSJKeitXBUIzCdNM51xg6URHrI3QbqOijrw&s",
-  "Ajinkya Rahane":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSOalqxPGHCV7hgvZXyVQB4xOHofBssMM1QWA&s",
-  "Prithvi Shaw":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQO8FOcrG-t8xbjHLMkPJd2Z3PKYkD51LcuaQ&s",
-  "Venkatesh Iyer":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQxQXScapO97PkWzl-KejLhLg2U6BsTNrRfRA&s",
-  "Rajat Patidar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTJtqyJBHfsL7M4Vn9pthbqPEoSEPHP7IcTXg&s",
-  "Manish Pandey":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTVwDd6V2GJLNk8EElhqC_Yj-W1DJ6130r64A&s",
-  "Jofra Archer":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTo8gIuGKKIp3GOCRLEKfTeeWCn7c3FiwjUxQ&s",
-  "Gerald Coetzee":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTB6jCTyyHld0Ac-GnphqAk9h-MgYs6y3OoDQ&s",
-  "Marco Jansen":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTy_tiNO9KkLrz_axRUXa-4DGdut8N_5nWi-Q&s",
-  "Mustafizur Rahman":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQOlM0BXEu-szyb97Gj6ORu1DfDYIosi_BCUg&s",
-  "Fazalhaq Farooqi":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTlD694z3N59mxkGYeLAM6YTJFHHvBNvU3ntQ&s",
-  "Mohammed Siraj":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSVAwAb_htAQ9WCy0gaJKmQJiPluMal9hNwLw&s",
-  "Deepak Chahar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTHSk-8Xek9lTIVSC9tslRP0_Gxt6tU2QvEbg&s",
-  "Shardul Thakur":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRHQBozbzAgGAzQ5JDOLRcr6YQkXoWM1eEyQg&s",
-  "Bhuvneshwar Kumar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQT6Ikzu_k3_jaV12gy2td03yTJFJanJcNn-A&s",
-  "Mohit Sharma":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQt9Q8umC9f5_f-8YyvFlqNxNZpKiQ00DqHnQ&s",
-  "Khaleel Ahmed":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRPGM9mnxrIQvVNL5T5BJ5H0r1FLqCX2_56SA&s",
-  "Mitchell Santner":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSyCFUEjnNWNYhNQWt2pVY-nraaeT7Xp5CLDw&s",
-  "Ravichandran Ashwin":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcTP-_GveSb4AACOwVRgOXYTISPvlt4XFaeNlg&s",
-  "Rahul Chahar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRlgntjI0Wv5sx8A2bzstHCl7wMJW6pHv5tkw&s",
-  "R Sai Kishore":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSyhgmmkhP8CIvTQRT-WwI-k1PVHzm1usIwHw&s",
-  "Vijay Shankar":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRa0X4bPB_8GWQh2bnPVKLjLhMnCvuGpx0jUw&s",
-  "Shahbaz Ahmed":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcR_A8dTo3ziPjrxTsNrnMOdA0lIg1mKuQHIhg&s",
-  "Moeen Ali":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRnblRwkKMZo2eRojywZhyIznpY6h-ct0LFog&s",
-  "Rachin Ravindra":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcScrUYzDrJV6lwAh-h9ZKzBF72Dh-apAivglg&s",
-  "Azmatullah Omarzai":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSI_vHDCuM1AWo_zEDwUbc_sG2I-4mJDlNgbw&s",
-  "Mohammad Nabi":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRgPYEEBo2iJrQeUxClBQIq8ZA0cr6AryKh3g&s",
-  "Jason Holder":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcT949IOng4bWbSkMePYOjMBXKbOQKYkVsm95w&s",
-  "Chris Woakes":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSdPCTRMrjZ4gtWa6kx7mhsUxOM_IXsDPQsNg&s",
-  "Ishan Kishan":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRvI17T3mE31eNA35OSyvuvIVvtGLjlOYFLGw&s",
-  "Wriddhiman Saha":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQLxziLIljwF5qLn-CsUtL1k5MFCOoz_fkL_Q&s",
-  "Tristan Stubbs":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQgVBnKUGvBQjHnNvaw_A9lKO7c6MwP2EqHlQ&s",
-  "Josh Inglis":
-    "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcQ96_gVuW8JTbxirRPH9mVAjB59jbtQRt6UtQ&s",
-};
-
-
-// FIX: Runtime Normalization of Image Keys to Lowercase
-const NORMALIZED_IMAGE_MAP = {};
-Object.keys(PLAYER_IMAGE_MAP).forEach((k) => {
-  NORMALIZED_IMAGE_MAP[k.toLowerCase()] = PLAYER_IMAGE_MAP[k];
-});
-
 // --- CONSTANTS ---
 const ROLE_ORDER = {
   wk: 1,
@@ -1094,40 +379,6 @@ function logEvent(message, highlight = false) {
   logEl.prepend(div);
 }
 
-function getPlayerStats(name, roleHint = "bat") {
-  if (PLAYER_DATABASE[name])
-    return {
-      bat: PLAYER_DATABASE[name].bat,
-      bowl: PLAYER_DATABASE[name].bowl,
-      luck: PLAYER_DATABASE[name].luck,
-      role: PLAYER_DATABASE[name].type,
-    };
-  let hash = 0;
-  for (let i = 0; i < name.length; i++)
-    hash = name.charCodeAt(i) + ((hash << 5) - hash);
-  const consistentRand = () => {
-    let t = Math.sin(hash++) * 10000;
-    return t - Math.floor(t);
-  };
-  const isBowler =
-    roleHint.toLowerCase().includes("bowl") ||
-    roleHint.toLowerCase().includes("fast") ||
-    roleHint.toLowerCase().includes("spin");
-  const isAllRounder = roleHint.toLowerCase().includes("all");
-  let bat = 40 + Math.floor(consistentRand() * 40);
-  let bowl = 10 + Math.floor(consistentRand() * 40);
-  let luck = 50 + Math.floor(consistentRand() * 40);
-  if (isBowler) {
-    bat = 20 + Math.floor(consistentRand() * 30);
-    bowl = 70 + Math.floor(consistentRand() * 20);
-  }
-  if (isAllRounder) {
-    bat = 60 + Math.floor(consistentRand() * 25);
-    bowl = 60 + Math.floor(consistentRand() * 25);
-  }
-  return { bat, bowl, luck, role: roleHint };
-}
-
 // --- DOM EVENT LISTENERS ---
 
 // 1. HOST: Create Room
@@ -1175,6 +426,12 @@ socket.on("roomcreated", (roomId) => {
 socket.off("room_joined");
 socket.on("room_joined", (data) => {
   enterGame(data.roomId);
+  roomRules = data.rules;
+  fillRulesForm(roomRules);
+  if (data.customPoolSize) {
+    selectedPoolId = "custom";
+    showPoolImportStatus(`Using the imported pool (${data.customPoolSize} players).`);
+  }
   isAdmin = data.isAdmin;
   if (isAdmin) {
     document.body.classList.add("is-admin");
@@ -1208,6 +465,11 @@ socket.on("room_joined", (data) => {
     renderLobbyTeams();
   }
 
+  if (data.state && data.state.retention) {
+    globalTeams = data.state.teams;
+    showRetentionPhase(data.state.retention);
+  }
+
   if (data.state && data.state.isActive) {
     auctionStarted = true;
     switchToAuctionMode(data.state.teams);
@@ -1224,14 +486,92 @@ function initLobbyState() {
       bidKey: `T${i}`,
       name: name,
       ownerSocketId: null,
-      budget: parseInt(document.getElementById("budget").value),
+      budget: roomRules.purse,
       isTaken: false,
+      rtmCards: roomRules.rtmCards,
+      previousPlayers: [],
     });
   });
   socket.emit("update_lobby_teams", globalTeams);
   renderLobbyTeams();
 }
 
+// ======================================================
+// 📜 ROOM RULES (Host Settings Panel)
+// ======================================================
+// Slab text format: "1Cr:5L, 2Cr:10L, *:25L" ("*" = no ceiling)
+function parseSlabText(text) {
+  return text
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [upTo, step] = part.split(":").map((x) => x.trim());
+      return {
+        upTo: upTo === "*" ? null : parsePrice(upTo),
+        step: parsePrice(step),
+      };
+    });
+}
+
+function formatSlabText(slabs) {
+  const short = (amt) => formatAmount(amt).replace("₹", "").replace(" ", "");
+  return slabs
+    .map((s) => `${s.upTo === null ? "*" : short(s.upTo)}:${short(s.step)}`)
+    .join(", ");
+}
+
+function readRulesForm() {
+  const rules = { playingXI: {} };
+  document.querySelectorAll("#hostSettings [data-rule]").forEach((el) => {
+    rules[el.dataset.rule] =
+      el.type === "checkbox" ? el.checked : parseInt(el.value);
+  });
+  document.querySelectorAll("#hostSettings [data-xi-rule]").forEach((el) => {
+    rules.playingXI[el.dataset.xiRule] =
+      el.type === "checkbox" ? el.checked : parseInt(el.value);
+  });
+  rules.incrementSlabs = parseSlabText(
+    document.getElementById("incrementSlabs").value
+  );
+  return rules;
+}
+
+function fillRulesForm(rules) {
+  document.querySelectorAll("#hostSettings [data-rule]").forEach((el) => {
+    const val = rules[el.dataset.rule];
+    if (el.type === "checkbox") el.checked = val;
+    else el.value = val;
+  });
+  document.querySelectorAll("#hostSettings [data-xi-rule]").forEach((el) => {
+    const val = rules.playingXI[el.dataset.xiRule];
+    if (el.type === "checkbox") el.checked = val;
+    else el.value = val;
+  });
+  document.getElementById("incrementSlabs").value = formatSlabText(
+    rules.incrementSlabs
+  );
+}
+
+document.querySelectorAll("#hostSettings input").forEach((el) =>
+  el.addEventListener("change", () => {
+    if (!isAdmin || auctionStarted) return;
+    socket.emit("update_room_rules", readRulesForm());
+  })
+);
+
+socket.off("rules_update");
+socket.on("rules_update", (rules) => {
+  roomRules = rules;
+  fillRulesForm(rules);
+});
+
+socket.off("rules_error");
+socket.on("rules_error", (errors) => {
+  alert("INVALID SETTINGS:\n" + errors.join("\n"));
+  if (roomRules) fillRulesForm(roomRules);
+});
+
 // FIX: Add missing sync_data listener
 socket.off("sync_data");
 socket.on("sync_data", (data) => {
@@ -1295,8 +635,11 @@ socket.on("sync_data", (data) => {
     
     const bidBtn = document.getElementById("placeBidBtn");
     bidBtn.disabled = false;
-    updateBidControlsState(p);
+    updateBidControlsState(data.nextBid);
   }
+
+  if (data.rtm) showRtmPrompt(data.rtm);
+  if (data.accelerated) showAcceleratedRound(data.accelerated);
 });
 
 
@@ -1321,7 +664,11 @@ function renderLobbyTeams() {
       statusText,
       clickAction = "";
 
-    if (t.isTaken) {
+    if (t.isAI) {
+      statusClass = "taken";
+      statusText = "AI TEAM";
+      if (!iHaveATeam) clickAction = `onclick="claimLobbyTeam('${t.bidKey}')"`;
+    } else if (t.isTaken) {
       if (isMyTeam) {
         statusClass = "my-choice";
         statusText = "YOUR TEAM";
@@ -1344,21 +691,39 @@ function renderLobbyTeams() {
     let nameInput = isAdmin
       ? `<input type="text" class="form-control form-control-sm text-center bg-dark text-white border-secondary" value="${safeName}" onchange="adminRenameTeam('${t.bidKey}', this.value)">`
       : `<div class="fs-4 fw-bold text-white">${safeName}</div>`;
+    const prevCount = (t.previousPlayers || []).length;
+    const rtmInfo = isAdmin
+      ? `<button class="btn btn-sm btn-outline-warning mt-1 py-0" style="font-size:0.7rem;" onclick="event.stopPropagation(); adminSetPreviousPlayers('${t.bidKey}')">RTM LIST (${prevCount})</button>`
+      : prevCount > 0
+      ? `<div class="small text-warning" style="font-size:0.7rem;">RTM: ${prevCount} players</div>`
+      : "";
+    const aiToggle =
+      isAdmin && (!t.isTaken || t.isAI)
+        ? `<button class="btn btn-sm btn-outline-info mt-1 py-0" style="font-size:0.7rem;" onclick="event.stopPropagation(); adminSetAiTeam('${
+            t.bidKey
+          }', ${!t.isAI})">${t.isAI ? "REMOVE AI" : "MAKE AI"}</button>`
+        : "";
 
     container.innerHTML += `<div class="lobby-team-card ${statusClass}" ${clickAction}><span class="lobby-status-badge ${
       statusClass === "available"
         ? "bg-success"
         : statusClass === "my-choice"
         ? "bg-warning text-dark"
+        : t.isAI
+        ? "bg-info text-dark"
         : "bg-danger"
     }">${statusText}</span>${nameInput}<div class="small text-white-50">Budget: ${formatAmount(
       t.budget
-    )}</div></div>`;
+    )}</div>${rtmInfo}${aiToggle}</div>`;
   });
 
   if (isAdmin) {
     const startBtn = document.getElementById("startBtn");
     const takenCount = globalTeams.filter((t) => t.isTaken).length;
+    document.getElementById("retentionBtn").disabled =
+      takenCount < 2 || retentionState !== null;
+    document.getElementById("aiFillBtn").disabled =
+      retentionState !== null || globalTeams.every((t) => t.isTaken);
 
     if (takenCount < 2) {
       startBtn.disabled = true;
@@ -1381,13 +746,139 @@ document.getElementById("startBtn").addEventListener("click", () => {
     alert("Need at least 2 active teams to start!");
     return;
   }
-  auctionQueue = buildAuctionQueue();
-  socket.emit("start_auction", { teams: activeTeams, queue: auctionQueue });
+  socket.emit("start_auction", { poolId: selectedPoolId });
+});
+
+// ======================================================
+// 🔒 RETENTION PHASE
+// ======================================================
+document.getElementById("retentionBtn").addEventListener("click", () => {
+  if (!isAdmin) return;
+  if (globalTeams.filter((t) => t.isTaken).length < 2) {
+    alert("Need at least 2 active teams to start!");
+    return;
+  }
+  socket.emit("start_retention", { poolId: selectedPoolId });
+});
+
+socket.off("retention_started");
+socket.on("retention_started", (data) => {
+  globalTeams = data.teams;
+  showRetentionPhase(data.retention);
+  logEvent("<strong>RETENTION PHASE STARTED</strong>", true);
+  speakText("Retention phase is open. Owners, retain your players.");
 });
 
+socket.off("retention_update");
+socket.on("retention_update", (data) => {
+  globalTeams = data.teams;
+  renderLobbyTeams();
+  renderRetentionPanel();
+});
+
+function showRetentionPhase(retention) {
+  retentionState = retention;
+  document.getElementById("retentionSection").style.display = "block";
+  renderLobbyTeams();
+  renderRetentionPanel();
+}
+
+function renderRetentionPanel() {
+  if (!retentionState) return;
+  const { pool, slabs, maxRetentions } = retentionState;
+
+  document.getElementById("retentionSlabInfo").innerText = `Max ${maxRetentions} | Slabs: ${slabs
+    .map(formatAmount)
+    .join(" / ")}`;
+
+  const retainedBy = {};
+  globalTeams.forEach((t) =>
+    (t.roster || []).forEach((p) => {
+      if (p.status === "RETAINED") retainedBy[p.name] = t;
+    })
+  );
+
+  const myTeam = globalTeams.find((t) => t.bidKey === mySelectedTeamKey);
+  const myRetained = myTeam
+    ? myTeam.roster.filter((p) => p.status === "RETAINED")
+    : [];
+  const canRetain = myTeam && myRetained.length < maxRetentions;
+  const nextPrice = slabs[Math.min(myRetained.length, slabs.length - 1)];
+
+  const search = document
+    .getElementById("retentionSearch")
+    .value.trim()
+    .toLowerCase();
+  const matches = pool
+    .filter((p) => !retainedBy[p.name])
+    .filter((p) => !search || p.name.toLowerCase().includes(search))
+    .slice(0, 50);
+
+  document.getElementById("retentionPoolList").innerHTML = matches
+    .map(
+      (p) => `<div class="d-flex justify-content-between align-items-center border-bottom border-secondary py-1">
+        <span class="text-white">${escapeHtml(p.name)} <span class="role-icon">${getRoleIcon(
+        p.roleKey
+      )}</span> <small class="text-white-50">${escapeHtml(p.category)}</small></span>
+        ${
+          canRetain
+            ? `<button class="btn btn-sm btn-outline-success py-0" onclick="retainPlayer(${pool.indexOf(
+                p
+              )})">RETAIN ${formatAmount(nextPrice)}</button>`
+            : ""
+        }
+      </div>`
+    )
+    .join("");
+
+  document.getElementById("retainedList").innerHTML =
+    globalTeams
+      .map((t) => {
+        const retained = (t.roster || []).filter(
+          (p) => p.status === "RETAINED"
+        );
+        if (retained.length === 0) return "";
+        const isMine = t.bidKey === mySelectedTeamKey;
+        const rows = retained
+          .map(
+            (p) => `<div class="team-player-row"><span class="text-white">${escapeHtml(
+              p.name
+            )}</span><span class="text-white-50">${formatAmount(p.price)}${
+              isMine
+                ? ` <button class="btn btn-sm btn-outline-danger py-0 ms-1" onclick="releaseRetention(${pool.findIndex(
+                    (x) => x.name === p.name
+                  )})">✕</button>`
+                : ""
+            }</span></div>`
+          )
+          .join("");
+        return `<div class="mb-2"><div class="text-warning fw-bold small">${escapeHtml(
+          t.name
+        )} <span class="text-white-50">(${formatAmount(
+          t.budget
+        )} left)</span></div>${rows}</div>`;
+      })
+      .join("") ||
+    "<div class='text-white-50 small'>No retentions yet.</div>";
+}
+
+// Pool index avoids quoting player names inside inline handlers
+function retainPlayer(poolIndex) {
+  const p = retentionState.pool[poolIndex];
+  if (p) socket.emit("retain_player", { teamKey: mySelectedTeamKey, name: p.name });
+}
+
+function releaseRetention(poolIndex) {
+  const p = retentionState.pool[poolIndex];
+  if (p)
+    socket.emit("release_retention", { teamKey: mySelectedTeamKey, name: p.name });
+}
+
 socket.off("auction_started");
 socket.on("auction_started", (data) => {
   auctionStarted = true;
+  retentionState = null;
+  document.getElementById("retentionSection").style.display = "none";
   switchToAuctionMode(data.teams);
   auctionQueue = data.queue;
   logEvent(`<strong>AUCTION STARTED</strong>`, true);
@@ -1426,6 +917,29 @@ function adminRenameTeam(key, newName) {
   socket.emit("admin_rename_team", { key, newName });
 }
 
+function adminSetAiTeam(key, isAI) {
+  if (isAdmin) socket.emit("admin_set_ai_team", { key, isAI });
+}
+
+document.getElementById("aiFillBtn").addEventListener("click", () => {
+  if (isAdmin) socket.emit("admin_fill_ai_teams");
+});
+
+function adminSetPreviousPlayers(key) {
+  const team = globalTeams.find((t) => t.bidKey === key);
+  if (!team) return;
+  const input = prompt(
+    `Previous ${team.name} players eligible for RTM (comma separated):`,
+    (team.previousPlayers || []).join(", ")
+  );
+  if (input === null) return;
+  const players = input
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  socket.emit("admin_set_previous_players", { key, players });
+}
+
 socket.off("lobby_update");
 socket.on("lobby_update", (data) => {
   globalTeams = data.teams;
@@ -1452,146 +966,96 @@ socket.on("team_claim_success", (key) => {
   logEvent("✅ Team ownership restored.", true);
 });
 
-// --- AUCTION QUEUE BUILDER ---
-function buildAuctionQueue() {
-  const queue = [];
-  const seen = new Set();
-  const shuffle = (array) => array.sort(() => Math.random() - 0.5);
-
-  const safePush = (players) => {
-    players.forEach((p) => {
-      if (!seen.has(p.name)) {
-        seen.add(p.name);
-        queue.push(p);
-      }
-    });
-  };
-
-  const createPlayer = (dataObj, setName, roleHint, basePrice, increment) => {
-    let name = typeof dataObj === "object" ? dataObj.name : dataObj;
-    let type = typeof dataObj === "object" ? dataObj.type : "Unknown";
-    const stats = getPlayerStats(name, roleHint);
-    // FIX: Use normalized map for case-insensitive lookup
-    const safeKey = name.toLowerCase();
-    const imageSrc =
-      NORMALIZED_IMAGE_MAP[safeKey] || PLAYER_IMAGE_MAP[name] || null;
-    return {
-      name,
-      category: `${type} ${roleHint}`,
-      roleKey: roleHint.toLowerCase(),
-      basePrice,
-      incrementStep: increment,
-      set: setName,
-      img: imageSrc,
-      stats: stats,
-      playerType: type,
-      isProcessed: false,
-      status: null,
-    };
-  };
+// ======================================================
+// 📥 CUSTOM PLAYER POOL (CSV / JSON Import)
+// ======================================================
+// Host-only. The raw file goes to the server, which validates it and builds
+// every queue itself; a file with any bad row is rejected with per-row errors.
+let selectedPoolId = "ipl";
+
+const POOL_COLUMNS = [
+  "name",
+  "role",
+  "nationality",
+  "set",
+  "basePrice",
+  "bat",
+  "bowl",
+  "luck",
+  "img",
+];
 
-  const marqueeBat = MARQUEE_PLAYERS.batter.map((p) =>
-    createPlayer(p, "Marquee Set (Bat)", "batter", 20000000, 2500000)
-  );
-  const marqueeBowl = MARQUEE_PLAYERS.bowler.map((p) =>
-    createPlayer(p, "Marquee Set (Bowl)", "bowler", 20000000, 2500000)
-  );
-  const marqueeAR = MARQUEE_PLAYERS.allrounder.map((p) =>
-    createPlayer(p, "Marquee Set (AR)", "allrounder", 20000000, 2500000)
-  );
-  const marqueeWK = MARQUEE_PLAYERS.wicketkeeper.map((p) =>
-    createPlayer(p, "Marquee Set (WK)", "wk", 20000000, 2500000)
-  );
+function showPoolImportStatus(html, isError = false) {
+  const el = document.getElementById("poolImportStatus");
+  el.className = `small mt-1 ${isError ? "text-danger" : "text-success"}`;
+  el.innerHTML = html;
+}
 
-  safePush(
-    shuffle([...marqueeBat, ...marqueeBowl, ...marqueeAR, ...marqueeWK])
-  );
+document.getElementById("poolFile").addEventListener("change", (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    socket.emit("upload_player_pool", {
+      fileName: file.name,
+      text: reader.result,
+      isJson: /\.json$/i.test(file.name) || file.type.includes("json"),
+    });
+  };
+  reader.readAsText(file);
+});
 
-  const processCategory = (categoryName, roleName, foreignList, indianList) => {
-    const f = foreignList.map((n) =>
-      createPlayer(
-        { name: n, type: "Foreign" },
-        `${categoryName} (Foreign)`,
-        roleName,
-        15000000,
-        2500000
-      )
-    );
-    const i = indianList.map((n) =>
-      createPlayer(
-        { name: n, type: "Indian" },
-        `${categoryName} (Indian)`,
-        roleName,
-        10000000,
-        2500000
+socket.off("player_pool_result");
+socket.on("player_pool_result", (data) => {
+  const fileName = escapeHtml(data.fileName || "file");
+  if (data.errors.length) {
+    selectedPoolId = "ipl";
+    const shown = data.errors
+      .slice(0, 20)
+      .map((err) =>
+        err.row
+          ? `<div>Row ${err.row}: ${escapeHtml(err.message)}</div>`
+          : `<div>${escapeHtml(err.message)}</div>`
       )
+      .join("");
+    const more =
+      data.errors.length > 20
+        ? `<div>...and ${data.errors.length - 20} more</div>`
+        : "";
+    return showPoolImportStatus(
+      `<strong>${fileName} rejected - built-in pool kept.</strong>${shown}${more}`,
+      true
     );
-    return shuffle([...f, ...i]);
-  };
+  }
 
-  safePush(
-    processCategory(
-      "Batters",
-      "batter",
-      RAW_DATA["Batsmen"].foreign,
-      RAW_DATA["Batsmen"].indian
-    )
-  );
-  safePush(
-    processCategory(
-      "Fast Bowlers",
-      "fast",
-      RAW_DATA["Fast Bowlers"].foreign,
-      RAW_DATA["Fast Bowlers"].indian
-    )
-  );
-  
-  safePush(
-    processCategory(
-      "Spinners",
-      "spinner",
-      RAW_DATA["Spinners"].foreign,
-      RAW_DATA["Spinners"].indian
-    )
-  );
-  safePush(
-    processCategory(
-      "Wicketkeepers",
-      "wk",
-      RAW_DATA["Wicketkeeper"].foreign,
-      RAW_DATA["Wicketkeeper"].indian
-    )
-  );
-  safePush(
-    processCategory(
-      "All-Rounders",
-      "allrounder",
-      RAW_DATA["All-rounders"].foreign,
-      RAW_DATA["All-rounders"].indian
-    )
+  selectedPoolId = "custom";
+  showPoolImportStatus(
+    `Loaded ${data.count} players in ${data.sets} set(s) from ${fileName}.`
   );
+});
 
-  const domBat = RAW_DATA["Domestic"].batsmen.map((n) =>
-    createPlayer(
-      { name: n, type: "Uncapped" },
-      "Domestic Set",
-      "batter",
-      2500000,
-      500000
-    )
-  );
-  const domBowl = RAW_DATA["Domestic"].bowlers.map((n) =>
-    createPlayer(
-      { name: n, type: "Uncapped" },
-      "Domestic Set",
-      "bowler",
-      2500000,
-      500000
-    )
-  );
-  safePush(shuffle([...domBat, ...domBowl]));
+function resetPlayerPool() {
+  selectedPoolId = "ipl";
+  socket.emit("reset_player_pool");
+  document.getElementById("poolFile").value = "";
+  document.getElementById("poolImportStatus").className =
+    "small mt-1 text-white-50";
+  document.getElementById("poolImportStatus").innerText =
+    "Using the built-in player pool.";
+}
 
-  return queue;
+function downloadPoolTemplate() {
+  const csv = [
+    POOL_COLUMNS.join(","),
+    "Smriti Mandhana,batter,Indian,Marquee Set,50L,92,10,85,",
+    "Ellyse Perry,allrounder,Foreign,Marquee Set,50L,88,85,80,",
+    "Shreyanka Patil,spinner,Uncapped,Set 2,10L,35,78,70,",
+  ].join("\n");
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  link.download = "player-pool-template.csv";
+  link.click();
+  URL.revokeObjectURL(link.href);
 }
 
 function switchToAuctionMode(teams) {
@@ -1618,7 +1082,7 @@ socket.on("update_lot", (data) => {
   document.getElementById("pTypeBadge").innerText = p.roleKey.toUpperCase();
 
   const timerEl = document.getElementById("auctionTimer");
-  timerEl.innerText = "10";
+  timerEl.innerText = roomRules.timerSeconds;
   timerEl.classList.remove("timer-danger", "timer-paused");
 
   document.getElementById("skipBtn").disabled = false;
@@ -1641,12 +1105,7 @@ socket.on("update_lot", (data) => {
 
   const bidBtn = document.getElementById("placeBidBtn");
   bidBtn.disabled = false;
-  updateBidControlsState(p);
-
-  const initialInc = parseInt(document.getElementById("customBidInput").value);
-  bidBtn.innerHTML = `BID (+${formatAmount(
-    initialInc
-  )}) <i class="bi bi-hammer"></i>`;
+  updateBidControlsState(data.nextBid);
   bidBtn.style.background = "";
   bidBtn.style.color = "";
 
@@ -1680,13 +1139,13 @@ socket.on("bid_update", (data) => {
   document.getElementById("soldBtn").disabled = false;
 
   const timerEl = document.getElementById("auctionTimer");
-  timerEl.innerText = "10";
+  timerEl.innerText = Math.max(
+    parseInt(timerEl.innerText) || 0,
+    roomRules.bidExtensionSeconds
+  );
   timerEl.classList.remove("timer-danger");
 
-  if (currentActivePlayer) {
-    const input = document.getElementById("customBidInput");
-    if (input) input.value = currentActivePlayer.incrementStep;
-  }
+  updateBidControlsState(data.nextBid);
 
   const bidBtn = document.getElementById("placeBidBtn");
   if (currentHighestBidderKey === mySelectedTeamKey) {
@@ -1696,11 +1155,7 @@ socket.on("bid_update", (data) => {
     bidBtn.style.color = "#888";
   } else {
     bidBtn.disabled = false;
-    const inc = parseInt(document.getElementById("customBidInput").value);
-    const nextBid = data.amount + inc;
-    bidBtn.innerHTML = `BID ${formatAmount(
-      nextBid
-    )} <i class="bi bi-hammer"></i>`;
+    refreshBidButton();
     bidBtn.style.background = "";
     bidBtn.style.color = "";
   }
@@ -1724,44 +1179,36 @@ function submitMyBid() {
   const myTeam = globalTeams.find((t) => t.bidKey === mySelectedTeamKey);
   if (!myTeam) return;
 
-  const currentSquadSize = myTeam.roster ? myTeam.roster.length : 0;
-  if (currentSquadSize >= 25) {
-    alert("SQUAD FULL! You have reached 25 players.");
-    return;
-  }
-
-  if (currentActivePlayer.playerType === "Foreign") {
-    const foreignCount = myTeam.roster
-      ? myTeam.roster.filter((p) => p.playerType === "Foreign").length
-      : 0;
-    if (foreignCount >= 8) {
-      alert("FOREIGN QUOTA FULL! Max 8 allowed.");
-      return;
-    }
-  }
-
-  // FIXED: Logic to increase amount correctly
-  const currentBidText = document.getElementById("pBid").innerText;
-  const inc = parseInt(document.getElementById("customBidInput").value);
-
-  const parsed = parsePrice(currentBidText);
-  // FIX: If parsed is 0 (e.g. "₹-"), we MUST use basePrice.
-  // If parsed > 0, we use it.
-  const current = parsed > 0 ? parsed : currentActivePlayer.basePrice;
-  const bidAmount = current + inc;
-
-  if (myTeam.budget < bidAmount) {
-    alert("INSUFFICIENT BUDGET!");
-    return;
+  // Squad size, foreign quota, purse & max-bid rules are enforced by the server
+  // Plain bids carry no amount: the server applies the next slab increment
+  if (myBidTarget > serverNextBid) {
+    socket.emit("place_bid", {
+      teamKey: mySelectedTeamKey,
+      teamName: myTeam.name,
+      amount: myBidTarget,
+    });
+  } else {
+    socket.emit("bid_next", { teamKey: mySelectedTeamKey });
   }
-
-  socket.emit("place_bid", {
-    teamKey: mySelectedTeamKey,
-    teamName: myTeam.name,
-    amount: bidAmount,
-  });
 }
 
+// Structured rejection from the server's bid validation
+socket.off("bid_rejected");
+socket.on("bid_rejected", (data) => {
+  let msg = data.message;
+  if (data.code === "SQUAD_FULL") msg = `SQUAD FULL! Max ${data.limit} players.`;
+  if (data.code === "FOREIGN_QUOTA_FULL")
+    msg = `FOREIGN QUOTA FULL! Max ${data.limit} allowed.`;
+  if (data.code === "OFF_SLAB_BID" || data.code === "BID_TOO_LOW")
+    msg = `${data.message} Next bid is ${formatAmount(data.nextBid)}.`;
+  if (data.code === "MAX_BID_EXCEEDED")
+    msg = `MAX BID IS ${formatAmount(data.maxBid)} (purse reserved to complete your squad).`;
+
+  logEvent(`❌ Bid rejected: ${msg}`);
+  if (data.code !== "AUCTION_CLOSED" && data.code !== "ALREADY_HIGHEST")
+    alert(msg);
+});
+
 document.getElementById("placeBidBtn").addEventListener("click", submitMyBid);
 document.addEventListener("keydown", (e) => {
   if (lobbyScreen.style.display !== "none") return;
@@ -1806,7 +1253,10 @@ socket.on("timer_ended", () => {
 socket.off("sale_finalized");
 socket.on("sale_finalized", (data) => {
   globalTeams = data.updatedTeams;
-  const pIndex = auctionQueue.findIndex((p) => p.name === data.soldPlayer.name);
+  // Re-auctioned players appear twice: the open lot is the one without a status
+  const pIndex = auctionQueue.findIndex(
+    (p) => p.name === data.soldPlayer.name && !p.status
+  );
   if (pIndex > -1) {
     auctionQueue[pIndex].status = data.isUnsold ? "UNSOLD" : "SOLD";
     auctionQueue[pIndex].soldPrice = data.price;
@@ -1820,15 +1270,18 @@ socket.on("sale_finalized", (data) => {
     data.soldPlayer.roleKey.toUpperCase();
   document.getElementById("soldPlayerImg").src = data.soldPlayer.img || "";
 
+  hideRtmPrompt();
+
   if (!data.isUnsold) {
+    const rtmTag = data.soldDetails.viaRtm ? " (RTM)" : "";
     logEvent(
-      `<strong>SOLD:</strong> ${data.soldPlayer.name} to ${data.soldDetails.soldTeam}`,
+      `<strong>SOLD:</strong> ${data.soldPlayer.name} to ${data.soldDetails.soldTeam}${rtmTag}`,
       true
     );
     document.getElementById("soldToSection").style.display = "block";
     document.getElementById("soldPriceSection").style.display = "block";
     document.getElementById("soldTeamName").innerText =
-      data.soldDetails.soldTeam;
+      data.soldDetails.soldTeam + rtmTag;
     document.getElementById("soldFinalPrice").innerText = formatAmount(
       data.price
     );
@@ -1854,7 +1307,555 @@ socket.on("sale_finalized", (data) => {
 
   setTimeout(() => {
     overlay.classList.remove("overlay-active");
-  }, 3500);
+  }, roomRules.saleDelaySeconds * 1000 - 500);
+});
+
+function adminBidForTeam(teamKey) {
+  const team = globalTeams.find((t) => t.bidKey === teamKey);
+  if (!isAdmin || !team || !currentActivePlayer) return;
+  if (!confirm(`Place the next bid for ${team.name}?`)) return;
+  socket.emit("admin_bid_for_team", { teamKey });
+}
+
+// ======================================================
+// 📒 BID LEDGER
+// ======================================================
+const LEDGER_SOURCE_BADGE = {
+  human: "bg-secondary",
+  auto: "bg-info text-dark",
+  host: "bg-warning text-dark",
+};
+
+function requestBidLedger() {
+  socket.emit("get_bid_ledger", {});
+}
+
+socket.off("bid_ledger");
+socket.on("bid_ledger", (data) => renderBidLedger(data.entries));
+
+function formatLedgerTime(at) {
+  const d = new Date(at);
+  return `${d.toLocaleTimeString("en-IN", { hour12: false })}.${d
+    .getMilliseconds()
+    .toString()
+    .padStart(3, "0")}`;
+}
+
+function renderBidLedger(entries) {
+  const body = document.getElementById("bidLedgerBody");
+  if (!entries.length) {
+    body.innerHTML = `<div class="text-white-50 text-center">No bids yet.</div>`;
+    return;
+  }
+
+  const lots = {};
+  entries.forEach((e) => (lots[e.lotNumber] = lots[e.lotNumber] || []).push(e));
+
+  // Newest lot first and expanded
+  body.innerHTML = Object.keys(lots)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map((lotNumber, i) => {
+      const bids = lots[lotNumber];
+      const accepted = bids.filter((e) => e.accepted);
+      const top = accepted[accepted.length - 1];
+      const rows = bids
+        .map(
+          (e) => `<tr class="${e.accepted ? "" : "opacity-50"}">
+            <td class="font-monospace small">${formatLedgerTime(e.at)}</td>
+            <td>${escapeHtml(e.teamName)}</td>
+            <td>${formatAmount(e.amount)}</td>
+            <td><span class="badge ${LEDGER_SOURCE_BADGE[e.source] || "bg-secondary"}">${e.source.toUpperCase()}</span></td>
+            <td>${
+              e.accepted
+                ? '<i class="bi bi-check-lg text-success"></i>'
+                : `<span class="text-danger small">${e.code}</span>`
+            }</td>
+          </tr>`
+        )
+        .join("");
+      return `<details class="mb-2" ${i === 0 ? "open" : ""}>
+        <summary class="fw-bold">LOT #${lotNumber.toString().padStart(3, "0")} ${escapeHtml(
+        bids[0].playerName || ""
+      )} <span class="text-white-50 small">- ${accepted.length} bid(s)${
+        top ? `, top ${formatAmount(top.amount)} by ${escapeHtml(top.teamName)}` : ""
+      }</span></summary>
+        <table class="table table-dark table-sm mt-2 mb-0">
+          <thead><tr><th>Time</th><th>Team</th><th>Amount</th><th>Source</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>`;
+    })
+    .join("");
+}
+
+// ======================================================
+// 🗂️ QUEUE EDITOR (Host)
+// ======================================================
+// Every change is applied by the server and comes back as queue_updated.
+let queueEditorState = null;
+let draggedLotIndex = null;
+
+function openQueueEditor() {
+  socket.emit("open_queue_editor", { poolId: selectedPoolId });
+}
+
+function editQueue(edit) {
+  socket.emit("queue_edit", edit);
+}
+
+function getUpcomingLots() {
+  return queueEditorState
+    ? queueEditorState.queue.slice(queueEditorState.firstEditable)
+    : [];
+}
+
+socket.off("queue_updated");
+socket.on("queue_updated", (data) => {
+  auctionQueue = data.queue;
+  queueEditorState = data;
+  renderPlayerPool();
+  if (isAdmin) renderQueueEditor();
+});
+
+const getUpcomingSets = () => [...new Set(getUpcomingLots().map((p) => p.set))];
+
+// Actions go by position so names never need escaping in onclick
+function queueLotAction(action, i) {
+  const lot = getUpcomingLots()[i];
+  if (lot) editQueue({ action, name: lot.name });
+}
+
+function queueMoveSet(i, toIndex) {
+  const set = getUpcomingSets()[i];
+  if (set !== undefined) editQueue({ action: "moveSet", set, toIndex });
+}
+
+function queueInsertPlayer() {
+  const name = document.getElementById("queueBenchSelect").value;
+  const position = parseInt(document.getElementById("queueInsertAt").value, 10);
+  if (!name) return;
+  editQueue({
+    action: "insert",
+    name,
+    toIndex: Number.isInteger(position) ? position - 1 : undefined,
+  });
+}
+
+function queueToggleLock() {
+  if (queueEditorState && queueEditorState.lock)
+    return editQueue({ action: "unlock" });
+  editQueue({ action: "lock", seed: document.getElementById("queueSeed").value.trim() });
+}
+
+function renderQueueEditor() {
+  const body = document.getElementById("queueEditorBody");
+  if (!body || !queueEditorState) return;
+  const upcoming = getUpcomingLots();
+  const lock = queueEditorState.lock;
+  const sets = getUpcomingSets();
+
+  document.getElementById("queueLockBtn").innerText = lock ? "UNLOCK" : "LOCK ORDER";
+  document.getElementById("queueSeed").disabled = !!lock;
+  if (lock) document.getElementById("queueSeed").value = lock.seed;
+  document.getElementById("queueLockStatus").innerText = lock
+    ? `Locked with seed ${lock.seed} - the same seed reproduces this order.`
+    : "Unlocked. Leave the seed blank for a random one.";
+
+  document.getElementById("queueSetList").innerHTML = sets
+    .map(
+      (s, i) => `<li class="list-group-item bg-dark text-white border-secondary d-flex align-items-center gap-2 py-1">
+        <span class="me-auto small">${escapeHtml(s)}</span>
+        <button class="btn btn-sm btn-outline-light py-0" ${lock || i === 0 ? "disabled" : ""}
+          onclick="queueMoveSet(${i}, ${i - 1})"><i class="bi bi-arrow-up"></i></button>
+        <button class="btn btn-sm btn-outline-light py-0" ${lock || i === sets.length - 1 ? "disabled" : ""}
+          onclick="queueMoveSet(${i}, ${i + 1})"><i class="bi bi-arrow-down"></i></button>
+      </li>`
+    )
+    .join("");
+
+  body.innerHTML = upcoming.length
+    ? upcoming
+        .map(
+          (p, i) => `<tr draggable="${!lock}" data-lot="${i}">
+            <td class="text-white-50">${i + 1}</td>
+            <td>${lock ? "" : '<i class="bi bi-grip-vertical text-white-50"></i> '}${escapeHtml(p.name)}</td>
+            <td class="small">${escapeHtml(p.set)}</td>
+            <td class="small">${formatAmount(p.basePrice)}</td>
+            <td class="text-end text-nowrap">
+              <button class="btn btn-sm btn-outline-warning py-0" ${lock || i === 0 ? "disabled" : ""}
+                onclick="queueLotAction('next', ${i})">NEXT UP</button>
+              <button class="btn btn-sm btn-outline-danger py-0" ${lock ? "disabled" : ""}
+                onclick="queueLotAction('remove', ${i})"><i class="bi bi-x-lg"></i></button>
+            </td>
+          </tr>`
+        )
+        .join("")
+    : `<tr><td colspan="5" class="text-white-50 text-center">No upcoming lots.</td></tr>`;
+
+  const bench = queueEditorState.bench;
+  document.getElementById("queueBenchSelect").innerHTML = bench.length
+    ? bench
+        .map(
+          (p) =>
+            `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)} - ${escapeHtml(
+              p.set
+            )} (${formatAmount(p.basePrice)})</option>`
+        )
+        .join("")
+    : `<option value="">No players left to insert</option>`;
+  document.getElementById("queueInsertBtn").disabled = !!lock || !bench.length;
+}
+
+// Drag & drop a lot row onto another row to take its place
+document.getElementById("queueEditorBody").addEventListener("dragstart", (e) => {
+  const row = e.target.closest("tr[data-lot]");
+  if (row) draggedLotIndex = Number(row.dataset.lot);
+});
+
+document.getElementById("queueEditorBody").addEventListener("dragover", (e) => {
+  if (draggedLotIndex !== null) e.preventDefault();
+});
+
+document.getElementById("queueEditorBody").addEventListener("drop", (e) => {
+  e.preventDefault();
+  const row = e.target.closest("tr[data-lot]");
+  const lot = getUpcomingLots()[draggedLotIndex];
+  draggedLotIndex = null;
+  if (!row || !lot) return;
+  editQueue({ action: "move", name: lot.name, toIndex: Number(row.dataset.lot) });
+});
+
+// ======================================================
+// 📤 EXPORT
+// ======================================================
+function downloadExport(format, sheet) {
+  if (!myRoomId) return;
+  const params = new URLSearchParams({
+    password: localStorage.getItem("ipl_last_pass") || "",
+    format,
+  });
+  if (sheet) params.set("sheet", sheet);
+  window.location.href = `/api/rooms/${encodeURIComponent(
+    myRoomId
+  )}/export?${params}`;
+}
+
+socket.off("sale_undone");
+socket.on("sale_undone", (data) => {
+  globalTeams = data.updatedTeams;
+  const lot = auctionQueue[data.lotIndex];
+  if (lot) {
+    delete lot.status;
+    delete lot.soldPrice;
+  }
+  acceleratedState = null;
+  hideAcceleratedRound();
+  document.getElementById("saleOverlay").classList.remove("overlay-active");
+  if (data.reopened) closeSquadSelection();
+
+  updateTeamSidebar(globalTeams);
+  renderPlayerPool();
+  const detail = data.teamName
+    ? `${data.teamName} refunded ${formatAmount(data.price)}`
+    : "pass reversed";
+  logEvent(
+    `↩️ <strong>SALE UNDONE:</strong> ${data.player.name} (${detail})`,
+    true
+  );
+  speakText(`The sale of ${data.player.name} has been undone.`);
+});
+
+// ======================================================
+// 🃏 RTM (RIGHT TO MATCH) PROMPTS
+// ======================================================
+socket.off("rtm_prompt");
+socket.on("rtm_prompt", (data) => showRtmPrompt(data));
+
+function showRtmPrompt(data) {
+  const { stage, player, amount, rtmTeam, bidder, seconds } = data;
+  const price = formatAmount(amount);
+
+  const stageText = {
+    OFFER: `${rtmTeam.name} can use RTM on ${player.name} at ${price}`,
+    RAISE: `${rtmTeam.name} used RTM! ${bidder.name} gets one final raise.`,
+    MATCH: `${bidder.name} raised to ${price}. ${rtmTeam.name} to match?`,
+  }[stage];
+  logEvent(`🃏 <strong>RTM:</strong> ${stageText}`, true);
+  document.getElementById(
+    "pTeam"
+  ).innerHTML = `<span class="text-warning">RTM: ${escapeHtml(
+    stage === "RAISE" ? bidder.name : rtmTeam.name
+  )} deciding...</span>`;
+  speakText(stageText);
+
+  const actorKey = stage === "RAISE" ? bidder.bidKey : rtmTeam.bidKey;
+  if (actorKey !== mySelectedTeamKey) return;
+
+  const body = document.getElementById("rtmModalBody");
+  const actions = document.getElementById("rtmModalActions");
+  body.innerHTML = `<div class="fs-4 fw-bold">${escapeHtml(player.name)}</div>
+    <div class="text-white-50 mb-2">${escapeHtml(stageText)}</div>
+    <div class="text-warning small">${seconds}s to decide</div>`;
+
+  if (stage === "RAISE") {
+    const suggested = amount + getSlabIncrement(amount);
+    body.innerHTML += `<input type="number" id="rtmRaiseInput" class="form-control bg-dark text-warning border-secondary text-center mt-3" value="${suggested}" step="500000">`;
+    actions.innerHTML = `<button class="btn btn-gold" onclick="submitRtmRaise(true)">RAISE</button>
+      <button class="btn btn-outline-secondary" onclick="submitRtmRaise(false)">NO RAISE</button>`;
+  } else {
+    actions.innerHTML = `<button class="btn btn-gold" onclick="submitRtmDecision(true)">${
+      stage === "OFFER" ? "USE RTM" : "MATCH " + price
+    }</button>
+      <button class="btn btn-outline-secondary" onclick="submitRtmDecision(false)">DECLINE</button>`;
+  }
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("rtmModal")).show();
+}
+
+function hideRtmPrompt() {
+  const modalEl = document.getElementById("rtmModal");
+  const modal = bootstrap.Modal.getInstance(modalEl);
+  if (modal) modal.hide();
+}
+
+function submitRtmDecision(accept) {
+  socket.emit("rtm_decision", { accept });
+  hideRtmPrompt();
+}
+
+function submitRtmRaise(raise) {
+  const amount = raise
+    ? parseInt(document.getElementById("rtmRaiseInput").value) || 0
+    : 0;
+  socket.emit("rtm_final_raise", { amount });
+  hideRtmPrompt();
+}
+
+// ======================================================
+// ⚡ ACCELERATED ROUNDS (UNSOLD RE-AUCTION)
+// ======================================================
+let acceleratedState = null;
+
+socket.off("accelerated_round");
+socket.on("accelerated_round", (data) => showAcceleratedRound(data));
+
+socket.off("accelerated_round_started");
+socket.on("accelerated_round_started", (data) => {
+  acceleratedState = null;
+  auctionQueue = data.queue;
+  hideAcceleratedRound();
+  logEvent(
+    `⚡ <strong>ACCELERATED ROUND ${data.round}:</strong> ${data.players.length} player(s) back under the hammer`,
+    true
+  );
+  speakText(`Accelerated round ${data.round} is starting.`);
+});
+
+function showAcceleratedRound(data) {
+  if (!acceleratedState || acceleratedState.round !== data.round) {
+    logEvent(
+      `⚡ <strong>UNSOLD NOMINATIONS OPEN</strong> (Round ${data.round})`,
+      true
+    );
+    speakText("Nominate unsold players for the accelerated round.");
+  }
+  acceleratedState = data;
+  renderAcceleratedPanel();
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("acceleratedModal")
+  ).show();
+}
+
+function hideAcceleratedRound() {
+  const modal = bootstrap.Modal.getInstance(
+    document.getElementById("acceleratedModal")
+  );
+  if (modal) modal.hide();
+}
+
+function renderAcceleratedPanel() {
+  const { round, unsold, nominations, basePricePercent } = acceleratedState;
+  const teamName = (key) => {
+    const t = globalTeams.find((team) => team.bidKey === key);
+    return t ? t.name : key;
+  };
+
+  document.getElementById("acceleratedRoundNo").innerText = round;
+  const priceNote =
+    basePricePercent < 100
+      ? `at ${basePricePercent}% of their base price`
+      : "at their base price";
+
+  const rows = unsold
+    .map((p, i) => {
+      const by = nominations[p.name] || [];
+      const mine = by.includes(mySelectedTeamKey);
+      return `<div class="d-flex justify-content-between align-items-center border-bottom border-secondary py-2">
+        <div>
+          <div class="fw-bold">${escapeHtml(p.name)} <span class="badge bg-secondary">${p.roleKey.toUpperCase()}</span></div>
+          <div class="small text-white-50">${formatAmount(p.reauctionPrice)}${
+        by.length
+          ? ` | <span class="text-info">${by.map((k) => escapeHtml(teamName(k))).join(", ")}</span>`
+          : ""
+      }</div>
+        </div>
+        ${
+          mySelectedTeamKey
+            ? `<button class="btn btn-sm ${mine ? "btn-info" : "btn-outline-info"}" onclick="nominateUnsold(${i})">${
+                mine ? "NOMINATED" : "NOMINATE"
+              }</button>`
+            : ""
+        }
+      </div>`;
+    })
+    .join("");
+
+  document.getElementById(
+    "acceleratedModalBody"
+  ).innerHTML = `<div class="small text-white-50 mb-2">Nominated players go back under the hammer ${priceNote}.</div>${rows}`;
+
+  const count = Object.keys(nominations).length;
+  document.getElementById("acceleratedModalActions").innerHTML = isAdmin
+    ? `<button class="btn btn-gold" onclick="startAcceleratedRound()">${
+        count ? `START ROUND (${count})` : "NO NOMINATIONS - FINISH"
+      }</button>
+      <button class="btn btn-outline-danger" onclick="finishAuctionNow()">FINISH AUCTION</button>`
+    : `<span class="text-white-50 small">Waiting for the host to start the round...</span>`;
+}
+
+function nominateUnsold(index) {
+  const player = acceleratedState && acceleratedState.unsold[index];
+  if (!player || !mySelectedTeamKey) return;
+  socket.emit("nominate_unsold", {
+    teamKey: mySelectedTeamKey,
+    name: player.name,
+  });
+}
+
+function startAcceleratedRound() {
+  if (isAdmin) socket.emit("start_accelerated_round");
+}
+
+function finishAuctionNow() {
+  if (isAdmin && confirm("End Auction?")) socket.emit("end_auction_trigger");
+}
+
+// ======================================================
+// 🤖 AUTO-BID AGENT
+// ======================================================
+// Limits stay on the server; the room only learns who is on auto-bid.
+function openAutoBidModal() {
+  if (!mySelectedTeamKey) return alert("Claim a team first!");
+  document.getElementById("autoBidError").innerText = "";
+  socket.emit("autobid_get", { teamKey: mySelectedTeamKey });
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("autoBidModal")
+  ).show();
+}
+
+// "Name: 2Cr" lines <-> { Name: 20000000 }
+function parsePriceLines(text) {
+  const result = {};
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const cut = line.lastIndexOf(":");
+      if (cut === -1) return;
+      result[line.slice(0, cut).trim()] = Math.round(
+        parsePrice(line.slice(cut + 1).trim())
+      );
+    });
+  return result;
+}
+
+function formatPriceLines(map) {
+  return Object.entries(map || {})
+    .map(([key, amount]) => `${key}: ${formatAmount(amount).replace("₹", "")}`)
+    .join("\n");
+}
+
+function readAutoBidForm() {
+  const config = {
+    maxByRole: {},
+    needs: {},
+    maxBySet: parsePriceLines(document.getElementById("autoBidSets").value),
+    maxByPlayer: parsePriceLines(
+      document.getElementById("autoBidPlayers").value
+    ),
+  };
+  document.querySelectorAll("[data-autobid-role]").forEach((el) => {
+    if (el.value.trim())
+      config.maxByRole[el.dataset.autobidRole] = Math.round(
+        parsePrice(el.value.trim())
+      );
+  });
+  document.querySelectorAll("[data-autobid-need]").forEach((el) => {
+    if (el.value !== "") config.needs[el.dataset.autobidNeed] = parseInt(el.value);
+  });
+  return config;
+}
+
+function fillAutoBidForm(config) {
+  const c = config || {};
+  document.querySelectorAll("[data-autobid-role]").forEach((el) => {
+    const amount = (c.maxByRole || {})[el.dataset.autobidRole];
+    el.value = amount ? formatAmount(amount).replace("₹", "") : "";
+  });
+  document.querySelectorAll("[data-autobid-need]").forEach((el) => {
+    const need = (c.needs || {})[el.dataset.autobidNeed];
+    el.value = need === undefined ? "" : need;
+  });
+  document.getElementById("autoBidSets").value = formatPriceLines(c.maxBySet);
+  document.getElementById("autoBidPlayers").value = formatPriceLines(
+    c.maxByPlayer
+  );
+}
+
+function saveAutoBid() {
+  if (!mySelectedTeamKey) return;
+  socket.emit("autobid_set", {
+    teamKey: mySelectedTeamKey,
+    config: readAutoBidForm(),
+  });
+}
+
+function disableAutoBid() {
+  if (!mySelectedTeamKey) return;
+  socket.emit("autobid_disable", { teamKey: mySelectedTeamKey });
+}
+
+socket.off("autobid_config");
+socket.on("autobid_config", ({ teamKey, config }) => {
+  if (teamKey !== mySelectedTeamKey) return;
+  fillAutoBidForm(config);
+  document.getElementById("autoBidError").innerText = "";
+  document.getElementById("autoBidStatus").innerHTML = config
+    ? `<span class="text-info">Agent is bidding for your team.</span>`
+    : `<span class="text-white-50">You are in control. The agent is off.</span>`;
+  document.getElementById("autoBidBtn").className = `btn ${
+    config ? "btn-info" : "btn-outline-info"
+  } fw-bold`;
+});
+
+socket.off("autobid_error");
+socket.on("autobid_error", (errors) => {
+  document.getElementById("autoBidError").innerText = errors.join("\n");
+});
+
+socket.off("autobid_status");
+socket.on("autobid_status", ({ teamKey, active }) => {
+  const team = globalTeams.find((t) => t.bidKey === teamKey);
+  if (!team) return;
+  team.autoBidActive = active;
+  logEvent(
+    active
+      ? `🤖 <strong>${team.name}</strong> handed over to the auto-bid agent`
+      : `🤖 <strong>${team.name}</strong> is back in control`
+  );
+  updateTeamSidebar(globalTeams);
 });
 
 function setupBidControls() {
@@ -1867,8 +1868,8 @@ function setupBidControls() {
 
     inputContainer.innerHTML = `
             <div class="flex-grow-1">
-                <div class="small text-center text-white-50" style="font-size: 0.6rem; letter-spacing:1px;">INCREMENT</div>
-                <input type="number" id="customBidInput" class="form-control bg-dark text-warning border-secondary fw-bold text-center p-0 display-font fs-4" value="2500000" readonly style="height: 35px;">
+                <div class="small text-center text-white-50" style="font-size: 0.6rem; letter-spacing:1px;">JUMP</div>
+                <input type="number" id="customBidInput" class="form-control bg-dark text-warning border-secondary fw-bold text-center p-0 display-font fs-4" value="0" readonly style="height: 35px;">
             </div>
             <button id="incBidBtn" class="btn btn-outline-success fw-bold" style="height: 45px; width: 45px; border-radius: 8px;">+</button>
         `;
@@ -1878,28 +1879,34 @@ function setupBidControls() {
   }
 }
 
+// "+" walks one more step up the slab ladder (a jump bid)
 function adjustIncrement(isIncrease) {
+  if (!isIncrease) return;
+  myBidTarget += getSlabIncrement(myBidTarget);
+  refreshBidButton();
+}
+
+// Mirrors the server slab table (bidRules.getIncrement) for display only
+function getSlabIncrement(amount) {
+  const slabs = roomRules.incrementSlabs;
+  const slab = slabs.find((s) => s.upTo === null || amount < s.upTo);
+  return (slab || slabs[slabs.length - 1]).step;
+}
+
+function updateBidControlsState(nextBid) {
+  serverNextBid = nextBid;
+  myBidTarget = nextBid;
+  refreshBidButton();
+}
+
+function refreshBidButton() {
   const input = document.getElementById("customBidInput");
-  let val = parseInt(input.value);
-  const step = 2500000;
-  if (isIncrease) val += step;
-  input.value = val;
+  if (input) input.value = myBidTarget - serverNextBid;
   const bidBtn = document.getElementById("placeBidBtn");
-  if (bidBtn && !bidBtn.disabled) {
-    let currentPrice = parsePrice(document.getElementById("pBid").innerText);
-    if (document.getElementById("pBid").innerText.includes("-"))
-      currentPrice = currentActivePlayer.basePrice - val;
-    if (currentPrice < 0) currentPrice = 0;
-    const nextPrice = currentPrice + val;
+  if (bidBtn && !bidBtn.disabled)
     bidBtn.innerHTML = `BID ${formatAmount(
-      nextPrice
+      myBidTarget
     )} <i class="bi bi-hammer"></i>`;
-  }
-}
-
-function updateBidControlsState(player) {
-  const input = document.getElementById("customBidInput");
-  if (input) input.value = player.incrementStep;
 }
 
 function updateTeamSidebar(teams) {
@@ -1914,19 +1921,27 @@ function updateTeamSidebar(teams) {
       card.id = `team-card-${t.bidKey}`;
       card.className = "franchise-card";
       if (isMine) card.classList.add("my-team");
+      if (isAdmin) {
+        // Host can enter a bid for a team bidding from the room
+        card.style.cursor = "pointer";
+        card.title = "Host: bid for this team";
+        card.addEventListener("click", () => adminBidForTeam(t.bidKey));
+      }
       card.innerHTML = `
                 <div class="f-header">
                     <div class="f-name text-white text-truncate" style="max-width: 120px;">
                         ${t.name} ${
         isMine ? '<i class="bi bi-person-fill text-success"></i>' : ""
-      }
+      }${
+        t.isAI ? '<i class="bi bi-cpu text-info" title="AI franchise"></i>' : ""
+      } <i class="bi bi-robot text-info f-auto" style="display: none;" title="Auto-bid agent"></i>
                     </div>
                     <div class="f-budget">${formatAmount(t.budget)}</div> 
                 </div>
                 <div class="mobile-squad-info" style="display: ${
                   isMobile ? "block" : "none"
                 }; font-size: 0.7rem; color: #aaa; margin-top: 4px;">
-                    SQUAD: <span class="sq-count">0</span>/25
+                    SQUAD: <span class="sq-count">0</span>/${roomRules.maxSquad}
                     <div class="mobile-progress-bar" style="height: 4px; background: #333; margin-top: 2px; border-radius: 2px;">
                         <div class="sq-progress" style="width: 0%; height: 100%; background: #00E676;"></div>
                     </div>
@@ -1951,15 +1966,19 @@ function updateTeamSidebar(teams) {
     const foreignCount = t.roster
       ? t.roster.filter((p) => p.playerType === "Foreign").length
       : 0;
-    const rtmCount = t.rtmsUsed || 0;
+    const rtmCount = `${t.rtmsUsed || 0}/${t.rtmCards || 0}`;
     card.querySelector(".f-budget").innerText = formatAmount(t.budget);
     const sqCountEl = card.querySelector(".sq-count");
     if (sqCountEl) sqCountEl.innerText = squadCount;
     const sqProgEl = card.querySelector(".sq-progress");
-    if (sqProgEl) sqProgEl.style.width = `${(squadCount / 25) * 100}%`;
+    if (sqProgEl)
+      sqProgEl.style.width = `${(squadCount / roomRules.maxSquad) * 100}%`;
     card.querySelector(".sq-val").innerText = squadCount;
     card.querySelector(".frgn-val").innerText = foreignCount;
     card.querySelector(".rtm-val").innerText = rtmCount;
+    card.querySelector(".f-auto").style.display = t.autoBidActive
+      ? "inline"
+      : "none";
   });
 }
 
@@ -1984,6 +2003,12 @@ document.getElementById("skipBtn").addEventListener("click", () => {
 document
   .getElementById("timerToggleBtn")
   .addEventListener("click", () => isAdmin && socket.emit("toggle_timer"));
+// Also on the squad selection screen: the final lot can be taken back too
+function confirmUndoSale() {
+  if (isAdmin && confirm("Undo the last sale? The lot will be re-opened."))
+    socket.emit("undo_last_sale");
+}
+document.getElementById("undoSaleBtn").addEventListener("click", confirmUndoSale);
 document
   .getElementById("endAuctionBtn")
   .addEventListener(
@@ -2005,9 +2030,13 @@ function updatePauseButtonState(isPaused) {
 let mySelectedSquad11 = [];
 let mySelectedImpact = null;
 let mySelectedCaptain = null;
+let mySelectedBowlingPlan = Array(20).fill(null); // over -> bowler name (null = auto)
+let mySuperOverPicks = { batters: [null, null, null], bowler: null };
 
 socket.off("open_squad_selection");
 socket.on("open_squad_selection", () => {
+  acceleratedState = null;
+  hideAcceleratedRound();
   document
     .getElementById("squadSelectionScreen")
     .classList.add("overlay-active");
@@ -2015,6 +2044,24 @@ socket.on("open_squad_selection", () => {
   speakText("Auction Ended. Please select your Squad.");
 });
 
+// Auction re-opened by an undo: squads are picked again once it ends
+function closeSquadSelection() {
+  mySelectedSquad11 = [];
+  mySelectedImpact = null;
+  mySelectedCaptain = null;
+  mySelectedBowlingPlan = Array(20).fill(null);
+  mySuperOverPicks = { batters: [null, null, null], bowler: null };
+  const submitBtn = document.getElementById("submitSquadBtn");
+  submitBtn.innerHTML = "SUBMIT SQUAD";
+  submitBtn.disabled = true;
+  const waitMsg = document.getElementById("waitingMsg");
+  waitMsg.innerHTML = "WAITING FOR OTHER TEAMS...";
+  waitMsg.classList.add("d-none");
+  document
+    .getElementById("squadSelectionScreen")
+    .classList.remove("overlay-active");
+}
+
 function countForeigners(list) {
   return list.filter((p) => p.playerType === "Foreign").length;
 }
@@ -2029,6 +2076,7 @@ function normalizeTeamStats(team) {
     p: team.stats?.played ?? 0,
     w: team.stats?.won ?? 0,
     l: team.stats?.lost ?? 0,
+    nr: team.stats?.noResult ?? 0,
     pts: team.stats?.pts ?? 0,
     nrr: team.stats?.nrr?.toFixed?.(3) ?? "0.000",
     name: team.name
@@ -2086,6 +2134,8 @@ function renderMySquadSelection() {
     list.innerHTML += `<div class="player-check-card p11-card" id="p11-${originalIndex}" onclick="toggleP11(${originalIndex}, '${p.name}')"><span class="squad-number">${num}</span><div class="fw-bold text-white flex-grow-1">${p.name} <span class="role-icon">${roleIcon}</span> ${badge}</div>${captainBtn}</div>`;
     impList.innerHTML += `<div class="player-check-card impact-card" id="imp-${originalIndex}" onclick="toggleImpact(${originalIndex}, '${p.name}')"><div class="fw-bold text-white flex-grow-1">${p.name} <span class="role-icon">${roleIcon}</span> ${badge}</div></div>`;
   });
+  renderBowlingPlan();
+  renderSuperOverPicks();
   updateSquadUI();
 }
 
@@ -2104,8 +2154,9 @@ function toggleP11(i, name) {
   } else {
     if (mySelectedSquad11.length >= 11) return alert("Max 11 Players");
     const currentForeignCount = countForeigners(mySelectedSquad11);
-    if (p.playerType === "Foreign" && currentForeignCount >= 4)
-      return alert("MAX 4 FOREIGN PLAYERS ALLOWED IN PLAYING XI!");
+    const maxForeignXI = roomRules.playingXI.maxForeign;
+    if (p.playerType === "Foreign" && currentForeignCount >= maxForeignXI)
+      return alert(`MAX ${maxForeignXI} FOREIGN PLAYERS ALLOWED IN PLAYING XI!`);
     mySelectedSquad11.push(p);
   }
   renderMySquadSelection();
@@ -2127,6 +2178,88 @@ function setCaptain(name) {
   renderMySquadSelection();
 }
 
+// --- BOWLING PLAN (same laws as bowlingPlan.js on the server) ---
+function getBowlingPlanErrors() {
+  const errors = [];
+  const counts = {};
+  mySelectedBowlingPlan.forEach((name, i) => {
+    if (!name) return;
+    if (name === mySelectedBowlingPlan[i - 1])
+      errors.push(`Over ${i + 1}: ${name} can't bowl consecutive overs`);
+    counts[name] = (counts[name] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([name, count]) => {
+    if (count > 4) errors.push(`${name} is planned for ${count} overs (max 4)`);
+  });
+  return errors;
+}
+
+function renderBowlingPlan() {
+  // Players dropped from the XI go back to auto
+  mySelectedBowlingPlan = mySelectedBowlingPlan.map((name) =>
+    mySelectedSquad11.some((p) => p.name === name) ? name : null
+  );
+  const options = mySelectedSquad11.filter(
+    (p) => (p.roleKey || "").toLowerCase() !== "wk"
+  );
+
+  document.getElementById("bowlingPlanGrid").innerHTML = mySelectedBowlingPlan
+    .map(
+      (name, i) => `<div class="col-3"><label class="small text-white-50 d-block">Over ${i + 1}</label>
+        <select class="form-select form-select-sm bg-dark text-white border-secondary" onchange="setPlannedBowler(${i}, this.value)">
+          <option value="">Auto</option>
+          ${options.map((p) => `<option value="${escapeHtml(p.name)}" ${p.name === name ? "selected" : ""}>${escapeHtml(p.name)}</option>`).join("")}
+        </select></div>`
+    )
+    .join("");
+  document.getElementById("bowlingPlanErrors").innerHTML = getBowlingPlanErrors().map(escapeHtml).join("<br>");
+}
+
+// --- SUPER OVER PICKS (see superOver.js) ---
+function renderSuperOverPicks() {
+  const inXI = (name) => mySelectedSquad11.some((p) => p.name === name);
+  mySuperOverPicks.batters = mySuperOverPicks.batters.map((n) => (inXI(n) ? n : null));
+  if (!inXI(mySuperOverPicks.bowler)) mySuperOverPicks.bowler = null;
+
+  const select = (label, value, onchange, players) => `<div class="col-3"><label class="small text-white-50 d-block">${label}</label>
+      <select class="form-select form-select-sm bg-dark text-white border-secondary" onchange="${onchange}">
+        <option value="">Auto</option>
+        ${players
+          .map((p) => `<option value="${escapeHtml(p.name)}" ${p.name === value ? "selected" : ""}>${escapeHtml(p.name)}</option>`)
+          .join("")}
+      </select></div>`;
+
+  document.getElementById("superOverPicks").innerHTML =
+    mySuperOverPicks.batters
+      .map((name, i) => select(`Batter ${i + 1}`, name, `setSuperOverBatter(${i}, this.value)`, mySelectedSquad11))
+      .join("") +
+    select(
+      "Bowler",
+      mySuperOverPicks.bowler,
+      "setSuperOverBowler(this.value)",
+      mySelectedSquad11.filter((p) => (p.roleKey || "").toLowerCase() !== "wk")
+    );
+}
+
+function setSuperOverBatter(slot, name) {
+  if (name && mySuperOverPicks.batters.some((n, i) => n === name && i !== slot)) {
+    alert(`${name} is already a Super Over batter`);
+  } else {
+    mySuperOverPicks.batters[slot] = name || null;
+  }
+  renderSuperOverPicks();
+}
+
+function setSuperOverBowler(name) {
+  mySuperOverPicks.bowler = name || null;
+}
+
+function setPlannedBowler(over, name) {
+  mySelectedBowlingPlan[over] = name || null;
+  renderBowlingPlan();
+  updateSquadUI();
+}
+
 function updateSquadUI() {
   document.querySelectorAll(".p11-card").forEach((e) => {
     if (e.querySelector(".squad-number").innerText !== "")
@@ -2139,29 +2272,35 @@ function updateSquadUI() {
     else e.classList.remove("checked");
   });
 
+  const xiRules = roomRules.playingXI;
   const fCount = countForeigners(mySelectedSquad11);
-  const fColor = fCount > 4 ? "text-danger" : "text-white-50";
+  const fColor = fCount > xiRules.maxForeign ? "text-danger" : "text-white-50";
   const wkCount = countKeepers(mySelectedSquad11);
-  const wkColor = wkCount < 1 ? "text-danger" : "text-white-50";
+  const wkColor = wkCount < xiRules.minKeepers ? "text-danger" : "text-white-50";
 
   document.getElementById(
     "p11Count"
   ).innerText = `${mySelectedSquad11.length}/11 Selected`;
   document.getElementById(
     "foreignCountDisplay"
-  ).innerHTML = `<span class="${fColor}">Foreign: ${fCount}/4</span>`;
+  ).innerHTML = `<span class="${fColor}">Foreign: ${fCount}/${xiRules.maxForeign}</span>`;
   document.getElementById(
     "wkCountDisplay"
-  ).innerHTML = `<span class="${wkColor}">WK: ${wkCount}/1</span>`;
+  ).innerHTML = `<span class="${wkColor}">WK: ${wkCount}/${xiRules.minKeepers}</span>`;
   document.getElementById("impactCount").innerText = `${
     mySelectedImpact ? 1 : 0
   }/1 Selected`;
 
+  document.getElementById("impactSection").style.display =
+    xiRules.impactPlayer ? "block" : "none";
+
   const isValid =
     mySelectedSquad11.length === 11 &&
-    mySelectedImpact &&
-    wkCount >= 1 &&
-    mySelectedCaptain;
+    (mySelectedImpact || !xiRules.impactPlayer) &&
+    fCount <= xiRules.maxForeign &&
+    wkCount >= xiRules.minKeepers &&
+    mySelectedCaptain &&
+    getBowlingPlanErrors().length === 0;
   document.getElementById("submitSquadBtn").disabled = !isValid;
 }
 
@@ -2171,6 +2310,11 @@ document.getElementById("submitSquadBtn").addEventListener("click", () => {
     playing11: mySelectedSquad11,
     impact: mySelectedImpact,
     captain: mySelectedCaptain,
+    bowlingPlan: mySelectedBowlingPlan.some(Boolean) ? mySelectedBowlingPlan : null,
+    superOver: {
+      batters: mySuperOverPicks.batters.filter(Boolean),
+      bowler: mySuperOverPicks.bowler,
+    },
   });
   document.getElementById("submitSquadBtn").innerHTML =
     "SUBMITTED <i class='bi bi-check'></i>";
@@ -2187,6 +2331,13 @@ function forceRunSim() {
   socket.emit("startTournament", { teams: globalTeams });
 }
 
+// Same squads + same seed = the same season, ball for ball
+function replayTournament() {
+  const seed = document.getElementById("replaySeedInput").value.trim();
+  if (!seed) return alert("Enter the seed of the season to replay.");
+  socket.emit("startTournament", { seed });
+}
+
 socket.off("squad_submission_update");
 socket.on("squad_submission_update", (d) => {
   const msgEl = document.getElementById("waitingMsg");
@@ -2255,6 +2406,10 @@ socket.on("tournamentComplete", (results) => {
   document.getElementById("winnerName").innerText = winnerText || "Unknown";
   document.getElementById("runnerName").innerText =
     results.runnerUp || "Runner Up";
+  document.getElementById("resSeed").innerText =
+    results.seed !== undefined ? results.seed : "-";
+  document.getElementById("replaySeedInput").value =
+    results.seed !== undefined ? results.seed : "";
 
   document.getElementById("resOrange").innerText = results.orangeCap.name;
   document.getElementById(
@@ -2283,6 +2438,8 @@ function renderLeaderboard(results) {
         s.w
       }</td><td class="text-center text-danger">${
         s.l
+      }</td><td class="text-center text-white-50">${
+        s.nr
       }</td><td class="text-center fw-bold">${
         s.nrr
       }</td><td class="text-center fw-bold text-warning">${
@@ -2323,6 +2480,72 @@ function renderLeaderboard(results) {
   speakText("Simulation Complete. The winner is " + winnerText);
 });
 
+// ======================================================
+// 📈 SEASON PROJECTION (Monte Carlo)
+// ======================================================
+let lastProjection = null;
+
+function requestProjection() {
+  if (!lastProjection) socket.emit("get_projection");
+}
+
+function runProjection() {
+  const seasons = parseInt(document.getElementById("projectionSeasons").value, 10);
+  socket.emit("run_projection", { seasons });
+}
+
+socket.off("projection_progress");
+socket.on("projection_progress", ({ done, total }) => {
+  document.getElementById("runProjectionBtn").disabled = true;
+  document.getElementById("projectionStatus").innerText = `Simulating... ${done} / ${total} seasons`;
+});
+
+socket.off("projection_complete");
+socket.on("projection_complete", (projection) => {
+  lastProjection = projection;
+  document.getElementById("runProjectionBtn").disabled = false;
+  renderProjection(projection);
+});
+
+function renderProjection(projection) {
+  document.getElementById("projectionStatus").innerText = `${projection.seasons} seasons simulated (seeds from ${projection.firstSeed}).`;
+
+  const rows = projection.teams
+    .map(
+      (t, i) => `<tr><td>${i + 1}</td><td class="text-start">${escapeHtml(t.name)}</td>
+        <td class="fw-bold text-warning">${t.titlePct.toFixed(1)}%</td>
+        <td>${t.playoffPct.toFixed(1)}%</td>
+        <td>${t.avgPts.toFixed(2)}</td>
+        <td>${t.avgNrr.toFixed(3)}</td></tr>`
+    )
+    .join("");
+
+  const squads = projection.teams
+    .map((t) => {
+      // Batting order, impact player last
+      const players = t.players
+        .map(
+          (p) => `<tr><td class="text-start">${getRoleIcon(p.roleKey || "bat")} ${escapeHtml(p.name)}</td>
+            <td>${p.expRuns.toFixed(1)}</td><td>${p.expWkts.toFixed(2)}</td></tr>`
+        )
+        .join("");
+      return `<details class="mb-2"><summary class="fw-bold">${escapeHtml(t.name)}</summary>
+        <table class="table table-dark table-sm text-center mt-2 mb-0">
+          <thead><tr><th class="text-start">Player</th><th>Exp. Runs</th><th>Exp. Wkts</th></tr></thead>
+          <tbody>${players}</tbody>
+        </table></details>`;
+    })
+    .join("");
+
+  document.getElementById("projectionContainer").innerHTML = `<div class="table-responsive mb-4">
+      <table class="points-table text-center">
+        <thead><tr><th>POS</th><th class="text-start">TEAM</th><th>WIN TITLE</th><th>PLAYOFFS</th><th>AVG PTS</th><th>AVG NRR</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <h5 class="text-white-50 display-font">EXPECTED PER SEASON</h5>${squads}`;
+}
+
 // --- MATCH FILTER LOGIC ---
 window.filterMatchLogs = function(teamName) {
     const mLog = document.getElementById("matchLogContainer");
@@ -2389,12 +2612,57 @@ function renderAllTeams(teamsData) {
 }
 
 // --- MATCH CARD CREATOR ---
+// "Wankhede Stadium, Mumbai · MI won the toss & chose to bowl"
+function formatVenueToss(m) {
+  if (!m.venue) return "";
+  const toss = m.toss ? ` · ${m.toss.winner} won the toss & chose to ${m.toss.decision}` : "";
+  return `<i class="bi bi-geo-alt-fill"></i> ${m.venue.ground}, ${m.venue.city}${toss}`;
+}
+
+// "MI won by 5 wkts" / "MI won the Super Over" / "No result"
+function formatResult(m) {
+  if (m.margin.startsWith("Super Over")) return `${m.winnerName} won the ${m.margin}`;
+  if (!m.winnerName) return m.margin;
+  if (m.margin.startsWith("No result")) return `${m.margin}: ${m.winnerName}`;
+  return `${m.winnerName} won by ${m.margin}`;
+}
+
+// "🌧 Rain delayed the start: 12 overs a side"
+function formatWeather(m) {
+  return m.weather ? `<i class="bi bi-cloud-rain-fill"></i> ${m.weather.text}` : "";
+}
+
+// Super Overs are short enough to show every ball: 1 · 4 · W · Wd
+function renderSuperOverBalls(inn) {
+  const balls = inn.ballLog.map((b) => {
+    if (b.wicket) return `<span class="badge bg-danger" title="${b.dismissal}">W</span>`;
+    if (b.extra) return `<span class="badge bg-secondary">${b.extra === "WIDE" ? "Wd" : "Nb"}</span>`;
+    return `<span class="badge ${b.runs >= 4 ? "bg-warning text-dark" : "bg-dark border border-secondary"}">${b.runs}</span>`;
+  });
+  return `<div class="d-flex gap-1 justify-content-center mb-1">${balls.join("")}</div>`;
+}
+
+// Collapsed ball-by-ball list under an innings, same lines as the live feed
+function renderBallLog(ballLog, id) {
+  const lines = ballLog.map(
+    (b) => `<div class="border-bottom border-secondary py-1"><span class="text-white-50 me-2">${b.over}</span>${liveBallBadge(b)}
+      <span class="ms-2">${escapeHtml(b.bowler)} to ${escapeHtml(b.batsman)}, ${escapeHtml(b.dismissal || b.commentary)}</span></div>`
+  );
+  return `<div class="text-center mt-2"><button class="btn btn-xs btn-outline-secondary" data-bs-toggle="collapse" data-bs-target="#${id}">Ball by Ball</button></div>
+    <div id="${id}" class="collapse small text-white mt-2" style="max-height: 240px; overflow-y: auto;">${lines.join("")}</div>`;
+}
+
 function createMatchCard(m, isPlayoff = false, index) {
   const topScorerName = m.topScorer ? m.topScorer.name : "-";
   const topScorerRuns = m.topScorer ? m.topScorer.runs : "0";
   const bestBowlerName = m.bestBowler ? m.bestBowler.name : "-";
   const bestBowlerFigs = m.bestBowler ? m.bestBowler.figures : "0-0";
   const momName = m.topScorer ? m.topScorer.name : m.winnerName || "-";
+  // Washed-out matches have "-" for both scores
+  const scoreHtml = (score) =>
+    score === "-"
+      ? "-"
+      : `${clampT20Score(score).split("/")[0]}<span class="fs-6 text-white-50">/${score.split("/")[1]}</span>`;
 
   let footerHtml = `<div class="d-flex justify-content-between w-100 px-2"><div class="perf-item"><span class="role-badge role-bat me-2">BAT</span> <span class="text-white">${topScorerName} <span class="text-warning">(${topScorerRuns})</span></span></div><div class="perf-item"><span class="role-badge role-bowl me-2">BOWL</span> <span class="text-white">${bestBowlerName} <span class="text-info">(${bestBowlerFigs})</span></span></div></div>`;
 
@@ -2408,21 +2676,37 @@ function createMatchCard(m, isPlayoff = false, index) {
   }" ${clickFn} style="cursor: pointer;"><div class="match-header"><div class="match-type-label">${m.type.toUpperCase()}</div><div class="mom-star"><i class="bi bi-star-fill"></i> ${momName}</div></div><div class="match-content"><div class="team-score-box"><div class="ts-name">${
     m.t1
   }</div><div class="ts-score">${
-    clampT20Score(m.score1).split("/")[0]
-  }<span class="fs-6 text-white-50">/${
-    m.score1.split("/")[1]
-  }</span></div></div><div class="vs-tag">VS</div><div class="team-score-box"><div class="ts-name">${
+    scoreHtml(m.score1)
+  }</div></div><div class="vs-tag">VS</div><div class="team-score-box"><div class="ts-name">${
     m.t2
   }</div><div class="ts-score">${
-    clampT20Score(m.score2).split("/")[0]
-  }<span class="fs-6 text-white-50">/${
-    m.score2.split("/")[1]
-  }</span></div></div></div><div class="win-status">${m.winnerName} won by ${
-    m.margin
-  }</div><div class="match-footer" style="flex-direction:column; align-items:stretch;">${footerHtml}</div></div>`;
+    scoreHtml(m.score2)
+  }</div></div></div><div class="win-status">${formatResult(m)}</div>${
+    m.venue ? `<div class="small text-white-50 text-center px-2 pb-1" style="font-size:0.7rem;">${formatVenueToss(m)}</div>` : ""
+  }${
+    m.weather ? `<div class="small text-info text-center px-2 pb-1" style="font-size:0.7rem;">${formatWeather(m)}</div>` : ""
+  }<div class="match-footer" style="flex-direction:column; align-items:stretch;">${footerHtml}</div></div>`;
 }
 
 // --- OPEN SCORECARD (DETAILED) ---
+// "MS Dhoni +17% morale, 3 balls"
+function formatCaptaincy(c) {
+  const morale = `${c.morale >= 0 ? "+" : ""}${Math.round(c.morale * 100)}%`;
+  return `<span class="text-warning">${c.name}</span> ${morale} morale, ${c.swings} ball${c.swings === 1 ? "" : "s"}`;
+}
+
+// "Pant 2 ct, 1 st · Jadeja 1 ro"
+function formatFielding(fielding) {
+  return fielding
+    .map((f) => {
+      const credits = [[f.catches, "ct"], [f.stumpings, "st"], [f.runOuts, "ro"]]
+        .filter(([n]) => n > 0)
+        .map(([n, label]) => `${n} ${label}`);
+      return `<span class="text-white">${f.name}</span> ${credits.join(", ")}`;
+    })
+    .join(" · ");
+}
+
 function openScorecard(type, index) {
   if (!lastTournamentData) return;
   
@@ -2442,7 +2726,9 @@ function openScorecard(type, index) {
 
   if (!matchData.details) {
      const modalBody = document.getElementById("detailedScorecardContent");
-     modalBody.innerHTML = "<div class='p-4 text-white text-center'>Detailed scorecard not generated for this match.</div>";
+     modalBody.innerHTML = matchData.weather
+       ? `<div class='p-4 text-white text-center'>${formatWeather(matchData)}<br><span class='text-success fw-bold text-uppercase'>${formatResult(matchData)}</span></div>`
+       : "<div class='p-4 text-white text-center'>Detailed scorecard not generated for this match.</div>";
      const modal = new bootstrap.Modal(document.getElementById("scorecardModal"));
      modal.show();
      return;
@@ -2452,18 +2738,22 @@ function openScorecard(type, index) {
   const d = matchData.details;
   const modalBody = document.getElementById("detailedScorecardContent");
   
+  let logCount = 0; // ids for the ball log toggles
+
   // Helper to render one innings table
   const renderInningsTable = (inn, title) => {
       let batRows = "";
       inn.bat.forEach(b => {
           batRows += `
           <tr style="border-bottom: 1px solid #333;">
-            <td class="text-white">${b.name || b.player || "Unknown"} ${b.status === "not out" ? "*" : ""}</td>
+            <td class="text-white">${b.name || b.player || "Unknown"} ${b.status === "not out" ? "*" : ""}
+              ${b.dismissal ? `<div class="text-white-50" style="font-size: 0.7rem;">${b.dismissal}</div>` : ""}</td>
             <td class="text-end fw-bold text-warning">${b.runs}</td>
             <td class="text-end text-white-50">${b.balls}</td>
             <td class="text-end text-white-50">${b.fours}</td>
             <td class="text-end text-white-50">${b.sixes}</td>
             <td class="text-end text-white-50">${b.balls > 0 ? ((b.runs / b.balls) * 100).toFixed(0) : "0"}</td>
+            <td class="text-end text-info">${b.luck ? `+${b.luck}` : "-"}</td>
           </tr>`;
       });
 
@@ -2476,6 +2766,7 @@ function openScorecard(type, index) {
             <td class="text-end text-white-50">${b.runs}</td>
             <td class="text-end fw-bold ${b.wkts >= 3 ? 'text-warning' : 'text-info'}">${b.wkts}</td>
             <td class="text-end text-white-50">${b.economy}</td>
+            <td class="text-end text-info">${b.luck ? `+${b.luck}` : "-"}</td>
           </tr>`;
       });
 
@@ -2485,46 +2776,177 @@ function openScorecard(type, index) {
                 <span class="text-success fw-bold">${title} (${inn.team})</span>
                 <span class="text-white fw-bold">${inn.score}/${inn.wickets} <small class="text-muted">(${inn.balls} balls)</small></span>
             </div>
+            ${inn.captains ? `<div class="small text-white-50 mb-2">CAPTAINS: ${formatCaptaincy(inn.captains.bat)} (bat) · ${formatCaptaincy(inn.captains.bowl)} (bowl)</div>` : ""}
             
             <h6 class="text-white-50 small mt-2">BATTING</h6>
             <table class="table table-borderless table-sm small mb-3">
-                <thead class="text-secondary" style="font-size: 0.75rem;"><tr><th>Batter</th><th class="text-end">R</th><th class="text-end">B</th><th class="text-end">4s</th><th class="text-end">6s</th><th class="text-end">SR</th></tr></thead>
+                <thead class="text-secondary" style="font-size: 0.75rem;"><tr><th>Batter</th><th class="text-end">R</th><th class="text-end">B</th><th class="text-end">4s</th><th class="text-end">6s</th><th class="text-end">SR</th><th class="text-end" title="Balls the player's luck rating tilted their way">LK</th></tr></thead>
                 <tbody>${batRows}</tbody>
             </table>
 
             <h6 class="text-white-50 small mt-2">BOWLING</h6>
             <table class="table table-borderless table-sm small">
-                 <thead class="text-secondary" style="font-size: 0.75rem;"><tr><th>Bowler</th><th class="text-end">O</th><th class="text-end">R</th><th class="text-end">W</th><th class="text-end">ER</th></tr></thead>
+                 <thead class="text-secondary" style="font-size: 0.75rem;"><tr><th>Bowler</th><th class="text-end">O</th><th class="text-end">R</th><th class="text-end">W</th><th class="text-end">ER</th><th class="text-end" title="Balls the player's luck rating tilted their way">LK</th></tr></thead>
                 <tbody>${bowlRows}</tbody>
             </table>
-            ${inn.ballLog ? `<div class="text-center mt-2"><button class="btn btn-xs btn-outline-secondary" onclick="alert('Ball-by-ball log available in console due to UI space limit.')">View Ball Log in Console</button></div>` : ""}
+            ${inn.fielding && inn.fielding.length ? `<div class="small text-white-50">FIELDING: ${formatFielding(inn.fielding)}</div>` : ""}
+            ${inn.dewBalls ? `<div class="small text-info">DEW: helped the batters on ${inn.dewBalls} ball${inn.dewBalls === 1 ? "" : "s"}</div>` : ""}
+            ${inn.ballLog ? renderBallLog(inn.ballLog, `ballLog${logCount++}`) : ""}
         </div>
       `;
   };
 
   modalBody.innerHTML = `
     <div class="modal-header border-0 bg-dark">
-        <h5 class="modal-title w-100 text-center text-warning">${matchData.t1} vs ${matchData.t2}</h5>
+        <div class="w-100 text-center">
+            <h5 class="modal-title text-warning">${matchData.t1} vs ${matchData.t2}</h5>
+            ${matchData.venue ? `<div class="small text-white-50">${formatVenueToss(matchData)}<br>Pitch: ${matchData.venue.pitch} · Dew: ${Math.round(matchData.venue.dew * 100)}%</div>` : ""}
+            ${matchData.weather ? `<div class="small text-info">${formatWeather(matchData)}</div>` : ""}
+        </div>
         <button type="button" class="btn-close btn-close-white" data-bs-dismiss="modal"></button>
     </div>
     <div class="modal-body bg-black" style="max-height: 80vh; overflow-y: auto;">
         ${renderInningsTable(d.i1, "1st Innings")}
-        ${renderInningsTable(d.i2, "2nd Innings")}
+        ${renderInningsTable(d.i2, matchData.target && matchData.target.revised ? `2nd Innings · Target ${matchData.target.runs} in ${matchData.target.overs} ov (DLS)` : "2nd Innings")}
+        ${(d.superOvers || [])
+          .map(
+            (so, i) => `
+          <h6 class="text-danger text-center mt-3">SUPER OVER${d.superOvers.length > 1 ? ` ${i + 1}` : ""}</h6>
+          ${renderSuperOverBalls(so.first)}${renderInningsTable(so.first, "Super Over")}
+          ${renderSuperOverBalls(so.second)}${renderInningsTable(so.second, "Super Over")}`
+          )
+          .join("")}
     </div>
     <div class="modal-footer border-0 bg-dark justify-content-center">
-        <span class="text-success fw-bold text-uppercase">${matchData.winnerName} WON BY ${matchData.margin.toUpperCase()}</span>
+        <span class="text-success fw-bold text-uppercase">${formatResult(matchData)}</span>
+        <button class="btn btn-sm btn-danger admin-only ms-3" onclick="startLiveMatch('${type}', ${index})"><i class="bi bi-broadcast"></i> WATCH LIVE</button>
     </div>
   `;
 
   // 3. Show Modal
-  if (d.i1.ballLog) console.log("Innings 1 Log:", d.i1.ballLog);
-  if (d.i2.ballLog) console.log("Innings 2 Log:", d.i2.ballLog);
-
   const modalEl = document.getElementById("scorecardModal");
   const modal = new bootstrap.Modal(modalEl);
   modal.show();
 }
 
+// ======================================================
+// 📺 LIVE MATCH VIEWER (server streams one match ball by ball)
+// ======================================================
+let liveMatch = null; // { match, paused, speed, finished }
+
+// Host only: stream a match of this season to the whole room
+function startLiveMatch(type, index) {
+  const scorecard = bootstrap.Modal.getInstance(document.getElementById("scorecardModal"));
+  if (scorecard) scorecard.hide();
+  socket.emit("live_match_start", { type, index });
+}
+
+function toggleLivePause() {
+  if (liveMatch) socket.emit("live_match_control", { action: liveMatch.paused ? "resume" : "pause" });
+}
+
+function setLiveSpeed(speed) {
+  socket.emit("live_match_control", { action: "speed", speed: parseInt(speed, 10) });
+}
+
+function skipLiveMatch() {
+  socket.emit("live_match_control", { action: "skip" });
+}
+
+function closeLiveMatch() {
+  socket.emit("live_match_control", { action: "close" });
+}
+
+function renderLiveControls() {
+  document.getElementById("livePauseBtn").innerText = liveMatch.paused ? "RESUME" : "PAUSE";
+  document.getElementById("livePauseBtn").disabled = liveMatch.finished;
+  document.getElementById("liveSpeed").value = liveMatch.speed;
+}
+
+// "4" / "W" / "Wd" badge for the commentary feed
+function liveBallBadge(frame) {
+  if (frame.wicket) return `<span class="badge bg-danger">W</span>`;
+  if (frame.extra) return `<span class="badge bg-secondary">${frame.extra === "WIDE" ? "Wd" : "Nb"}</span>`;
+  return `<span class="badge ${frame.runs >= 4 ? "bg-warning text-dark" : "bg-dark border border-secondary"}">${frame.runs}</span>`;
+}
+
+function renderLiveFrame(frame) {
+  const { t1, t2 } = liveMatch.match;
+  const line = document.createElement("div");
+  line.className = "border-bottom border-secondary py-1";
+
+  if (frame.kind === "break") {
+    line.innerHTML = `<span class="text-info fw-bold">${escapeHtml(frame.text)}</span>`;
+  } else {
+    line.innerHTML = `<span class="text-white-50 me-2">${frame.over}</span>${liveBallBadge(frame)}
+      <span class="ms-2">${escapeHtml(frame.bowler)} to ${escapeHtml(frame.batsman)}, ${escapeHtml(frame.dismissal || frame.commentary)}</span>`;
+
+    document.getElementById("liveBattingTeam").innerText = `${frame.team} · ${frame.innings}`;
+    document.getElementById("liveScore").innerText = `${frame.score}/${frame.wickets}`;
+    document.getElementById("liveOvers").innerText = `${frame.overs} overs`;
+    document.getElementById("liveRunRate").innerText = frame.runRate.toFixed(2);
+    document.getElementById("liveRequiredRate").innerText =
+      frame.requiredRate === null ? "-" : frame.requiredRate.toFixed(2);
+    document.getElementById("liveTarget").innerText = frame.target ? `Target ${frame.target}` : "";
+  }
+  document.getElementById("liveCommentary").prepend(line);
+
+  const win = frame.winProbability;
+  document.getElementById("liveWinT1").innerText = `${t1} ${win.t1}%`;
+  document.getElementById("liveWinT2").innerText = `${win.t2}% ${t2}`;
+  document.getElementById("liveWinBarT1").style.width = `${win.t1}%`;
+  document.getElementById("liveWinBarT2").style.width = `${win.t2}%`;
+}
+
+socket.off("live_match_started");
+socket.on("live_match_started", (state) => {
+  liveMatch = { match: state.match, paused: state.paused, speed: state.speed, finished: state.finished };
+  const m = state.match;
+  document.getElementById("liveMatchTitle").innerText = `${m.type.toUpperCase()} · ${m.t1} vs ${m.t2}`;
+  document.getElementById("liveMatchVenue").innerHTML = `${formatVenueToss(m)}${m.weather ? `<br>${formatWeather(m)}` : ""}`;
+  document.getElementById("liveBattingTeam").innerText = "";
+  document.getElementById("liveScore").innerText = "-";
+  document.getElementById("liveOvers").innerText = "";
+  document.getElementById("liveRunRate").innerText = "-";
+  document.getElementById("liveRequiredRate").innerText = "-";
+  document.getElementById("liveTarget").innerText = "";
+  document.getElementById("liveCommentary").innerHTML = "";
+  document.getElementById("liveResult").innerText = state.finished ? formatResult(m) : "";
+  // Late joiners catch up on the balls already bowled
+  state.frames.forEach(renderLiveFrame);
+  renderLiveControls();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("liveMatchModal")).show();
+});
+
+socket.off("live_ball");
+socket.on("live_ball", (frame) => {
+  if (liveMatch) renderLiveFrame(frame);
+});
+
+socket.off("live_match_control_state");
+socket.on("live_match_control_state", ({ paused, speed }) => {
+  if (!liveMatch) return;
+  liveMatch.paused = paused;
+  liveMatch.speed = speed;
+  renderLiveControls();
+});
+
+socket.off("live_match_end");
+socket.on("live_match_end", ({ match, frames }) => {
+  if (!liveMatch) return;
+  frames.forEach(renderLiveFrame);
+  liveMatch.finished = true;
+  document.getElementById("liveResult").innerText = formatResult(match);
+  renderLiveControls();
+});
+
+socket.off("live_match_closed");
+socket.on("live_match_closed", () => {
+  liveMatch = null;
+  const modal = bootstrap.Modal.getInstance(document.getElementById("liveMatchModal"));
+  if (modal) modal.hide();
+});
+
 
 function renderPlayerPool() {
   const a = document.getElementById("availableList"),
@@ -2534,6 +2956,8 @@ function renderPlayerPool() {
   s.innerHTML = "";
   u.innerHTML = "";
   auctionQueue.forEach((p) => {
+    // Re-queued originals are shown through their accelerated-round copy
+    if (p.requeued) return;
     const card = `<div class="col-md-6"><div class="player-list-card" style="background:rgba(255,255,255,0.05);border:1px solid #333;padding:10px;border-radius:6px;display:flex;gap:10px;"><div class="p-list-img" style="width:50px;height:50px;border-radius:50%;background-size:cover;${
       p.img ? `background-image:url('${p.img}')` : "background-color:#333"
     }"></div><div><div class="fw-bold text-white">${
@@ -0,0 +1,40 @@
+// =================================================================
+// 🎲 SEEDED RANDOM (Reproducible shuffles)
+// =================================================================
+// mulberry32: tiny, fast and good enough for shuffles & simulations.
+// The same seed always gives the same sequence.
+
+const MAX_SEED = 2 ** 32 - 1;
+
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+// "42" or 42 -> 42, anything else -> null
+function parseSeed(value) {
+  const seed = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED ? seed : null;
+}
+
+// Fisher-Yates on a copy
+function seededShuffle(array, rng) {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = { MAX_SEED, createRng, randomSeed, parseSeed, seededShuffle };
@@ -3,6 +3,33 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const cors = require("cors");
+const { createRoomStore, createSaveQueue, serializeRoom, reviveRoom } = require("./persistence");
+const {
+  validateBid,
+  validateBidAmount,
+  bidError,
+  checkSquadRoom,
+  getIncrement,
+  getMaxBid,
+  getNextBid,
+} = require("./bidRules");
+const {
+  validateRoomRules,
+  checkPlayingXI,
+  resolveSquadPicks,
+} = require("./roomRules");
+const { validateAutoBidConfig, getAutoBidLimit } = require("./autoBid");
+const { getAiBidLimit, pickAiSquad } = require("./aiTeams");
+const { SHEETS, COLUMNS, buildAuctionReport, toCsv, toXlsx } = require("./exporter");
+const { POOL_IDS, parsePlayerPool, buildAuctionQueue } = require("./playerPool");
+const { applyQueueEdit } = require("./queueEditor");
+const { parseSeed } = require("./seededRandom");
+const { runNewLogicSimulation } = require("./engine");
+const { validateBowlingPlan } = require("./bowlingPlan");
+const { validateSuperOverPicks } = require("./superOver");
+const { parseSimulationInput } = require("./simulationInput");
+const { DEFAULT_SEASONS, MAX_SEASONS, projectSeasons } = require("./projection");
+const { buildMatchFeed } = require("./liveMatch");
 
 const app = express();
 app.use(cors());
@@ -19,13 +46,19 @@ const io = new Server(server, {
   pingTimeout: 60000,
 });
 
-const AUCTION_TIMER_SECONDS = 10;
+const RTM_DECISION_SECONDS = 15;
+// Agents wait a beat after every lot/bid so humans can get in first
+const AUTO_BID_DELAY_MS = 1500;
+// Retention slabs in order of retention: 18 Cr / 14 Cr / 11 Cr
+const RETENTION_SLABS = [180000000, 140000000, 110000000];
 
 // Method Change: GoDaddy assigns a specific named pipe or port.
 // We MUST use process.env.PORT
 const PORT = process.env.PORT || 3001;
 
 // --- SERVE FILES ---
+// Room snapshots hold passwords: never expose the store through the static server
+app.use("/data", (req, res) => res.sendStatus(404));
 // Method Change: Robust path resolving
 app.use(express.static(path.join(__dirname)));
 
@@ -45,20 +78,194 @@ function isAdmin(socket) {
   return r && r.adminSocketId === socket.id;
 }
 
+// Owner check used by bids & RTM decisions. Rebinds the socket if the same
+// player reconnected with a new socket id.
+function ownsTeam(socket, team) {
+  if (!team) return false;
+  if (team.ownerSocketId === socket.id) return true;
+  if (team.ownerPlayerId && team.ownerPlayerId === socket.playerId) {
+    team.ownerSocketId = socket.id;
+    return true;
+  }
+  return false;
+}
+
 // --- GLOBAL STATE ---
 const rooms = {};
 
+// --- HTTP API ---
+// Rooms are private: every route needs ?password= like join_room
+function getRoomForRequest(req, res) {
+  const r = rooms[req.params.roomId];
+  if (!r) {
+    res.status(404).json({ error: "Room not found" });
+    return null;
+  }
+  if (r.password !== req.query.password) {
+    res.status(403).json({ error: "Invalid Credentials" });
+    return null;
+  }
+  return r;
+}
+
+// Bid ledger: /api/rooms/ROOM/bids?password=1234 (add &lot=3 for one lot)
+app.get("/api/rooms/:roomId/bids", (req, res) => {
+  const r = getRoomForRequest(req, res);
+  if (!r) return;
+
+  res.json({
+    roomId: req.params.roomId,
+    entries: getBidLedger(r, req.query.lot),
+  });
+});
+
+// Export: /api/rooms/ROOM/export?password=1234&format=csv|json|xlsx[&sheet=squads]
+// CSV is one sheet per file (squads by default); JSON & XLSX hold every sheet.
+app.get("/api/rooms/:roomId/export", (req, res) => {
+  const r = getRoomForRequest(req, res);
+  if (!r) return;
+
+  const { format = "json", sheet } = req.query;
+  if (sheet && !SHEETS.includes(sheet))
+    return res
+      .status(400)
+      .json({ error: `sheet must be one of: ${SHEETS.join(", ")}` });
+
+  const report = buildAuctionReport(r);
+  const fileName = `auction-${req.params.roomId}${sheet ? "-" + sheet : ""}`;
+
+  if (format === "json") {
+    res.attachment(fileName + ".json");
+    return res.json(sheet ? report[sheet] : report);
+  }
+  if (format === "csv") {
+    const csvSheet = sheet || "squads";
+    res.attachment(`auction-${req.params.roomId}-${csvSheet}.csv`);
+    return res.send(toCsv(report[csvSheet], COLUMNS[csvSheet]));
+  }
+  if (format === "xlsx") {
+    res.attachment(fileName + ".xlsx");
+    return res.send(toXlsx(sheet ? { [sheet]: report[sheet] } : report));
+  }
+  res.status(400).json({ error: "format must be one of: csv, json, xlsx" });
+});
+
+// Standalone season: POST /api/simulate { seed?, rainFactor?, teams: [{ name, playing11, impact?, captain? }] }
+// No room needed - see simulationInput.js for the squad format.
+app.post("/api/simulate", express.json({ limit: "1mb" }), (req, res) => {
+  const { teams, seed, rainFactor, errors } = parseSimulationInput(req.body);
+  if (errors.length) return res.status(400).json({ errors });
+
+  try {
+    res.json(runNewLogicSimulation(teams, { seed, rainFactor }));
+  } catch (e) {
+    console.error("Simulation Error:", e);
+    res.status(500).json({ error: "Server Logic Error: " + e.message });
+  }
+});
+
+// --- PERSISTENCE ---
+const store = createRoomStore({
+  driver: process.env.ROOM_STORE || "json",
+  dir: process.env.ROOM_STORE_DIR || path.join(__dirname, "data"),
+});
+const saves = createSaveQueue(store);
+
+// Bursts of changes (bids, timer ticks) become one write per room
+function saveRoom(roomId) {
+  if (!rooms[roomId]) return;
+  saves.schedule(roomId, () => (rooms[roomId] ? serializeRoom(rooms[roomId]) : null));
+}
+
+function emitLobbyUpdate(roomId) {
+  const r = rooms[roomId];
+  if (!r) return;
+  io.to(roomId).emit("lobby_update", {
+    teams: r.teams,
+    userCount: r.users.length,
+  });
+  saveRoom(roomId);
+}
+
+function restoreRooms() {
+  const snapshots = store.loadAll();
+  Object.entries(snapshots).forEach(([roomId, snapshot]) => {
+    const r = (rooms[roomId] = reviveRoom(snapshot));
+
+    if (r.state.isActive && r.rtm) {
+      promptRtm(roomId);
+    } else if (r.state.isActive && r.sellingInProgress) {
+      // Sale was already recorded; the sale delay timer died with the process
+      r.sellingInProgress = false;
+      startNextLot(roomId);
+    } else if (r.state.isActive && r.currentPlayer) {
+      // Fresh clock for the open lot, held paused until the host resumes
+      startTimer(roomId);
+      r.timerPaused = true;
+    }
+  });
+
+  const count = Object.keys(snapshots).length;
+  if (count > 0) console.log(`Restored ${count} room(s) from disk`);
+}
+
+// Active (claimed) teams, reset to an empty squad for a fresh auction
+function prepareAuctionTeams(r) {
+  return r.teams
+    .filter((t) => t.isTaken)
+    .map((t) => ({
+      ...t,
+      roster: [],
+      totalSpent: 0,
+      totalPlayers: 0,
+      budget: r.rules.purse,
+      rtmCards: r.rules.rtmCards,
+      rtmsUsed: 0,
+      previousPlayers: t.previousPlayers || [],
+    }));
+}
+
+// Why a pool id can't be used for this room (null = fine)
+function getPoolError(r, poolId) {
+  if (!POOL_IDS.includes(poolId)) return `Unknown player pool "${poolId}"`;
+  if (poolId === "custom" && !r.customPool)
+    return "No custom player pool has been imported";
+  return null;
+}
+
+// --- RETENTION HELPERS ---
+function getRetentionPrice(index) {
+  return RETENTION_SLABS[Math.min(index, RETENTION_SLABS.length - 1)];
+}
+
+function getRetentionState(r) {
+  if (r.state.phase !== "RETENTION") return null;
+  return {
+    pool: r.retentionPool,
+    slabs: RETENTION_SLABS,
+    maxRetentions: r.rules.maxRetentions,
+  };
+}
+
+function broadcastRetention(roomId) {
+  const r = rooms[roomId];
+  io.to(roomId).emit("retention_update", { teams: r.teams });
+  saveRoom(roomId);
+}
+
 // --- TIMER LOGIC ---
-function startTimer(roomId) {
+function startTimer(roomId, seconds) {
   const r = rooms[roomId];
   if (!r) return;
+  seconds = seconds || r.rules.timerSeconds;
 
   // Optimization: Don't restart if timer is basically full (prevents spam jitter)
-  if (r.timerInterval && r.timer > AUCTION_TIMER_SECONDS - 2) return;
+  // Also means a bid never shortens a longer clock down to bidExtensionSeconds
+  if (r.timerInterval && r.timer > seconds - 2) return;
 
   if (r.timerInterval) clearInterval(r.timerInterval);
 
-  r.timer = AUCTION_TIMER_SECONDS;
+  r.timer = seconds;
   r.timerPaused = false;
   
   // Anti-Drift: precise end time
@@ -93,6 +300,116 @@ function stopTimer(roomId) {
   }
 }
 
+// --- BID LEDGER ---
+// source: "human" (owner), "auto" (auto-bid agent / AI franchise), "host"
+function recordBid(r, team, amount, source, rejection) {
+  r.bidLedger.push({
+    at: Date.now(),
+    lotNumber: r.auctionIndex + 1,
+    playerName: r.currentPlayer ? r.currentPlayer.name : null,
+    teamKey: team.bidKey,
+    teamName: team.name,
+    amount,
+    source,
+    accepted: !rejection,
+    code: rejection ? rejection.code : null,
+  });
+}
+
+// Per team per lot, so a client spamming bad bids can't grow the ledger forever
+const MAX_REJECTIONS_PER_LOT = 20;
+
+function rejectBid(r, team, amount, source, rejection) {
+  const lotNumber = r.auctionIndex + 1;
+  const logged = r.bidLedger.filter(
+    (e) => !e.accepted && e.lotNumber === lotNumber && e.teamKey === team.bidKey
+  ).length;
+  if (logged < MAX_REJECTIONS_PER_LOT) recordBid(r, team, amount, source, rejection);
+  return rejection;
+}
+
+function getBidLedger(r, lotNumber) {
+  if (lotNumber === undefined || lotNumber === null) return r.bidLedger;
+  return r.bidLedger.filter((e) => e.lotNumber === Number(lotNumber));
+}
+
+// Single entry point for accepting a bid. Returns a structured rejection or null.
+function placeBid(roomId, team, amount, source = "human") {
+  const r = rooms[roomId];
+  const rejection = validateBid(r, team, amount, r.rules);
+  if (rejection) return rejectBid(r, team, amount, source, rejection);
+
+  recordBid(r, team, amount, source, null);
+
+  r.currentBid = amount;
+  r.currentBidder = team.bidKey;
+
+  io.to(roomId).emit("bid_update", {
+    amount,
+    team,
+    nextBid: getNextBid(r, r.rules),
+  });
+  startTimer(roomId, r.rules.bidExtensionSeconds);
+  saveRoom(roomId);
+  scheduleAutoBids(roomId);
+  return null;
+}
+
+// --- AUTO-BID AGENTS & AI FRANCHISES ---
+const hasAgent = (r, team) => team.isAI || !!r.autoBid[team.bidKey];
+
+function getAgentLimit(r, team) {
+  return team.isAI
+    ? getAiBidLimit(team, r.currentPlayer, r.rules)
+    : getAutoBidLimit(r.autoBid[team.bidKey], team, r.currentPlayer);
+}
+
+function scheduleAutoBids(roomId) {
+  const r = rooms[roomId];
+  if (!r || !r.teams.some((t) => hasAgent(r, t))) return;
+  if (r.autoBidTimeout) clearTimeout(r.autoBidTimeout);
+  r.autoBidTimeout = setTimeout(() => runAutoBids(roomId), AUTO_BID_DELAY_MS);
+}
+
+// One agent raises per tick (the one willing to go highest); its bid_update
+// schedules the next tick, so agents trade bids until all but one drop out.
+function runAutoBids(roomId) {
+  const r = rooms[roomId];
+  if (!r) return;
+  r.autoBidTimeout = null;
+  if (!r.currentPlayer || r.timerPaused || r.sellingInProgress) return;
+
+  const amount = getNextBid(r, r.rules);
+  const pick = r.teams
+    .filter((t) => hasAgent(r, t) && t.bidKey !== r.currentBidder)
+    .map((t) => ({ team: t, limit: getAgentLimit(r, t) }))
+    .filter(
+      ({ team, limit }) =>
+        limit >= amount && !validateBid(r, team, amount, r.rules)
+    )
+    // Ties go to the thinner squad so AI teams share the cheaper lots
+    .sort(
+      (a, b) =>
+        b.limit - a.limit || a.team.roster.length - b.team.roster.length
+    )[0];
+
+  if (pick) placeBid(roomId, pick.team, amount, "auto");
+}
+
+function setAutoBid(roomId, team, config) {
+  const r = rooms[roomId];
+  if (config) r.autoBid[team.bidKey] = config;
+  else delete r.autoBid[team.bidKey];
+  team.autoBidActive = !!config;
+
+  io.to(roomId).emit("autobid_status", {
+    teamKey: team.bidKey,
+    active: team.autoBidActive,
+  });
+  saveRoom(roomId);
+  scheduleAutoBids(roomId);
+}
+
 function processSale(roomId, source = "UNKNOWN") {
   const r = rooms[roomId];
   if (!r || !r.currentPlayer || r.sellingInProgress) return;
@@ -101,14 +418,26 @@ function processSale(roomId, source = "UNKNOWN") {
   stopTimer(roomId);
   io.to(roomId).emit("timer_ended");
 
+  // Previous franchise gets a chance to match before the hammer falls
+  if (startRtmWindow(roomId)) return;
+
+  completeSale(roomId, r.currentBidder, r.currentBid);
+}
+
+function completeSale(roomId, buyerKey, price, viaRtm = false) {
+  const r = rooms[roomId];
+  if (!r || !r.currentPlayer) return;
+
+  clearRtm(r);
+
   let soldPrice = 0;
   let soldTeamName = null;
   let isUnsold = true;
 
-  if (r.currentBidder) {
-    const team = r.teams.find((t) => t.bidKey === r.currentBidder);
+  if (buyerKey) {
+    const team = r.teams.find((t) => t.bidKey === buyerKey);
     if (team) {
-      soldPrice = r.currentBid;
+      soldPrice = price;
       team.roster.push({
         ...r.currentPlayer,
         price: soldPrice,
@@ -117,6 +446,7 @@ function processSale(roomId, source = "UNKNOWN") {
       team.totalSpent += soldPrice;
       team.totalPlayers += 1;
       team.budget -= soldPrice;
+      if (viaRtm) team.rtmsUsed = (team.rtmsUsed || 0) + 1;
       soldTeamName = team.name;
       isUnsold = false;
     }
@@ -125,29 +455,383 @@ function processSale(roomId, source = "UNKNOWN") {
   r.currentPlayer.status = isUnsold ? "UNSOLD" : "SOLD";
   r.currentPlayer.soldPrice = soldPrice;
 
+  // Everything undoLastSale() needs to put the lot back
+  r.saleHistory.push({
+    lotIndex: r.auctionIndex,
+    playerName: r.currentPlayer.name,
+    buyerKey: isUnsold ? null : buyerKey,
+    price: soldPrice,
+    viaRtm: !isUnsold && viaRtm,
+    at: Date.now(),
+  });
+
   // Send finalized data (used by Frontend TTS)
   io.to(roomId).emit("sale_finalized", {
     soldPlayer: r.currentPlayer,
     isUnsold: isUnsold,
-    soldDetails: { soldTeam: soldTeamName },
+    soldDetails: { soldTeam: soldTeamName, viaRtm: !isUnsold && viaRtm },
     price: soldPrice,
     updatedTeams: r.teams,
   });
 
   r.auctionIndex++;
+  saveRoom(roomId);
 
-  setTimeout(() => {
+  r.nextLotTimeout = setTimeout(() => {
+    r.nextLotTimeout = null;
     if (rooms[roomId]) rooms[roomId].sellingInProgress = false;
     startNextLot(roomId);
-  }, 4000); // 4s delay to read the result
+  }, r.rules.saleDelaySeconds * 1000); // delay to read the result
+}
+
+// --- QUEUE EDITOR ---
+// The lot under the hammer is fixed; everything after it can be rearranged
+function getFirstEditableIndex(r) {
+  const lot = r.auctionQueue[r.auctionIndex];
+  const lotOpen =
+    r.state.isActive &&
+    lot &&
+    !lot.status &&
+    r.currentPlayer &&
+    r.currentPlayer.name === lot.name;
+  return lotOpen ? r.auctionIndex + 1 : r.auctionIndex;
+}
+
+// Pool players that are neither queued nor already in a squad
+function getQueueBench(r) {
+  const taken = new Set([
+    ...r.auctionQueue.map((p) => p.name),
+    ...r.teams.flatMap((t) => (t.roster || []).map((p) => p.name)),
+  ]);
+  if (getPoolError(r, r.poolId)) return [];
+  return buildAuctionQueue(r.poolId, r.customPool, { shuffle: false }).filter(
+    (p) => !taken.has(p.name)
+  );
+}
+
+function emitQueueUpdate(roomId) {
+  const r = rooms[roomId];
+  io.to(roomId).emit("queue_updated", {
+    queue: r.auctionQueue,
+    firstEditable: getFirstEditableIndex(r),
+    lock: r.queueLock,
+    bench: getQueueBench(r).map((p) => ({
+      name: p.name,
+      set: p.set,
+      roleKey: p.roleKey,
+      playerType: p.playerType,
+      basePrice: p.basePrice,
+    })),
+  });
+}
+
+// Pool changed in the lobby: any draft built from it is stale
+function clearQueueDraft(r) {
+  if (!r.queueDraftPoolId) return;
+  r.auctionQueue = [];
+  r.queueDraftPoolId = null;
+  r.queueLock = null;
+}
+
+// --- UNDO LAST SALE ---
+// Pops the newest sale (or pass) off r.saleHistory, puts the player's money
+// and roster slot back, and re-opens that lot with the clock paused.
+function undoLastSale(roomId, byPlayerId) {
+  const r = rooms[roomId];
+  const sale = r.saleHistory.pop();
+  if (!sale) return "Nothing to undo.";
+
+  if (r.nextLotTimeout) clearTimeout(r.nextLotTimeout);
+  if (r.autoBidTimeout) clearTimeout(r.autoBidTimeout);
+  r.nextLotTimeout = null;
+  r.autoBidTimeout = null;
+  stopTimer(roomId);
+  clearRtm(r);
+
+  const team = r.teams.find((t) => t.bidKey === sale.buyerKey);
+  if (team) {
+    const idx = team.roster.map((p) => p.name).lastIndexOf(sale.playerName);
+    if (idx > -1) team.roster.splice(idx, 1);
+    team.budget += sale.price;
+    team.totalSpent -= sale.price;
+    team.totalPlayers -= 1;
+    if (sale.viaRtm) team.rtmsUsed -= 1;
+  }
+
+  const player = r.auctionQueue[sale.lotIndex];
+  delete player.status;
+  delete player.soldPrice;
+
+  // Undoing the lot that ended the queue closes the nomination window again,
+  // and re-opens the auction if that lot finished it
+  const queuedRounds = Math.max(0, ...r.auctionQueue.map((p) => p.acceleratedRound || 0));
+  if (r.accelerated && r.accelerated.round > queuedRounds) r.accelerated.round = queuedRounds;
+  const reopened = !r.state.isActive;
+  if (r.state.phase === "ACCELERATED" || reopened) r.state.phase = "AUCTION";
+  if (reopened) {
+    r.state.isActive = true;
+    r.squads = {}; // rosters changed: every XI is picked again
+  }
+
+  const entry = {
+    action: "UNDO_SALE",
+    by: byPlayerId,
+    at: Date.now(),
+    playerName: sale.playerName,
+    teamKey: sale.buyerKey,
+    price: sale.price,
+    viaRtm: sale.viaRtm,
+  };
+  r.auditLog.push(entry);
+
+  r.auctionIndex = sale.lotIndex;
+  r.sellingInProgress = false;
+  io.to(roomId).emit("sale_undone", {
+    lotIndex: sale.lotIndex,
+    player,
+    teamName: team ? team.name : null,
+    price: sale.price,
+    updatedTeams: r.teams,
+    audit: entry,
+    reopened,
+  });
+
+  startNextLot(roomId);
+  // Re-opened lot waits for the host to resume
+  r.timerPaused = true;
+  io.to(roomId).emit("timer_status", true);
+  saveRoom(roomId);
+  return null;
+}
+
+// --- RTM (RIGHT TO MATCH) ---
+// Flow: OFFER (previous franchise decides) -> RAISE (winning bidder may raise
+// once) -> MATCH (previous franchise matches the raise or lets it go).
+// The card is only consumed when the player actually goes to the RTM team.
+const normalizeName = (name) => (name || "").toString().trim().toLowerCase();
+
+function rtmCardsLeft(team) {
+  return (team.rtmCards || 0) - (team.rtmsUsed || 0);
+}
+
+function findRtmTeam(r) {
+  if (!r.currentBidder || !r.currentPlayer) return null;
+  const playerName = normalizeName(r.currentPlayer.name);
+  return r.teams.find(
+    (t) =>
+      t.bidKey !== r.currentBidder &&
+      (t.previousPlayers || []).some((n) => normalizeName(n) === playerName) &&
+      rtmCardsLeft(t) > 0 &&
+      getMaxBid(r, t, r.rules) >= r.currentBid && // purse reserve must cover the match
+      !checkSquadRoom(t, r.currentPlayer, r.rules)
+  );
+}
+
+function startRtmWindow(roomId) {
+  const r = rooms[roomId];
+  const rtmTeam = findRtmTeam(r);
+  if (!rtmTeam) return false;
+
+  r.rtm = {
+    stage: "OFFER",
+    rtmTeamKey: rtmTeam.bidKey,
+    bidderKey: r.currentBidder,
+    amount: r.currentBid,
+  };
+  promptRtm(roomId);
+  return true;
+}
+
+function promptRtm(roomId) {
+  const r = rooms[roomId];
+  if (!r || !r.rtm) return;
+
+  if (r.rtmTimeout) clearTimeout(r.rtmTimeout);
+  r.rtm.endTime = Date.now() + RTM_DECISION_SECONDS * 1000;
+  // No answer in time counts as "decline" / "no raise"
+  r.rtmTimeout = setTimeout(() => resolveRtm(roomId, false), RTM_DECISION_SECONDS * 1000);
+
+  // AI franchises answer straight away: use/match RTM if within value, never raise
+  const actorKey = r.rtm.stage === "RAISE" ? r.rtm.bidderKey : r.rtm.rtmTeamKey;
+  const actor = r.teams.find((t) => t.bidKey === actorKey);
+  if (actor && actor.isAI) {
+    const accept =
+      r.rtm.stage !== "RAISE" &&
+      getAiBidLimit(actor, r.currentPlayer, r.rules) >= r.rtm.amount;
+    clearTimeout(r.rtmTimeout);
+    r.rtmTimeout = setTimeout(() => resolveRtm(roomId, accept), AUTO_BID_DELAY_MS);
+  }
+
+  io.to(roomId).emit("rtm_prompt", getRtmState(r));
+  saveRoom(roomId);
+}
+
+function getRtmState(r) {
+  if (!r.rtm) return null;
+  const rtmTeam = r.teams.find((t) => t.bidKey === r.rtm.rtmTeamKey);
+  const bidder = r.teams.find((t) => t.bidKey === r.rtm.bidderKey);
+  return {
+    stage: r.rtm.stage,
+    player: r.currentPlayer,
+    amount: r.rtm.amount,
+    rtmTeam: { bidKey: rtmTeam.bidKey, name: rtmTeam.name },
+    bidder: { bidKey: bidder.bidKey, name: bidder.name, budget: bidder.budget },
+    seconds: Math.max(0, Math.ceil((r.rtm.endTime - Date.now()) / 1000)),
+  };
+}
+
+// accept: OFFER/MATCH -> RTM team uses the card; RAISE -> bidder raised to raiseAmount
+function resolveRtm(roomId, accept, raiseAmount) {
+  const r = rooms[roomId];
+  if (!r || !r.rtm) return;
+  const { stage, rtmTeamKey, bidderKey, amount } = r.rtm;
+
+  if (stage === "OFFER") {
+    if (!accept) return completeSale(roomId, bidderKey, amount);
+    r.rtm.stage = "RAISE";
+    return promptRtm(roomId);
+  }
+
+  if (stage === "RAISE") {
+    if (!accept) return completeSale(roomId, rtmTeamKey, amount, true);
+    const rtmTeam = r.teams.find((t) => t.bidKey === rtmTeamKey);
+    // RTM team cannot afford the raise: player stays with the bidder
+    if (getMaxBid(r, rtmTeam, r.rules) < raiseAmount) {
+      return completeSale(roomId, bidderKey, raiseAmount);
+    }
+    r.rtm.amount = raiseAmount;
+    r.rtm.stage = "MATCH";
+    return promptRtm(roomId);
+  }
+
+  if (stage === "MATCH") {
+    if (accept) return completeSale(roomId, rtmTeamKey, amount, true);
+    return completeSale(roomId, bidderKey, amount);
+  }
+}
+
+function clearRtm(r) {
+  if (r.rtmTimeout) clearTimeout(r.rtmTimeout);
+  r.rtmTimeout = null;
+  r.rtm = null;
+}
+
+// --- ACCELERATED ROUNDS (UNSOLD RE-AUCTION) ---
+// When the queue runs dry, teams nominate players from the unsold list. The
+// host starts the round: nominated players are re-queued as fresh lots
+// (optionally at a reduced base price) and bidding carries on. A round with
+// no nominations, or the host ending the auction, opens squad selection.
+function getUnsoldPool(r) {
+  return r.auctionQueue.filter((p) => p.status === "UNSOLD" && !p.requeued);
+}
+
+// Reduced base price for a re-queued lot, rounded to the nearest lakh
+function getReauctionPrice(r, player) {
+  const percent = r.rules.acceleratedBasePricePercent;
+  return Math.max(
+    100000,
+    Math.round((player.basePrice * percent) / 100 / 100000) * 100000
+  );
+}
+
+function getAcceleratedState(r) {
+  if (r.state.phase !== "ACCELERATED") return null;
+  return {
+    round: r.accelerated.round,
+    unsold: getUnsoldPool(r).map((p) => ({
+      ...p,
+      reauctionPrice: getReauctionPrice(r, p),
+    })),
+    nominations: r.accelerated.nominations,
+    basePricePercent: r.rules.acceleratedBasePricePercent,
+  };
+}
+
+function openAcceleratedRound(roomId) {
+  const r = rooms[roomId];
+  if (getUnsoldPool(r).length === 0) return finishAuction(roomId);
+
+  r.state.phase = "ACCELERATED";
+  r.currentPlayer = null;
+  r.currentBidder = null;
+  r.accelerated = {
+    round: ((r.accelerated && r.accelerated.round) || 0) + 1,
+    nominations: {}, // playerName -> [teamKey]
+  };
+
+  // AI franchises nominate whoever they would still pay the re-auction price for
+  getUnsoldPool(r).forEach((p) => {
+    const keys = r.teams
+      .filter(
+        (t) =>
+          t.isAI &&
+          !checkSquadRoom(t, p, r.rules) &&
+          getAiBidLimit(t, p, r.rules) >= getReauctionPrice(r, p)
+      )
+      .map((t) => t.bidKey);
+    if (keys.length) r.accelerated.nominations[p.name] = keys;
+  });
+  io.to(roomId).emit("accelerated_round", getAcceleratedState(r));
+  saveRoom(roomId);
+}
+
+function startAcceleratedRound(roomId) {
+  const r = rooms[roomId];
+  const { round, nominations } = r.accelerated;
+  const nominated = getUnsoldPool(r).filter(
+    (p) => (nominations[p.name] || []).length > 0
+  );
+  if (nominated.length === 0) return finishAuction(roomId);
+
+  nominated.forEach((p) => {
+    const { status, soldPrice, ...lot } = p;
+    r.auctionQueue.push({
+      ...lot,
+      basePrice: getReauctionPrice(r, p),
+      acceleratedRound: round,
+    });
+    p.requeued = true;
+  });
+
+  r.state.phase = "AUCTION";
+  // Earlier sales can't be undone once their players have been re-queued
+  r.saleHistory = [];
+  io.to(roomId).emit("accelerated_round_started", {
+    round,
+    players: nominated.map((p) => p.name),
+    queue: r.auctionQueue,
+  });
+  startNextLot(roomId);
+}
+
+function finishAuction(roomId) {
+  const r = rooms[roomId];
+  stopTimer(roomId);
+  clearRtm(r);
+  r.state.isActive = false;
+  r.state.phase = "SQUAD_SELECTION";
+  r.currentPlayer = null;
+
+  // AI franchises submit their XI, impact player & captain right away
+  r.teams
+    .filter((t) => t.isAI)
+    .forEach((t) => (r.squads[t.bidKey] = pickAiSquad(t.roster, r.rules)));
+
+  saveRoom(roomId);
+  io.to(roomId).emit("open_squad_selection");
+  io.to(roomId).emit("squad_submission_update", {
+    submittedCount: Object.keys(r.squads).length,
+    totalTeams: r.teams.filter((t) => t.isTaken).length,
+  });
 }
 
 function startNextLot(roomId) {
   const r = rooms[roomId];
-  if (!r) return;
+  // Host may have ended the auction during the sale delay
+  if (!r || !r.state.isActive) return;
 
   if (r.auctionIndex >= r.auctionQueue.length) {
-    io.to(roomId).emit("open_squad_selection");
+    openAcceleratedRound(roomId);
     return;
   }
 
@@ -163,15 +847,18 @@ function startNextLot(roomId) {
   r.currentBid = r.currentPlayer.basePrice;
   r.currentBidder = null;
   r.sellingInProgress = false;
+  saveRoom(roomId);
 
   // Trigger update (Frontend plays "Lot Number..." TTS)
   io.to(roomId).emit("update_lot", {
     player: r.currentPlayer,
     currentBid: r.currentBid,
+    nextBid: getNextBid(r, r.rules),
     lotNumber: r.auctionIndex + 1,
   });
 
   startTimer(roomId);
+  scheduleAutoBids(roomId);
 }
 
 // --- AUTH MIDDLEWARE ---
@@ -191,9 +878,12 @@ io.on("connection", (socket) => {
   socket.on("create_room", ({ roomId, password, config }) => {
     if (rooms[roomId]) return socket.emit("error_message", "Room Exists!");
 
+    const { rules, errors } = validateRoomRules(config);
+    if (errors.length) return socket.emit("error_message", errors.join("\n"));
+
     rooms[roomId] = {
       password,
-      config,
+      rules,
       users: [],
       teams: [],
       auctionQueue: [],
@@ -201,17 +891,33 @@ io.on("connection", (socket) => {
       currentBid: 0,
       currentBidder: null,
       currentPlayer: null,
-      timer: AUCTION_TIMER_SECONDS,
+      timer: rules.timerSeconds,
       timerInterval: null,
       timerPaused: true,
-      state: { isActive: false },
+      state: { isActive: false, phase: "LOBBY" },
+      retentionPool: [],
+      poolId: "ipl",
+      customPool: null, // Host-imported players, validated by playerPool.js
+      queueDraftPoolId: null, // Pool of the queue the host is editing before the start
+      queueLock: null, // { seed, at } once the host locks the order
+      tournamentHistory: [], // { seed, at, winner, runnerUp } per simulated season
+      lastResults: null, // Latest season, kept in memory for the live viewer
+      liveMatch: null, // Match being streamed ball by ball (liveMatch.js)
+      autoBid: {}, // teamKey -> agent config (private to the owner)
+      saleHistory: [],
+      auditLog: [],
+      bidLedger: [], // Every accepted & rejected bid, oldest first
       adminSocketId: socket.id,
       adminPlayerId: socket.playerId,
       sellingInProgress: false,
+      rtm: null,
+      rtmTimeout: null,
       squads: {},
     };
     socket.join(roomId);
     rooms[roomId].users.push(socket.id);
+    saveRoom(roomId);
+    socket.emit("rules_update", rules);
     socket.emit("roomcreated", roomId);
   });
 
@@ -240,18 +946,21 @@ io.on("connection", (socket) => {
     socket.emit("room_joined", {
       roomId,
       isAdmin: isAdminReconnected,
+      rules: r.rules,
+      customPoolSize: r.customPool ? r.customPool.length : 0,
       lobbyState: { teams: r.teams, userCount: r.users.length },
       state: {
         isActive: r.state.isActive,
+        phase: r.state.phase,
         teams: r.teams,
         queue: r.auctionQueue,
+        retention: getRetentionState(r),
+        accelerated: getAcceleratedState(r),
       },
     });
 
-    io.to(roomId).emit("lobby_update", {
-      teams: r.teams,
-      userCount: r.users.length,
-    });
+    if (r.liveMatch) socket.emit("live_match_started", getLiveMatchState(r));
+    emitLobbyUpdate(roomId);
   });
 
   socket.on("request_sync", () => {
@@ -271,8 +980,11 @@ io.on("connection", (socket) => {
         currentLot: r.currentPlayer,
         currentBid: r.currentBid,
         currentBidder: r.currentBidder,
+        nextBid: getNextBid(r, r.rules),
         timer: remaining,
         timerPaused: r.timerPaused,
+        rtm: getRtmState(r),
+        accelerated: getAcceleratedState(r),
       });
     }
   });
@@ -280,12 +992,9 @@ io.on("connection", (socket) => {
   socket.on("update_lobby_teams", (teams) => {
     const roomId = getRoomId(socket);
     if (!isAdmin(socket)) return;
-    if (rooms[roomId]) {
+    if (rooms[roomId] && rooms[roomId].state.phase === "LOBBY") {
       rooms[roomId].teams = teams;
-      io.to(roomId).emit("lobby_update", {
-        teams,
-        userCount: rooms[roomId].users.length,
-      });
+      emitLobbyUpdate(roomId);
     }
   });
 
@@ -303,15 +1012,15 @@ io.on("connection", (socket) => {
     }
 
     const t = r.teams.find((x) => x.bidKey === key);
-    if (t && (!t.isTaken || t.ownerPlayerId === socket.playerId)) {
+    // A human can take over an AI franchise before the auction starts
+    const aiSeatOpen = t && t.isAI && r.state.phase === "LOBBY";
+    if (t && (!t.isTaken || aiSeatOpen || t.ownerPlayerId === socket.playerId)) {
       t.isTaken = true;
+      t.isAI = false;
       t.ownerSocketId = socket.id;
       t.ownerPlayerId = socket.playerId;
       socket.emit("team_claim_success", key);
-      io.to(roomId).emit("lobby_update", {
-        teams: r.teams,
-        userCount: r.users.length,
-      });
+      emitLobbyUpdate(roomId);
     }
   });
 
@@ -358,10 +1067,7 @@ io.on("connection", (socket) => {
           team.ownerSocketId = requesterId;
           team.ownerPlayerId = requesterPid;
           io.to(requesterId).emit("team_claim_success", teamKey);
-          io.to(roomId).emit("lobby_update", {
-            teams: r.teams,
-            userCount: r.users.length,
-          });
+          emitLobbyUpdate(roomId);
         }
       } else {
         io.to(requesterId).emit(
@@ -377,28 +1083,274 @@ io.on("connection", (socket) => {
     if (!isAdmin(socket)) return;
     const t = rooms[roomId].teams.find((x) => x.bidKey === key);
     if (t) t.name = newName;
-    io.to(roomId).emit("lobby_update", {
-      teams: rooms[roomId].teams,
-      userCount: rooms[roomId].users.length,
+    emitLobbyUpdate(roomId);
+  });
+
+  // Host marks an unclaimed franchise as AI-controlled (or frees it again)
+  socket.on("admin_set_ai_team", ({ key, isAI }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.phase !== "LOBBY") return;
+
+    const t = r.teams.find((x) => x.bidKey === key);
+    if (!t || (t.isTaken && !t.isAI)) return;
+    t.isAI = !!isAI;
+    t.isTaken = !!isAI;
+    t.ownerSocketId = null;
+    t.ownerPlayerId = null;
+    emitLobbyUpdate(roomId);
+  });
+
+  socket.on("admin_fill_ai_teams", () => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.phase !== "LOBBY") return;
+
+    r.teams
+      .filter((t) => !t.isTaken)
+      .forEach((t) => {
+        t.isAI = true;
+        t.isTaken = true;
+      });
+    emitLobbyUpdate(roomId);
+  });
+
+  // Host edits rules in the lobby; locked once retentions/auction begin
+  socket.on("update_room_rules", (config) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket)) return;
+    if (r.state.phase !== "LOBBY")
+      return socket.emit("rules_error", ["Rules are locked once play starts"]);
+
+    const { rules, errors } = validateRoomRules({ ...r.rules, ...config });
+    if (errors.length) return socket.emit("rules_error", errors);
+
+    r.rules = rules;
+    r.teams.forEach((t) => {
+      t.budget = rules.purse;
+      t.rtmCards = rules.rtmCards;
+    });
+    io.to(roomId).emit("rules_update", rules);
+    emitLobbyUpdate(roomId);
+  });
+
+  socket.on("admin_set_previous_players", ({ key, players }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.isActive) return;
+    const t = r.teams.find((x) => x.bidKey === key);
+    if (!t || !Array.isArray(players)) return;
+
+    t.previousPlayers = players
+      .map((n) => (n || "").toString().trim())
+      .filter(Boolean);
+    emitLobbyUpdate(roomId);
+  });
+
+  // CUSTOM PLAYER POOL - Host uploads the raw file, the server validates it
+  socket.on("upload_player_pool", ({ fileName, text, isJson } = {}) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.phase !== "LOBBY") return;
+
+    const { players, errors } = parsePlayerPool(text, !!isJson);
+    r.customPool = errors.length ? null : players;
+    clearQueueDraft(r);
+    socket.emit("player_pool_result", {
+      fileName,
+      errors,
+      count: players.length,
+      sets: new Set(players.map((p) => p.set)).size,
     });
+    saveRoom(roomId);
   });
 
-  // START AUCTION - Accepts filtered teams list
-  socket.on("start_auction", ({ queue }) => {
+  socket.on("reset_player_pool", () => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.phase !== "LOBBY") return;
+    r.customPool = null;
+    clearQueueDraft(r);
+    saveRoom(roomId);
+  });
+
+  // Pre-auction the editor works on a draft queue built from the chosen pool
+  socket.on("open_queue_editor", ({ poolId = "ipl" } = {}) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket)) return;
+    if (r.state.phase === "SQUAD_SELECTION")
+      return socket.emit("error_message", "The auction is over.");
+
+    if (r.state.phase === "LOBBY" || r.state.phase === "RETENTION") {
+      if (r.state.phase === "RETENTION") poolId = r.poolId;
+      const poolError = getPoolError(r, poolId);
+      if (poolError) return socket.emit("error_message", poolError);
+      if (r.queueDraftPoolId !== poolId) {
+        r.poolId = poolId;
+        r.auctionQueue = buildAuctionQueue(poolId, r.customPool);
+        r.queueDraftPoolId = poolId;
+        r.queueLock = null;
+        saveRoom(roomId);
+      }
+    }
+    emitQueueUpdate(roomId);
+  });
+
+  socket.on("queue_edit", (edit) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || !edit) return;
+    if (r.state.phase === "SQUAD_SELECTION")
+      return socket.emit("error_message", "The auction is over.");
+    const preAuction = r.state.phase === "LOBBY" || r.state.phase === "RETENTION";
+    if (preAuction && !r.queueDraftPoolId)
+      return socket.emit("error_message", "Open the queue editor first.");
+
+    const first = getFirstEditableIndex(r);
+    const result = applyQueueEdit(
+      {
+        upcoming: r.auctionQueue.slice(first),
+        lock: r.queueLock,
+        bench: getQueueBench(r),
+      },
+      edit
+    );
+    if (result.error) return socket.emit("error_message", result.error);
+
+    r.auctionQueue = [...r.auctionQueue.slice(0, first), ...result.upcoming];
+    r.queueLock = result.lock;
+    r.auditLog.push({
+      action: "QUEUE_EDIT",
+      by: socket.playerId,
+      at: Date.now(),
+      edit: edit.action,
+      playerName: edit.name,
+      set: edit.set,
+      seed: result.lock ? result.lock.seed : undefined,
+    });
+    emitQueueUpdate(roomId);
+    saveRoom(roomId);
+  });
+
+  // RETENTION PHASE - Server builds the pool, owners retain at slab prices
+  socket.on("start_retention", ({ poolId = "ipl", options = {} } = {}) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.phase !== "LOBBY") return;
+    const poolError = getPoolError(r, poolId);
+    if (poolError) return socket.emit("error_message", poolError);
+
+    r.teams = prepareAuctionTeams(r);
+    r.poolId = poolId;
+    r.retentionPool = buildAuctionQueue(poolId, r.customPool, {
+      shuffle: options.shuffle !== false,
+    });
+    r.state.phase = "RETENTION";
+    io.to(roomId).emit("retention_started", {
+      teams: r.teams,
+      retention: getRetentionState(r),
+    });
+    saveRoom(roomId);
+  });
+
+  socket.on("retain_player", ({ teamKey, name }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || r.state.phase !== "RETENTION") return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!ownsTeam(socket, team)) {
+      return socket.emit("error_message", "Authorization Failed");
+    }
+
+    const player = r.retentionPool.find((p) => p.name === name);
+    if (!player) return socket.emit("error_message", "Player not in pool!");
+    if (r.teams.some((t) => t.roster.some((p) => p.name === name)))
+      return socket.emit("error_message", "Player already retained!");
+
+    const retained = team.roster.filter((p) => p.status === "RETAINED");
+    if (retained.length >= r.rules.maxRetentions)
+      return socket.emit(
+        "error_message",
+        `Max ${r.rules.maxRetentions} retentions allowed!`
+      );
+
+    // Retentions count against the same squad size & foreign cap as buys
+    const squadError = checkSquadRoom(team, player, r.rules);
+    if (squadError) return socket.emit("error_message", squadError.message);
+
+    const price = getRetentionPrice(retained.length);
+    if (team.budget < price) return socket.emit("error_message", "No Budget!");
+
+    team.roster.push({ ...player, price, status: "RETAINED" });
+    team.budget -= price;
+    team.totalSpent += price;
+    team.totalPlayers += 1;
+    broadcastRetention(roomId);
+  });
+
+  socket.on("release_retention", ({ teamKey, name }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || r.state.phase !== "RETENTION") return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!ownsTeam(socket, team)) {
+      return socket.emit("error_message", "Authorization Failed");
+    }
+
+    const idx = team.roster.findIndex(
+      (p) => p.name === name && p.status === "RETAINED"
+    );
+    if (idx === -1) return;
+
+    const [released] = team.roster.splice(idx, 1);
+    team.budget += released.price;
+    team.totalSpent -= released.price;
+    team.totalPlayers -= 1;
+
+    // Remaining retentions move up a slab (1st retention is always the costliest)
+    team.roster
+      .filter((p) => p.status === "RETAINED")
+      .forEach((p, i) => {
+        const price = getRetentionPrice(i);
+        team.budget += p.price - price;
+        team.totalSpent += price - p.price;
+        p.price = price;
+      });
+    broadcastRetention(roomId);
+  });
+
+  // START AUCTION - Client picks a pool, the server builds the queue
+  socket.on("start_auction", ({ poolId = "ipl", options = {} } = {}) => {
     const roomId = getRoomId(socket);
     const r = rooms[roomId];
     if (r && isAdmin(socket)) {
+      // The pool chosen for retention carries over into the auction
+      if (r.state.phase === "RETENTION") poolId = r.poolId;
+      const poolError = getPoolError(r, poolId);
+      if (poolError) return socket.emit("error_message", poolError);
+
       // SECURITY FIX: Use Server Internal State for Teams, do not trust client 'teams'
-      const activeTeams = r.teams.filter(t => t.isTaken);
-      
-      r.teams = activeTeams.map((t) => ({
-        ...t,
-        roster: [],
-        totalSpent: 0,
-        totalPlayers: 0,
-      }));
-      r.auctionQueue = queue;
+      // Retained squads carry over; otherwise every team starts from zero
+      if (r.state.phase !== "RETENTION") r.teams = prepareAuctionTeams(r);
+
+      const retainedNames = r.teams.flatMap((t) => t.roster.map((p) => p.name));
+      // A draft the host arranged in the editor is used as-is
+      const draft = r.queueDraftPoolId === poolId ? r.auctionQueue : null;
+      r.poolId = poolId;
+      r.auctionQueue = draft
+        ? draft.filter((p) => !retainedNames.includes(p.name))
+        : buildAuctionQueue(poolId, r.customPool, {
+            skipNames: retainedNames,
+            shuffle: options.shuffle !== false,
+          });
+      if (!draft) r.queueLock = null;
+      r.queueDraftPoolId = null;
       r.state.isActive = true;
+      r.state.phase = "AUCTION";
       io.to(roomId).emit("auction_started", {
         teams: r.teams,
         queue: r.auctionQueue,
@@ -410,36 +1362,138 @@ io.on("connection", (socket) => {
   socket.on("place_bid", ({ teamKey, amount }) => {
     const roomId = getRoomId(socket);
     const r = rooms[roomId];
-    if (
-      !r ||
-      !r.state.isActive ||
-      r.timerPaused ||
-      r.sellingInProgress ||
-      !r.currentPlayer
-    )
-      return;
+    if (!r) return;
 
     const team = r.teams.find((t) => t.bidKey === teamKey);
     if (!team) return;
 
-    if (team.ownerSocketId !== socket.id) {
-      if (team.ownerPlayerId === socket.playerId) {
-        team.ownerSocketId = socket.id;
-      } else {
-        return socket.emit("error_message", "Authorization Failed");
-      }
+    // Bids for someone else's team never reach the ledger
+    const rejection = ownsTeam(socket, team)
+      ? placeBid(roomId, team, Number(amount))
+      : bidError("NOT_AUTHORIZED");
+    if (rejection) socket.emit("bid_rejected", { ...rejection, teamKey, amount });
+  });
+
+  // Plain "bid" click: the server decides the amount from the slab table
+  socket.on("bid_next", ({ teamKey }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r) return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!team) return;
+
+    const amount = getNextBid(r, r.rules);
+    // Bids for someone else's team never reach the ledger
+    const rejection = ownsTeam(socket, team)
+      ? placeBid(roomId, team, amount)
+      : bidError("NOT_AUTHORIZED");
+    if (rejection) socket.emit("bid_rejected", { ...rejection, teamKey, amount });
+  });
+
+  // Host enters the next bid on a team's behalf (e.g. a paddle raised in the room)
+  socket.on("admin_bid_for_team", ({ teamKey }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket)) return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!team) return;
+
+    const amount = getNextBid(r, r.rules);
+    const rejection = placeBid(roomId, team, amount, "host");
+    if (rejection) socket.emit("bid_rejected", { ...rejection, teamKey, amount });
+  });
+
+  // Bid ledger for the whole auction, or one lot
+  socket.on("get_bid_ledger", ({ lotNumber } = {}) => {
+    const r = rooms[getRoomId(socket)];
+    if (!r) return;
+    socket.emit("bid_ledger", {
+      lotNumber: lotNumber || null,
+      entries: getBidLedger(r, lotNumber),
+    });
+  });
+
+  // Auto-bid: owner hands the franchise to an agent (or updates its limits)
+  socket.on("autobid_set", ({ teamKey, config }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r) return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!ownsTeam(socket, team)) {
+      return socket.emit("error_message", "Authorization Failed");
     }
 
-    if (r.currentBidder === teamKey) return;
-    if (team.budget < amount) return socket.emit("error_message", "No Budget!");
-    if (amount <= r.currentBid && r.currentBidder)
-      return socket.emit("error_message", "Bid too low!");
+    const { config: agent, errors } = validateAutoBidConfig(config);
+    if (errors.length) return socket.emit("autobid_error", errors);
+
+    setAutoBid(roomId, team, agent);
+    socket.emit("autobid_config", { teamKey, config: agent });
+  });
 
-    r.currentBid = amount;
-    r.currentBidder = teamKey;
+  // Auto-bid: owner takes back control
+  socket.on("autobid_disable", ({ teamKey }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r) return;
 
-    io.to(roomId).emit("bid_update", { amount, team });
-    startTimer(roomId);
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!ownsTeam(socket, team)) {
+      return socket.emit("error_message", "Authorization Failed");
+    }
+
+    setAutoBid(roomId, team, null);
+    socket.emit("autobid_config", { teamKey, config: null });
+  });
+
+  // Limits are private: only the owner can read them back
+  socket.on("autobid_get", ({ teamKey }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r) return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!ownsTeam(socket, team)) return;
+    socket.emit("autobid_config", {
+      teamKey,
+      config: r.autoBid[teamKey] || null,
+    });
+  });
+
+  // RTM: previous franchise accepts/declines (OFFER) or matches the raise (MATCH)
+  socket.on("rtm_decision", ({ accept }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !r.rtm || r.rtm.stage === "RAISE") return;
+
+    const rtmTeam = r.teams.find((t) => t.bidKey === r.rtm.rtmTeamKey);
+    if (!ownsTeam(socket, rtmTeam)) {
+      return socket.emit("error_message", "Authorization Failed");
+    }
+    resolveRtm(roomId, !!accept);
+  });
+
+  // RTM: winning bidder's one final raise (amount <= current bid means no raise)
+  socket.on("rtm_final_raise", ({ amount }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !r.rtm || r.rtm.stage !== "RAISE") return;
+
+    const bidder = r.teams.find((t) => t.bidKey === r.rtm.bidderKey);
+    if (!ownsTeam(socket, bidder)) {
+      return socket.emit("error_message", "Authorization Failed");
+    }
+
+    const raise = Number(amount) || 0;
+    if (raise <= r.rtm.amount) return resolveRtm(roomId, false);
+
+    // A raise is a bid: same slab ladder, purse reserve & squad room
+    const nextBid = r.rtm.amount + getIncrement(r.rtm.amount, r.rules.incrementSlabs);
+    const rejection = validateBidAmount(r, bidder, raise, nextBid, r.rules);
+    if (rejection) return socket.emit("error_message", rejection.message);
+    resolveRtm(roomId, true, raise);
   });
 
   socket.on("toggle_timer", () => {
@@ -448,6 +1502,7 @@ io.on("connection", (socket) => {
     if (r && isAdmin(socket)) {
       r.timerPaused = !r.timerPaused;
       io.to(roomId).emit("timer_status", r.timerPaused);
+      if (!r.timerPaused) scheduleAutoBids(roomId);
     }
   });
 
@@ -460,21 +1515,93 @@ io.on("connection", (socket) => {
     }
   });
 
+  socket.on("undo_last_sale", () => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket)) return;
+    // A finished auction can still take back its last sale until a season is played
+    if (!r.state.isActive && r.state.phase !== "SQUAD_SELECTION")
+      return socket.emit("error_message", "The auction is over.");
+    if (r.tournamentHistory.length > 0)
+      return socket.emit("error_message", "The season has already been played.");
+    if (r.rtm)
+      return socket.emit("error_message", "Wait for the RTM decision first.");
+
+    const error = undoLastSale(roomId, socket.playerId);
+    if (error) socket.emit("error_message", error);
+  });
+
   socket.on("end_auction_trigger", () => {
     const roomId = getRoomId(socket);
     const r = rooms[roomId];
-    if (isAdmin(socket) && r) {
-      stopTimer(roomId);
-      r.state.isActive = false;
-      io.to(roomId).emit("open_squad_selection");
+    if (isAdmin(socket) && r) finishAuction(roomId);
+  });
+
+  // Accelerated round: a team toggles its nomination for an unsold player
+  socket.on("nominate_unsold", ({ teamKey, name }) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || r.state.phase !== "ACCELERATED") return;
+
+    const team = r.teams.find((t) => t.bidKey === teamKey);
+    if (!ownsTeam(socket, team)) {
+      return socket.emit("error_message", "Authorization Failed");
     }
+    if (!getUnsoldPool(r).some((p) => p.name === name))
+      return socket.emit("error_message", "Player is not in the unsold list!");
+
+    const keys = r.accelerated.nominations[name] || [];
+    r.accelerated.nominations[name] = keys.includes(teamKey)
+      ? keys.filter((k) => k !== teamKey)
+      : [...keys, teamKey];
+    if (r.accelerated.nominations[name].length === 0)
+      delete r.accelerated.nominations[name];
+
+    io.to(roomId).emit("accelerated_round", getAcceleratedState(r));
+    saveRoom(roomId);
   });
 
-  socket.on("submit_squad", ({ teamKey, playing11, impact, captain }) => {
+  socket.on("start_accelerated_round", () => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || r.state.phase !== "ACCELERATED") return;
+    startAcceleratedRound(roomId);
+  });
+
+  socket.on("submit_squad", ({ teamKey, playing11, impact, captain, bowlingPlan, superOver }) => {
     const roomId = getRoomId(socket);
     const r = rooms[roomId];
     if (r) {
-      r.squads[teamKey] = { playing11, impact, captain };
+      const team = r.teams.find((t) => t.bidKey === teamKey);
+      if (!ownsTeam(socket, team))
+        return socket.emit("error_message", "Authorization Failed");
+
+      // Only players the team actually owns, with the server's copy of each
+      const picks = resolveSquadPicks(team.roster, { playing11, impact });
+      if (picks.errors.length)
+        return socket.emit("error_message", picks.errors.join("\n"));
+      playing11 = picks.playing11;
+      impact = picks.impact;
+
+      const squadErrors = checkPlayingXI({ playing11, impact, captain }, r.rules);
+      if (squadErrors.length)
+        return socket.emit("error_message", squadErrors.join("\n"));
+
+      const bowling = validateBowlingPlan(bowlingPlan, playing11);
+      if (bowling.errors.length)
+        return socket.emit("error_message", bowling.errors.join("\n"));
+      const superOverPicks = validateSuperOverPicks(superOver, playing11);
+      if (superOverPicks.errors.length)
+        return socket.emit("error_message", superOverPicks.errors.join("\n"));
+
+      r.squads[teamKey] = {
+        playing11,
+        impact,
+        captain,
+        bowlingPlan: bowling.plan,
+        superOver: superOverPicks.picks,
+      };
+      saveRoom(roomId);
       io.to(roomId).emit("squad_submission_update", {
         submittedCount: Object.keys(r.squads).length,
         totalTeams: r.teams.filter((t) => t.isTaken).length,
@@ -492,31 +1619,119 @@ io.on("connection", (socket) => {
 
 
   // Added to support the previous script listener
-  socket.on("startTournament", (data) => {
+  // { seed } replays an earlier season exactly
+  socket.on("startTournament", (data = {}) => {
     const roomId = getRoomId(socket);
     const r = rooms[roomId];
     if (r && isAdmin(socket)) {
-      runSimulationLogic(roomId, r);
+      let seed;
+      if (data.seed !== undefined && data.seed !== "") {
+        seed = parseSeed(data.seed);
+        if (seed === null)
+          return socket.emit(
+            "error_message",
+            "Seed must be a whole number between 0 and 4294967295"
+          );
+      }
+      runSimulationLogic(roomId, r, seed);
     }
   });
 
+  // Monte Carlo over the final squads; results go to the whole room
+  socket.on("run_projection", ({ seasons = DEFAULT_SEASONS } = {}) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket)) return;
+    if (r.state.phase !== "SQUAD_SELECTION")
+      return socket.emit("error_message", "Projections run once the auction is over.");
+    if (r.projectionRunning)
+      return socket.emit("error_message", "A projection is already running.");
+    seasons = Number(seasons);
+    if (!Number.isInteger(seasons) || seasons < 1 || seasons > MAX_SEASONS)
+      return socket.emit("error_message", `Seasons must be between 1 and ${MAX_SEASONS}`);
+
+    const teams = getTournamentTeams(r);
+    if (teams.length < 2)
+      return socket.emit("error_message", "Need at least 2 teams with players to project!");
+
+    r.projectionRunning = true;
+    io.to(roomId).emit("projection_progress", { done: 0, total: seasons });
+    projectSeasons(teams, {
+      seasons,
+      rainFactor: r.rules.rainPercent / 100,
+      onProgress: (done, total) =>
+        io.to(roomId).emit("projection_progress", { done, total }),
+    })
+      .then((projection) => {
+        r.projection = { ...projection, at: Date.now() };
+        saveRoom(roomId);
+        io.to(roomId).emit("projection_complete", r.projection);
+      })
+      .catch((e) => {
+        console.error("Projection Error:", e);
+        io.to(roomId).emit("simulation_error", "Server Logic Error: " + e.message);
+      })
+      .finally(() => (r.projectionRunning = false));
+  });
+
+  socket.on("get_projection", () => {
+    const r = rooms[getRoomId(socket)];
+    if (r && r.projection) socket.emit("projection_complete", r.projection);
+  });
+
+  // Live viewer: the host streams one match of the last season to the room
+  // { type: "league" | "playoff", index }
+  socket.on("live_match_start", ({ type, index } = {}) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket)) return;
+    if (!r.lastResults)
+      return socket.emit("error_message", "Simulate a season before watching a match live.");
+    if (type !== "league" && type !== "playoff")
+      return socket.emit("error_message", "Pick a league or playoff match.");
+    const matches = type === "playoff" ? r.lastResults.playoffs : r.lastResults.leagueMatches;
+    if (!Number.isInteger(index) || index < 0 || index >= matches.length)
+      return socket.emit("error_message", "That match is not in the last season.");
+    const match = matches[index];
+    startLiveMatch(roomId, r, match);
+  });
+
+  // { action: "pause" | "resume" | "speed" | "skip" | "close", speed? }
+  socket.on("live_match_control", ({ action, speed } = {}) => {
+    const roomId = getRoomId(socket);
+    const r = rooms[roomId];
+    if (!r || !isAdmin(socket) || !r.liveMatch) return;
+    const live = r.liveMatch;
+
+    if (action === "close") return closeLiveMatch(roomId, r);
+    if (live.finished) return;
+    if (action === "skip") return finishLiveMatch(roomId, r, true);
+    if (action === "pause") live.paused = true;
+    else if (action === "resume") live.paused = false;
+    else if (action === "speed") {
+      if (!LIVE_SPEEDS.includes(speed))
+        return socket.emit("error_message", `Speed must be one of ${LIVE_SPEEDS.join(", ")}x`);
+      live.speed = speed;
+    } else return;
+
+    io.to(roomId).emit("live_match_control_state", { paused: live.paused, speed: live.speed });
+    scheduleLiveBall(roomId, r);
+  });
+
   socket.on("disconnect", () => {
     const roomId = getRoomId(socket);
     const r = rooms[roomId];
     if (r) {
       r.users = r.users.filter((id) => id !== socket.id);
-      io.to(roomId).emit("lobby_update", {
-        teams: r.teams,
-        userCount: r.users.length,
-      });
+      emitLobbyUpdate(roomId);
     }
   });
 });
 
 // --- ROBUST AI ENGINE ---
-function runSimulationLogic(roomId, r) {
-  // 1. Prepare Teams (Auto-fill if not submitted)
-  const tourneyTeams = r.teams
+// Squads as the engine plays them (Auto-fill if not submitted)
+function getTournamentTeams(r) {
+  return r.teams
     .filter((t) => t.isTaken)
     .map((t) => {
       const squadData = r.squads[t.bidKey];
@@ -541,10 +1756,17 @@ function runSimulationLogic(roomId, r) {
       return {
         ...t,
         playing11: p11,
+        impact: squadData ? squadData.impact : null,
         captain: captainName,
+        bowlingPlan: squadData ? squadData.bowlingPlan || null : null,
+        superOver: squadData ? squadData.superOver || null : null,
       };
     })
     .filter((t) => t.playing11.length > 0); // Need at least 1 player to play
+}
+
+function runSimulationLogic(roomId, r, seed) {
+  const tourneyTeams = getTournamentTeams(r);
 
   if (tourneyTeams.length < 2) {
     return io
@@ -558,8 +1780,16 @@ function runSimulationLogic(roomId, r) {
   try {
     console.log("Teams prepared, running NEW GAME LOGIC sim...");
     // Calling the NEW Logic Engine
-    const results = runNewLogicSimulation(tourneyTeams);
-    console.log("Simulation complete, sending results.");
+    const results = runNewLogicSimulation(tourneyTeams, { seed, rainFactor: r.rules.rainPercent / 100 });
+    console.log(`Simulation complete (seed ${results.seed}), sending results.`);
+    r.tournamentHistory.push({
+      seed: results.seed,
+      at: Date.now(),
+      winner: results.winner,
+      runnerUp: results.runnerUp,
+    });
+    r.lastResults = results;
+    saveRoom(roomId);
     // Sending 'tournament_results' to match frontend listener in script.js
     io.to(roomId).emit("tournamentComplete", results);
   } catch (e) {
@@ -568,630 +1798,75 @@ function runSimulationLogic(roomId, r) {
   }
 }
 
-// =================================================================
-// 🚀 UPDATED GAME ENGINE (Strict adherence to your Luck/Role Rules)
-// =================================================================
-
-// 1. Helper to generate Luck (1-10)
-const getLuck = () => Math.floor(Math.random() * 10) + 1;
-
-// 2. Define Batting Order Priority
-const ROLE_PRIORITY = {
-  opener: 1,
-  wk: 1, // Wicketkeepers are often top/middle
-  "middle order": 2,
-  batter: 2,
-  finisher: 3,
-  "all-rounder": 4,
-  ar: 4,
-  allrounder: 4,
-  spinner: 5,
-  spin: 5,
-  "fast bowler": 6,
-  bowler: 6,
-  fast: 6,
-  pace: 6,
-};
-
-// Helper to determine order
-const getPriority = (roleKey) => {
-  if (!roleKey) return 99;
-  const lower = roleKey.toLowerCase();
-  for (const key in ROLE_PRIORITY) {
-    if (lower.includes(key)) return ROLE_PRIORITY[key];
-  }
-  return 99;
-};
-
-// 3. The Core Ball-by-Ball Logic
-// 3. The Core Ball-by-Ball Logic (Rebalanced for T20)
-// --- SIMULATION HELPERS ---
-
-const BATTER_PROFILE = {
-  opener: { aggression: 0.6, risk: 0.4 },
-  anchor: { aggression: 0.35, risk: 0.2 }, // Tuned: Slower accumulation
-  finisher: { aggression: 0.9, risk: 0.65 },
-  allrounder: { aggression: 0.55, risk: 0.4 },
-  bowler: { aggression: 0.2, risk: 0.7 },
-};
-
-function getBatterProfile(roleKey) {
-  const r = (roleKey || "").toLowerCase();
-  if (r.includes("finisher")) return BATTER_PROFILE.finisher;
-  if (r.includes("opener")) return BATTER_PROFILE.opener;
-  if (r.includes("all")) return BATTER_PROFILE.allrounder;
-  if (r.includes("bowl") || r.includes("spin") || r.includes("fast"))
-    return BATTER_PROFILE.bowler;
-  return BATTER_PROFILE.anchor;
-}
+// --- LIVE MATCH VIEWER ---
+const LIVE_BALL_MS = 1500; // delay between balls at 1x
+const LIVE_BREAK_MS = 4000; // innings breaks, rain & Super Overs
+const LIVE_SPEEDS = [1, 2, 4, 8];
 
-function getPhase(over) {
-  if (over <= 6) return "powerplay";
-  if (over <= 15) return "middle";
-  return "death";
+// Everything a late joiner needs to catch up
+function getLiveMatchState(r) {
+  const live = r.liveMatch;
+  return {
+    match: live.match,
+    frames: live.frames.slice(0, live.index),
+    total: live.frames.length,
+    speed: live.speed,
+    paused: live.paused,
+    finished: live.finished,
+  };
 }
 
-
-
-function getBowlerType(roleKey) {
-  const r = (roleKey || "").toLowerCase();
-  if (r.includes("spin")) return "spin";
-  if (r.includes("fast") || r.includes("pace")) return "pace";
-  if (r.includes("fast") || r.includes("pace")) return "pace";
-  return "medium";
+function startLiveMatch(roomId, r, match) {
+  if (r.liveMatch) clearTimeout(r.liveMatch.timeout);
+  const { details, ...summary } = match; // frames carry the ball-by-ball part
+  r.liveMatch = {
+    match: summary,
+    frames: buildMatchFeed(match),
+    index: 0,
+    speed: 1,
+    paused: false,
+    finished: false,
+    timeout: null,
+  };
+  io.to(roomId).emit("live_match_started", getLiveMatchState(r));
+  scheduleLiveBall(roomId, r);
 }
 
-// 🏟️ PITCH TYPES (Fixed Definition)
-const PITCH_TYPES = {
-  BATTING: {
-    name: "Batting Friendly",
-    runBoost: 1,
-    luckShift: -1   // fewer wickets
-  },
-  BOWLING: {
-    name: "Bowling Friendly",
-    runBoost: -1,
-    luckShift: 1    // more wickets
-  },
-  COMMON: {
-    name: "Balanced",
-    runBoost: 0,
-    luckShift: 0
-  }
-};
-
-// --- NEW REALISTIC ENGINE ---
-// --- FINAL BALL ENGINE (WITH PITCH INFLUENCE) ---
-function simulateBall(batsman, bowler, phase = "middle", pitch = PITCH_TYPES.COMMON, luckModifier = 0) {
-  let luck = Math.floor(Math.random() * 10) + 1;
-
-  luck += luckModifier; // Applied from context
-
-  // Pitch influence
-  luck += pitch.luckShift;
-
-  // Bowler skill bias (Skill modifiers to luck)
-  if ((bowler.bowl || 50) > 85) luck += 2;
-  else if ((bowler.bowl || 50) > 75) luck += 1;
-
-  // Phase effect
-  if (phase === "death") luck += 1;
-  if (phase === "powerplay") luck -= 1;
-  
-  // Bowler pressure (Additional small nudge based on raw skill vs random)
-  const bowlBoost = (bowler.bowl || 50) / 100;
-  luck += Math.random() < bowlBoost ? 1 : 0;
-
-  // Clamp luck to ensure valid range 1-10+ (Logic handles >9 anyway, but let's keep it sane if needed, though high luck = OUT)
-  // Actually, don't clamp high, as high = Wicket. Clamp low to 1.
-  // Clamp luck
-  luck = Math.max(1, luck);
-
-  let result = resolveBall(luck, batsman, pitch);
-
-  // ERROR 3 FIX: Buff Bowler Impact (Reduce runs)
-  if ((bowler.bowl || 50) > 85 && result.legal && !result.wicket) {
-      result.runs = Math.max(0, result.runs - 1);
-      // Update commentary if needed, or simplistic
-  }
-
-  return result;
+function scheduleLiveBall(roomId, r) {
+  const live = r.liveMatch;
+  clearTimeout(live.timeout);
+  if (live.paused || live.finished) return;
+
+  const next = live.frames[live.index];
+  const delay = (next && next.kind === "break" ? LIVE_BREAK_MS : LIVE_BALL_MS) / live.speed;
+  live.timeout = setTimeout(() => {
+    if (r.liveMatch !== live) return;
+    io.to(roomId).emit("live_ball", live.frames[live.index++]);
+    if (live.index >= live.frames.length) finishLiveMatch(roomId, r, false);
+    else scheduleLiveBall(roomId, r);
+  }, delay);
 }
 
-function resolveBall(luck, batsman, pitch) {
-  const batBoost = (batsman.bat || 50) / 100;
-  let event = {
-    runs: 0,
-    wicket: false,
-    extra: null,
-    legal: true,
-    commentary: ""
-  };
-
-  // 1. WICKET (High Luck)
-  if (luck >= 9) {
-    event.wicket = true;
-    event.commentary = "OUT! Cleaned him up!";
-    return event;
-  }
-
-  // 2. BOUNDARY (Medium-High Luck)
-  else if (luck >= 7) {
-    event.runs = Math.random() < batBoost ? 6 : 4;
-    event.commentary = event.runs === 6 ? "Maximum!" : "Four runs!";
-  }
-  else if (luck >= 5) {
-    event.runs = Math.random() < 0.5 ? 4 : 6;
-    event.commentary = "Boundary!";
-  }
-  
-  // 3. RUNS (Medium Luck)
-  else if (luck === 4) {
-    event.runs = Math.random() < 0.5 ? 2 : 3;
-    event.commentary = "Good running.";
-  }
-  else if (luck === 3) {
-    event.runs = 1;
-    event.commentary = "Single taken.";
-  }
-  
-  // 4. DOT / EXTRA (Low Luck)
-  else if (luck === 2) {
-    event.runs = 0;
-    event.commentary = "Dot ball.";
-  }
-  else {
-    // luck <= 1
-    event.extra = Math.random() < 0.7 ? "WIDE" : "NO BALL";
-    if(event.extra === "NO BALL") event.legal = false; // both wide & no-ball are illegal
-    event.runs = 1;
-    event.legal = false;
-    event.commentary = event.extra;
-    // Applying run boost to extras? No, distinct event.
-    return event; 
-  }
-
-  // Apply Pitch Run Boost (Only to legal runs)
-  if (event.legal && !event.wicket) {
-      // Logic from user: runs = Math.max(0, runs + pitch.runBoost);
-      // But we must handle boundaries carefully? 
-      // User said "runs = Math.max(0, runs + pitch.runBoost)".
-      // If runBoost is +1, singles become doubles? 4 becomes 5? (5 runs valid? maybe overthrown).
-      // If runBoost is -1, 4 becomes 3? 
-      // User prompt: "runs = Math.max(0, runs + pitch.runBoost);"
-      // Let's trust the "Simple & Powerful" logic.
-      const originalRuns = event.runs;
-      event.runs = Math.max(0, event.runs + pitch.runBoost);
-      
-      // Fix commentary if run count changes weirdly?
-      if (originalRuns === 4 && event.runs !== 4) event.commentary = `${event.runs} runs (cut off).`;
-      if (originalRuns === 6 && event.runs !== 6) event.commentary = `Just inside ropes! ${event.runs} runs.`;
-  }
-
-  return event;
+// skipped: the host jumped to the result, so send the frames not yet shown
+function finishLiveMatch(roomId, r, skipped) {
+  const live = r.liveMatch;
+  clearTimeout(live.timeout);
+  const remaining = live.frames.slice(live.index);
+  live.index = live.frames.length;
+  live.finished = true;
+  io.to(roomId).emit("live_match_end", { match: live.match, frames: skipped ? remaining : [], skipped });
 }
 
-function runNewLogicSimulation(teams) {
-  const allStats = {}; // Central stats tracker for Caps
-  const leagueMatches = [];
-  const playoffs = [];
-
-  // Init Stats
-  teams.forEach((t) => {
-    t.stats = {
-      played: 0,
-      won: 0,
-      lost: 0,
-      pts: 0,
-      nrr: 0,
-      runsScored: 0,
-      runsConceded: 0,
-      oversFaced: 0,
-      oversBowled: 0,
-    };
-    t.playing11.forEach((p) => {
-      allStats[p.name] = {
-        name: p.name,
-        runs: 0,
-        wkts: 0,
-        pts: 0,
-        fours: 0,
-        sixes: 0,
-      };
-    });
-  });
-
-  const getPlayerStat = (name) => {
-    if (!allStats[name])
-      allStats[name] = {
-        name: name,
-        runs: 0,
-        wkts: 0,
-        pts: 0,
-        fours: 0,
-        sixes: 0,
-      };
-    return allStats[name];
-  };
-
-  // --- INNINGS SIMULATOR ---
-  // --- INNINGS SIMULATOR (FINAL STRICT VERSION) ---
-  function simulateInnings(batTeam, bowlTeam, target = null, pitch = PITCH_TYPES.COMMON) {
-    // 1. LOCKED BATTING ORDER (User Selected)
-    // We clone playing11 below to ensure we don't mutate the global team object
-    // const battingOrder = batTeam.playing11; // Moved below to be explicitly a copy 
-    let strikerIndex = 0;
-    let nonStrikerIndex = 1;
-    let nextBatsmanIndex = 2;
-
-    // 2. Bowling Options (Filter valid bowlers)
-    const bowlers = bowlTeam.playing11.filter((p) => {
-        const r = (p.roleKey || "").toLowerCase();
-        return (r.includes("bowl") || r.includes("fast") || r.includes("spin") || r.includes("ar") || r.includes("all")) && !r.includes("wk") && !r.includes("wicketkeeper");
-    });
-    // Fallback
-    const validBowlers = bowlers.length >= 5 ? bowlers : bowlTeam.playing11.slice(5).length > 0 ? bowlTeam.playing11.slice(5) : bowlTeam.playing11.slice(0, 5); // Ensure at least someone bowls
-
-    // Initialize Cards
-    // CLONE playing11 to avoid permanent mutation, but respect order
-    const battingOrder = [...batTeam.playing11];
-    
-    // ERROR 1 & 2: Limits
-    const MAX_BALLS = 120;
-    let totalBalls = 0;
-    const bowlerOvers = {}; // Track overs per bowler
-
-    // Track Impact Usage Local to Innings
-    let impactUsed = false;
-
-    const batCard = battingOrder.map((p) => ({
-      name: p.name,
-      runs: 0, 
-      balls: 0, 
-      fours: 0, 
-      sixes: 0, 
-      status: "dnb"
-    }));
-    
-    // Set Openers
-    if(batCard[strikerIndex]) batCard[strikerIndex].status = "not out";
-    if(batCard[nonStrikerIndex]) batCard[nonStrikerIndex].status = "not out";
-
-    const bowlCardMap = {}; 
-    let score = 0;
-    let wickets = 0;
-    let ballLog = [];
-    let isFreeHit = false;
-
-    // --- OVER LOOP ---
-    for (let over = 0; over < 20; over++) {
-       if (wickets >= 10 || (target && score > target)) break;
-       // ERROR 1: Safety break
-       if (totalBalls >= MAX_BALLS) break;
-
-       // Select Bowler (ERROR 2: 4-Over Limit)
-       let bowlerObj = null;
-       let attempts = 0;
-       while(!bowlerObj && attempts < 10) {
-           const candidate = validBowlers[(over + attempts) % validBowlers.length];
-           if (!bowlerOvers[candidate.name]) bowlerOvers[candidate.name] = 0;
-           
-           if (bowlerOvers[candidate.name] < 4) {
-               bowlerObj = candidate;
-           } else {
-               attempts++;
-           }
-       }
-       // Fallback if everyone bowled out (rare)
-       if (!bowlerObj) bowlerObj = validBowlers[over % validBowlers.length];
-
-       // Increment Over Count
-       if (!bowlerOvers[bowlerObj.name]) bowlerOvers[bowlerObj.name] = 0;
-       bowlerOvers[bowlerObj.name]++;
-       
-       if (!bowlCardMap[bowlerObj.name]) {
-           bowlCardMap[bowlerObj.name] = { name: bowlerObj.name, runs: 0, wkts: 0, balls: 0, economy: 0 };
-       }
-       const bowlerStats = bowlCardMap[bowlerObj.name];
-
-       // Phase Logic
-       let phase = "middle";
-       if (over < 6) phase = "powerplay";
-       if (over >= 15) phase = "death";
-
-       let balls = 0;
-       
-       // --- BALL LOOP (ERROR 1 FIX: Check totalBalls) ---
-       while (balls < 6 && totalBalls < MAX_BALLS) {
-           if (wickets >= 10 || (target && score > target)) break;
-
-           const striker = battingOrder[strikerIndex];
-           if(!striker) break; // Should not happen if logic matches
-           const strikerStats = batCard[strikerIndex];
-
-           // AGGRESSION BIAS
-           const wicketTakerBias = (bowlerObj.bowl > 85) ? 2 : (bowlerObj.bowl > 75 ? 1 : 0);
-           
-           // ERROR 4 & 7: Chase Pressure & Soft Cap
-           // Pass context via luck modification or arguments? modifying simulateBall is hard signature change.
-           // We'll modify the input phase or handle it via a wrapper?
-           // Easiest: modify 'pitch' temporarily? No.
-           // Better: Add logic here to modify luck before simulateBall? simulateBall calcs luck internally.
-           // We can't easily inject without changing simulateBall signature.
-           // Wait, simulateBall consumes 'phase'. We can hijack 'phase' or just accept simulateBall logic is strictly luck-based
-           // and we modifier luck *inside* simulateBall? But simulateBall is outside this scope.
-           
-           // Let's modify simulateBall signature? excessive.
-           // FIX: Modify simulateBall to accept 'pressureLuck'.
-           // NO, user provided logic: "if (rrr > 10) luck += 1".
-           // This implies access to luck variable.
-           // Implementation: Logic must be INSIDE simulateBall or passed to it.
-           // I will simply modify simulateBall to take an optional 'luckModifier' argument.
-           
-           let luckModifier = 0;
-           // Chase Pressure
-           if (target) {
-              const ballsLeft = MAX_BALLS - totalBalls;
-              const runsLeft = target - score;
-              if (ballsLeft > 0) {
-                  const rrr = runsLeft / (ballsLeft / 6);
-                  if (rrr > 10) luckModifier += 1;
-                  if (rrr > 12) luckModifier += 2;
-              }
-           }
-           // Soft Cap
-           if (score > 260) luckModifier += 2; // Collapse likely
-
-           // We need to pass this to simulateBall. 
-           // I'll update simulateBall to accept 5th arg, OR just add to phase string? hacky.
-           // I will update simulateBall definition in next step or use a global? No.
-           // For now, let's assume I update simulateBall separately or below.
-           
-           // Actually, I can wrap the result. If luckModifier > 0, we can re-roll? No.
-           // I will update simulateBall signature in a separate chunk.
-
-           const result = simulateBall(striker, bowlerObj, phase, pitch, luckModifier);
-           
-           // FREE HIT LOGIC FIX: Wicket does not count on Free Hit
-           if (result.wicket && isFreeHit) {
-               result.wicket = false;
-               result.commentary = "Not Out (Free Hit)";
-           }
-
-           // Log Event
-           ballLog.push({
-             over: `${over}.${balls + 1}`,
-             batsman: striker.name,
-             bowler: bowlerObj.name,
-             runs: result.runs,
-             extra: result.extra,
-             wicket: result.wicket
-           });
-
-           score += result.runs;
-           bowlerStats.runs += result.runs;
-
-           // Legality
-           if (result.legal) {
-               balls++;
-               totalBalls++; // ERROR 1 FIX
-               strikerStats.balls++;
-               bowlerStats.balls++;
-               if (isFreeHit) isFreeHit = false;
-           } else {
-               if (result.extra === "NO BALL") isFreeHit = true;
-               // Wides/Noballs don't increment balls faced/bowled usually, but run counts.
-           }
-
-           // Batting Stats (Only runs off bat)
-           if (result.legal || result.extra === "NO BALL") {
-               if (!result.extra) {
-                   strikerStats.runs += result.runs;
-                   if (result.runs === 4) { strikerStats.fours++; getPlayerStat(striker.name).fours++; }
-                   if (result.runs === 6) { strikerStats.sixes++; getPlayerStat(striker.name).sixes++; }
-                   getPlayerStat(striker.name).runs += result.runs;
-                   getPlayerStat(striker.name).pts += result.runs;
-               }
-           }
-           
-           // WICKET
-           if (result.wicket) {
-                wickets++;
-                strikerStats.status = "out";
-                bowlerStats.wkts++;
-                getPlayerStat(bowlerObj.name).wkts++;
-                getPlayerStat(bowlerObj.name).pts += 25;
-                
-                if (nextBatsmanIndex < battingOrder.length) {
-                    strikerIndex = nextBatsmanIndex++;
-                    if(batCard[strikerIndex]) batCard[strikerIndex].status = "not out";
-                } else {
-                    strikerIndex = -1; // All out mostly
-                }
-           } 
-           // RUNS RUNNING (Strike Rotate)
-           else {
-               if (result.runs % 2 === 1) {
-                   if (nonStrikerIndex !== -1 && strikerIndex !== -1) {
-                       [strikerIndex, nonStrikerIndex] = [nonStrikerIndex, strikerIndex];
-                   }
-               }
-           }
-       } // balls loop
-       
-       // End Over Swap
-       if (nonStrikerIndex !== -1 && strikerIndex !== -1) {
-           [strikerIndex, nonStrikerIndex] = [nonStrikerIndex, strikerIndex];
-       }
-       
-       // --- IMPACT PLAYER LOGIC (ERROR 5 FIX) ---
-       // Replaces only if wickets >= 5
-       if (!impactUsed && batTeam.impact && wickets >= 5 && batCard[10].status === "dnb") {
-            const impactPlayer = batTeam.impact;
-            battingOrder[10] = impactPlayer; 
-            batCard[10].name = impactPlayer.name;
-            batCard[10].runs = 0; 
-            batCard[10].balls = 0;
-            batCard[10].status = "not out";
-            impactUsed = true;
-       }
-
-    } // over loop
-
-    // Calculate Actual Balls Bowled for Stats
-    const totalLegalBalls = bowlCardMap && Object.values(bowlCardMap).reduce((acc, b) => acc + b.balls, 0);
-
-    // Format Bowling Card
-    const bowlCard = Object.values(bowlCardMap);
-    bowlCard.forEach((b) => {
-      b.oversDisplay = `${Math.floor(b.balls / 6)}.${b.balls % 6}`;
-      b.economy = b.balls > 0 ? (b.runs / (b.balls / 6)).toFixed(1) : "0.0";
-    });
-
-    return {
-      score,
-      wickets,
-      balls: totalLegalBalls || 0, 
-      bat: batCard,
-      bowl: bowlCard,
-      team: batTeam.name,
-      ballLog
-    };
-  }
-
-  function playMatch(t1, t2, type) {
-    // Determine Pitch Condition: 33% Each (Bat/Bowl/Common)
-    const r = Math.random();
-    let pitch = PITCH_TYPES.COMMON;
-    if (r < 0.33) pitch = PITCH_TYPES.BATTING;
-    else if (r < 0.66) pitch = PITCH_TYPES.BOWLING;
-    
-    const i1 = simulateInnings(t1, t2, null, pitch);
-    const i2 = simulateInnings(t2, t1, i1.score + 1, pitch);
-
-    let winnerName = i2.score > i1.score ? t2.name : t1.name;
-    if (i1.score === i2.score) winnerName = t1.name; // Simple tie-break
-
-    const margin =
-      i2.score > i1.score
-        ? `${10 - i2.wickets} wkts`
-        : `${i1.score - i2.score} runs`;
-
-    // Stats Update for Table
-    if (type === "League") {
-      const winner = [t1, t2].find((t) => t.name === winnerName);
-      const loser = [t1, t2].find((t) => t.name !== winnerName);
-
-      winner.stats.played++;
-      winner.stats.won++;
-      winner.stats.pts += 2;
-
-      loser.stats.played++;
-      loser.stats.lost++;
-
-      // NRR Calc helpers
-      winner.stats.runsScored += winner === t1 ? i1.score : i2.score;
-      winner.stats.runsConceded += winner === t1 ? i2.score : i1.score;
-      winner.stats.oversFaced += winner === t1 ? 20 : i2.balls / 6;
-      winner.stats.oversBowled += winner === t1 ? i2.balls / 6 : 20;
-
-      loser.stats.runsScored += loser === t1 ? i1.score : i2.score;
-      loser.stats.runsConceded += loser === t1 ? i2.score : i1.score;
-      loser.stats.oversFaced += loser === t1 ? 20 : i2.balls / 6;
-      loser.stats.oversBowled += loser === t1 ? i2.balls / 6 : 20;
-    }
-
-    // Helper for Top Performer
-    const bestBat = [...i1.bat, ...i2.bat].sort((a, b) => b.runs - a.runs)[0];
-    const bestBowl = [...i1.bowl, ...i2.bowl].sort(
-      (a, b) => b.wkts - a.wkts
-    )[0];
-
-    return {
-      t1: t1.name,
-      t2: t2.name,
-      score1: `${i1.score}/${i1.wickets}`,
-      score2: `${i2.score}/${i2.wickets}`,
-      winnerName,
-      margin,
-      type,
-      topScorer: bestBat,
-      bestBowler: {
-        name: bestBowl?.name || "-",
-        figures: `${bestBowl?.wkts || 0} wkts`,
-      },
-      details: { i1, i2 },
-    };
-  }
-
-  // --- LEAGUE GENERATION (Double Round Robin) ---
-  // 2 Matches against every team (Home and Away)
-  for (let i = 0; i < teams.length; i++) {
-    for (let j = i + 1; j < teams.length; j++) {
-        // Match 1: i vs j
-        leagueMatches.push(playMatch(teams[i], teams[j], "League"));
-        // Match 2: j vs i
-        leagueMatches.push(playMatch(teams[j], teams[i], "League"));
-    }
-  }
-
-  // Calculate NRR and Sort
-  teams.forEach((t) => {
-    t.stats.nrr =
-      t.stats.runsScored / t.stats.oversFaced -
-        t.stats.runsConceded / t.stats.oversBowled || 0;
-  });
-  teams.sort((a, b) => b.stats.pts - a.stats.pts || b.stats.nrr - a.stats.nrr);
-
-  // --- PLAYOFFS ---
-  // Top 4 play playoffs, else Top 2 play final
-  let champion = teams[0].name;
-  let runner = teams[1] ? teams[1].name : "";
-
-  if (teams.length >= 4) {
-    const q1 = playMatch(teams[0], teams[1], "Qualifier 1");
-    const elim = playMatch(teams[2], teams[3], "Eliminator");
-
-    const loserQ1 = q1.winnerName === teams[0].name ? teams[1] : teams[0];
-    const winnerElim = elim.winnerName === teams[2].name ? teams[2] : teams[3];
-
-    const q2 = playMatch(loserQ1, winnerElim, "Qualifier 2");
-
-    const finalist1 = teams.find((t) => t.name === q1.winnerName);
-    const finalist2 = teams.find((t) => t.name === q2.winnerName);
-
-    const final = playMatch(finalist1, finalist2, "FINAL");
-    playoffs.push(q1, elim, q2, final);
-    champion = final.winnerName;
-    runner =
-      final.winnerName === finalist1.name ? finalist2.name : finalist1.name;
-  } else if (teams.length >= 2) {
-    const final = playMatch(teams[0], teams[1], "FINAL");
-    playoffs.push(final);
-    champion = final.winnerName;
-  }
-
-  const statsArr = Object.values(allStats);
-
-  // ERROR 6 FIX: Align Data Shape for Frontend (clean fix)
-  teams.forEach(t => {
-      t.p = t.stats.played;
-      t.w = t.stats.won;
-      t.l = t.stats.lost;
-      t.pts = t.stats.pts;
-  });
-
-  return {
-    winner: champion,
-    runnerUp: runner,
-    standings: teams,
-    leagueMatches,
-    playoffs,
-    allTeamsData: teams,
-    orangeCap: statsArr.sort((a, b) => b.runs - a.runs)[0],
-    purpleCap: statsArr.sort((a, b) => b.wkts - a.wkts)[0],
-    mvp: statsArr.sort((a, b) => b.pts - a.pts)[0],
-  };
+function closeLiveMatch(roomId, r) {
+  clearTimeout(r.liveMatch.timeout);
+  r.liveMatch = null;
+  io.to(roomId).emit("live_match_closed");
 }
 
+restoreRooms();
 server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Write pending room saves before exiting
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.on(signal, () => saves.flush().then(() => process.exit(0)))
+);
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// =================================================================
+// 🏏 SIMULATION CLI
+// =================================================================
+// Runs the match engine on a squad file, no server or auction needed.
+//   node simulate.js squads.json                 one season, full scorecards
+//   node simulate.js squads.json --seed 42       replay a season
+//   node simulate.js squads.json --seasons 500   projection per team (projection.js)
+//   node simulate.js squads.json --rain 0        dry season (2 = twice the usual rain)
+//   add --json for machine-readable output
+// Squad file format: see simulationInput.js. Batches use seed, seed+1, ...
+
+const fs = require("fs");
+const { parseSimulationInput } = require("./simulationInput");
+const { runNewLogicSimulation } = require("./engine");
+const { projectSeasons } = require("./projection");
+const { MAX_SEED, randomSeed } = require("./seededRandom");
+
+const USAGE =
+  "Usage: node simulate.js <squads.json> [--seed N] [--seasons N] [--rain N] [--json]";
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function readArgs(argv) {
+  const args = { file: null, seed: undefined, seasons: 1, rain: undefined, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") args.json = true;
+    else if (arg === "--seed") args.seed = argv[++i];
+    else if (arg === "--seasons") args.seasons = Number(argv[++i]);
+    else if (arg === "--rain") args.rain = argv[++i];
+    else if (arg === "--help" || arg === "-h") fail(USAGE);
+    else if (!args.file) args.file = arg;
+    else fail(`Unexpected argument "${arg}"\n${USAGE}`);
+  }
+  if (!args.file) fail(USAGE);
+  if (!Number.isInteger(args.seasons) || args.seasons < 1)
+    fail("--seasons must be a whole number of at least 1");
+  return args;
+}
+
+// --- OUTPUT ---
+const pad = (value, width) => String(value).padEnd(width);
+const padLeft = (value, width) => String(value).padStart(width);
+
+function printStandings(results) {
+  console.log("\nPOINTS TABLE");
+  console.log(`${pad("#", 3)}${pad("TEAM", 24)}${padLeft("P", 4)}${padLeft("W", 4)}${padLeft("L", 4)}${padLeft("NR", 4)}${padLeft("NRR", 8)}${padLeft("PTS", 5)}`);
+  results.standings.forEach((t, i) => {
+    console.log(
+      `${pad(i + 1, 3)}${pad(t.name, 24)}${padLeft(t.p, 4)}${padLeft(t.w, 4)}${padLeft(t.l, 4)}${padLeft(t.nr, 4)}${padLeft(t.stats.nrr.toFixed(3), 8)}${padLeft(t.pts, 5)}`
+    );
+  });
+}
+
+// "Pant 2 ct, 1 st · Jadeja 1 ro"
+const formatFielding = (fielding) =>
+  fielding
+    .map((f) => {
+      const credits = [[f.catches, "ct"], [f.stumpings, "st"], [f.runOuts, "ro"]]
+        .filter(([n]) => n > 0)
+        .map(([n, label]) => `${n} ${label}`);
+      return `${f.name} ${credits.join(", ")}`;
+    })
+    .join(" · ");
+
+function printInnings(innings, target) {
+  const chasing = target && target.revised ? ` - target ${target.runs} in ${target.overs} ov (DLS)` : "";
+  console.log(`  ${innings.team} ${innings.score}/${innings.wickets} (${Math.floor(innings.balls / 6)}.${innings.balls % 6} ov)${chasing}`);
+  const captaincy = (c) => `${c.name} ${c.morale >= 0 ? "+" : ""}${Math.round(c.morale * 100)}% morale (${c.swings} balls)`;
+  if (innings.captains)
+    console.log(`    captains: ${captaincy(innings.captains.bat)}, ${captaincy(innings.captains.bowl)}`);
+  innings.bat
+    .filter((b) => b.status !== "dnb")
+    .forEach((b) =>
+      console.log(`    ${pad(b.name, 26)}${pad(b.dismissal || b.status, 28)}${padLeft(b.runs, 4)} (${b.balls})  4s ${b.fours}  6s ${b.sixes}  luck +${b.luck || 0}`)
+    );
+  innings.bowl.forEach((b) =>
+    console.log(`    ${pad(b.name, 26)}${pad(b.oversDisplay + " ov", 28)}${padLeft(b.wkts, 2)}-${b.runs}  econ ${b.economy}  luck +${b.luck || 0}`)
+  );
+  if (innings.fielding && innings.fielding.length) console.log(`    fielding: ${formatFielding(innings.fielding)}`);
+}
+
+function formatResult(m) {
+  if (m.margin.startsWith("Super Over")) return `${m.winnerName} won the ${m.margin}`;
+  if (!m.winnerName) return m.margin;
+  if (m.margin.startsWith("No result")) return `${m.margin}: ${m.winnerName}`;
+  return `${m.winnerName} won by ${m.margin}`;
+}
+
+function printScorecards(results) {
+  [...results.leagueMatches, ...results.playoffs].forEach((m, i) => {
+    console.log(`\nMATCH ${i + 1} (${m.type}): ${m.t1} ${m.score1} vs ${m.t2} ${m.score2} - ${formatResult(m)}`);
+    console.log(`  ${m.venue.ground}, ${m.venue.city} (${m.venue.pitch}, dew ${Math.round(m.venue.dew * 100)}%) - ${m.toss.winner} won the toss & chose to ${m.toss.decision}`);
+    if (m.weather) console.log(`  RAIN: ${m.weather.text}`);
+    if (!m.details) return;
+    printInnings(m.details.i1);
+    printInnings(m.details.i2, m.target);
+    m.details.superOvers.forEach((so, n) => {
+      console.log(`  SUPER OVER ${n + 1}`);
+      printInnings(so.first);
+      printInnings(so.second);
+    });
+  });
+}
+
+function printSeason(results) {
+  console.log(`SEASON SEED ${results.seed}`);
+  printStandings(results);
+  console.log(`\nCHAMPION   ${results.winner}`);
+  console.log(`RUNNER UP  ${results.runnerUp}`);
+  console.log(`ORANGE CAP ${results.orangeCap.name} (${results.orangeCap.runs} runs)`);
+  console.log(`PURPLE CAP ${results.purpleCap.name} (${results.purpleCap.wkts} wkts)`);
+  console.log(`MVP        ${results.mvp.name} (${results.mvp.pts} pts)`);
+  printScorecards(results);
+}
+
+// --- BATCH ---
+function printProjection(projection) {
+  const { seasons, firstSeed } = projection;
+  console.log(`${seasons} SEASONS (seeds ${firstSeed}..${(firstSeed + seasons - 1) % (MAX_SEED + 1)})`);
+  console.log(`${pad("TEAM", 24)}${padLeft("TITLE %", 9)}${padLeft("PLAYOFF %", 11)}${padLeft("AVG PTS", 9)}${padLeft("AVG NRR", 9)}`);
+  projection.teams.forEach((t) =>
+    console.log(
+      `${pad(t.name, 24)}${padLeft(t.titlePct.toFixed(1), 9)}${padLeft(t.playoffPct.toFixed(1), 11)}${padLeft(t.avgPts.toFixed(2), 9)}${padLeft(t.avgNrr.toFixed(3), 9)}`
+    )
+  );
+}
+
+// --- MAIN ---
+const args = readArgs(process.argv.slice(2));
+
+let input;
+try {
+  input = JSON.parse(fs.readFileSync(args.file, "utf8"));
+} catch (e) {
+  fail(`Could not read ${args.file}: ${e.message}`);
+}
+if (!input || typeof input !== "object" || Array.isArray(input))
+  fail(`${args.file} must hold a JSON object like { "teams": [...] }`);
+if (args.seed !== undefined) input.seed = args.seed;
+if (args.rain !== undefined) input.rainFactor = args.rain;
+
+const { teams, seed, rainFactor, errors } = parseSimulationInput(input);
+if (errors.length) fail(errors.join("\n"));
+const firstSeed = seed === undefined ? randomSeed() : seed;
+
+if (args.seasons === 1) {
+  const results = runNewLogicSimulation(teams, { seed: firstSeed, rainFactor });
+  if (args.json) console.log(JSON.stringify(results, null, 2));
+  else printSeason(results);
+} else {
+  projectSeasons(teams, { seasons: args.seasons, seed: firstSeed, rainFactor }).then((projection) => {
+    if (args.json) console.log(JSON.stringify(projection, null, 2));
+    else printProjection(projection);
+  }).catch((e) => fail(`Projection failed: ${e.message}`));
+}
@@ -0,0 +1,149 @@
+// =================================================================
+// 🧪 STANDALONE SIMULATION INPUT (HTTP API & CLI)
+// =================================================================
+// Lets runNewLogicSimulation() run without an auction room. Shape:
+//   { seed?, rainFactor?, teams: [{ name, playing11: [11 players], impact?, captain?, bowlingPlan?, superOver? }] }
+// A player is a catalogue name ("Virat Kohli") or an object
+//   { name, role?, nationality?, bat?, bowl?, luck? }
+// Missing ratings come from getPlayerStats(), exactly as in the auction, so
+// the engine sees the same player objects a room would hand it.
+
+const { getPlayerStats, getRoleKey, getCatalogueRole } = require("./playerPool");
+const { parseSeed } = require("./seededRandom");
+const { validateBowlingPlan } = require("./bowlingPlan");
+const { validateSuperOverPicks } = require("./superOver");
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 10;
+const MAX_RAIN_FACTOR = 3; // rainFactor scales every venue's rain chance
+const XI_SIZE = 11;
+const NATIONALITIES = ["Indian", "Foreign", "Uncapped"];
+
+function readPlayer(input, label, errors) {
+  const source = typeof input === "string" ? { name: input } : input;
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    errors.push(`${label} must be a player name or object`);
+    return null;
+  }
+
+  const name = (source.name || "").toString().trim();
+  if (!name) {
+    errors.push(`${label} needs a name`);
+    return null;
+  }
+
+  let roleKey = getCatalogueRole(name) || "batter";
+  if (source.role !== undefined) {
+    roleKey = getRoleKey(source.role);
+    if (!roleKey) errors.push(`${label} (${name}) has an unknown role "${source.role}"`);
+  }
+
+  const playerType =
+    NATIONALITIES.find(
+      (n) => n.toLowerCase() === (source.nationality || "Indian").toString().toLowerCase()
+    ) || null;
+  if (!playerType)
+    errors.push(`${label} (${name}) nationality must be Indian, Foreign or Uncapped`);
+
+  const stats = getPlayerStats(name, roleKey || "batter");
+  ["bat", "bowl", "luck"].forEach((key) => {
+    if (source[key] === undefined) return;
+    if (!Number.isInteger(source[key]) || source[key] < 0 || source[key] > 100)
+      return errors.push(`${label} (${name}) ${key} must be a whole number 0-100`);
+    stats[key] = source[key];
+  });
+
+  return {
+    name,
+    category: `${playerType} ${roleKey}`,
+    roleKey,
+    playerType,
+    stats,
+  };
+}
+
+function readTeam(input, index, errors) {
+  const label = `teams[${index}]`;
+  if (!input || typeof input !== "object") {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const name = (input.name || "").toString().trim();
+  if (!name) errors.push(`${label} needs a name`);
+
+  if (!Array.isArray(input.playing11) || input.playing11.length !== XI_SIZE) {
+    errors.push(`${label}.playing11 must list exactly ${XI_SIZE} players`);
+    return null;
+  }
+  const playing11 = input.playing11
+    .map((p, i) => readPlayer(p, `${label}.playing11[${i}]`, errors))
+    .filter(Boolean);
+
+  const names = playing11.map((p) => p.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) errors.push(`${label} has ${duplicate} twice in the XI`);
+
+  const impact =
+    input.impact === undefined || input.impact === null
+      ? null
+      : readPlayer(input.impact, `${label}.impact`, errors);
+  if (impact && names.includes(impact.name))
+    errors.push(`${label} impact player ${impact.name} is already in the XI`);
+
+  const captain = input.captain === undefined ? names[0] : String(input.captain);
+  if (!names.includes(captain))
+    errors.push(`${label} captain ${captain} is not in the XI`);
+
+  const bowling = validateBowlingPlan(input.bowlingPlan, playing11);
+  bowling.errors.forEach((e) => errors.push(`${label}.bowlingPlan: ${e}`));
+  const superOver = validateSuperOverPicks(input.superOver, playing11);
+  superOver.errors.forEach((e) => errors.push(`${label}: ${e}`));
+
+  return {
+    name,
+    bidKey: name,
+    playing11,
+    impact,
+    captain,
+    bowlingPlan: bowling.plan,
+    superOver: superOver.picks,
+    roster: impact ? [...playing11, impact] : playing11,
+  };
+}
+
+// Returns { teams, seed, rainFactor, errors }. teams is only safe to use when errors is empty.
+function parseSimulationInput(input) {
+  const errors = [];
+  const source = input && typeof input === "object" ? input : {};
+
+  if (!Array.isArray(source.teams))
+    return { teams: [], seed: undefined, errors: ["teams must be an array"] };
+  if (source.teams.length < MIN_TEAMS || source.teams.length > MAX_TEAMS)
+    errors.push(`Between ${MIN_TEAMS} and ${MAX_TEAMS} teams are needed`);
+
+  const teams = source.teams
+    .map((t, i) => readTeam(t, i, errors))
+    .filter(Boolean);
+
+  const teamNames = teams.map((t) => t.name);
+  const duplicate = teamNames.find((n, i) => n && teamNames.indexOf(n) !== i);
+  if (duplicate) errors.push(`Team name ${duplicate} is used twice`);
+
+  let seed;
+  if (source.seed !== undefined && source.seed !== null && source.seed !== "") {
+    seed = parseSeed(source.seed);
+    if (seed === null) errors.push("seed must be a whole number between 0 and 4294967295");
+  }
+
+  let rainFactor;
+  if (source.rainFactor !== undefined && source.rainFactor !== null) {
+    rainFactor = Number(source.rainFactor);
+    if (!Number.isFinite(rainFactor) || rainFactor < 0 || rainFactor > MAX_RAIN_FACTOR)
+      errors.push(`rainFactor must be a number between 0 and ${MAX_RAIN_FACTOR}`);
+  }
+
+  return { teams, seed, rainFactor, errors };
+}
+
+module.exports = { parseSimulationInput };
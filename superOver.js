@@ -0,0 +1,60 @@
+// =================================================================
+// ⚡ SUPER OVER (Who bats & who bowls when a match is tied)
+// =================================================================
+// Captains may name their Super Over side with the squad:
+//   { batters: [up to 3 Playing XI names], bowler: name }
+// Anything left out is picked automatically: the best batters by rating
+// and the team's best death bowler.
+
+const { pickDeathBowler } = require("./bowlingPlan");
+const { getRating } = require("./playerPool");
+
+const SUPER_OVER_BATTERS = 3;
+
+// Returns { picks, errors }. picks is null when nothing was chosen.
+function validateSuperOverPicks(picks, playing11) {
+  const errors = [];
+  if (picks === undefined || picks === null) return { picks: null, errors };
+  if (typeof picks !== "object" || Array.isArray(picks))
+    return { picks: null, errors: ["Super Over picks must be { batters, bowler }"] };
+
+  const names = (playing11 || []).map((p) => p && p.name);
+  const batters = Array.isArray(picks.batters)
+    ? picks.batters.filter(Boolean).map((n) => String(n).trim())
+    : [];
+  const bowler = picks.bowler ? String(picks.bowler).trim() : null;
+
+  if (picks.batters !== undefined && !Array.isArray(picks.batters))
+    errors.push("Super Over batters must be a list");
+  if (batters.length > SUPER_OVER_BATTERS)
+    errors.push(`Pick at most ${SUPER_OVER_BATTERS} Super Over batters`);
+  if (new Set(batters).size !== batters.length)
+    errors.push("A Super Over batter is picked twice");
+  [...batters, ...(bowler ? [bowler] : [])].forEach((name) => {
+    if (!names.includes(name)) errors.push(`Super Over: ${name} is not in the Playing XI`);
+  });
+
+  return {
+    picks: batters.length || bowler ? { batters, bowler } : null,
+    errors,
+  };
+}
+
+// Returns { batters: [3 players], bowler: player }
+function pickSuperOverSide(team) {
+  const xi = team.playing11;
+  const picks = team.superOver || {};
+  const chosen = [...new Set(picks.batters || [])] // a name picked twice bats once
+    .map((name) => xi.find((p) => p.name === name))
+    .filter(Boolean);
+  const rest = xi
+    .filter((p) => !chosen.includes(p))
+    .sort((a, b) => getRating(b, "bat") - getRating(a, "bat"));
+
+  return {
+    batters: [...chosen, ...rest].slice(0, SUPER_OVER_BATTERS),
+    bowler: xi.find((p) => p.name === picks.bowler) || pickDeathBowler(xi),
+  };
+}
+
+module.exports = { validateSuperOverPicks, pickSuperOverSide };
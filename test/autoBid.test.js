@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateAutoBidConfig, getAutoBidLimit } = require("../autoBid");
+
+const CRORE = 10000000;
+const player = (name, roleKey, set = "Set 1") => ({ name, roleKey, set });
+
+test("limits go player > set > role", () => {
+  const { config, errors } = validateAutoBidConfig({
+    maxByPlayer: { " Virat Kohli ": 15 * CRORE },
+    maxBySet: { Marquee: 10 * CRORE },
+    maxByRole: { batter: 5 * CRORE, bowler: 4 * CRORE },
+  });
+  assert.deepStrictEqual(errors, []);
+  const team = { roster: [] };
+  assert.strictEqual(getAutoBidLimit(config, team, player("virat kohli", "batter", "Marquee")), 15 * CRORE);
+  assert.strictEqual(getAutoBidLimit(config, team, player("Rohit Sharma", "batter", "Marquee")), 10 * CRORE);
+  assert.strictEqual(getAutoBidLimit(config, team, player("Shubman Gill", "batter")), 5 * CRORE);
+  assert.strictEqual(getAutoBidLimit(config, team, player("Kuldeep Yadav", "spinner")), 4 * CRORE);
+  assert.strictEqual(getAutoBidLimit(config, team, player("Hardik Pandya", "allrounder")), 0);
+});
+
+test("a needs list stops the agent once a role is filled", () => {
+  const { config } = validateAutoBidConfig({
+    maxByPlayer: { "Jasprit Bumrah": 12 * CRORE },
+    maxByRole: { bowler: 4 * CRORE, batter: 5 * CRORE },
+    needs: { bowler: 1, batter: 0 },
+  });
+  const team = { roster: [player("Mohammed Siraj", "fast")] };
+  assert.strictEqual(getAutoBidLimit(config, { roster: [] }, player("Arshdeep Singh", "fast")), 4 * CRORE);
+  assert.strictEqual(getAutoBidLimit(config, team, player("Arshdeep Singh", "fast")), 0);
+  assert.strictEqual(getAutoBidLimit(config, team, player("Shubman Gill", "batter")), 0);
+  // Named targets are chased regardless
+  assert.strictEqual(getAutoBidLimit(config, team, player("Jasprit Bumrah", "fast")), 12 * CRORE);
+});
+
+test("bad configs are reported", () => {
+  const errorsFor = (input) => validateAutoBidConfig(input).errors;
+  assert.deepStrictEqual(errorsFor({}), ["Set at least one max price for the agent"]);
+  assert.match(errorsFor({ maxByRole: { keeper: CRORE } })[0], /maxByRole.keeper is not a role/);
+  assert.match(errorsFor({ maxBySet: { Marquee: -1 } })[0], /maxBySet.Marquee must be a positive whole number/);
+  assert.match(errorsFor({ maxByPlayer: ["Virat"] })[0], /maxByPlayer must be an object/);
+  assert.match(errorsFor({ maxByRole: { wk: CRORE }, needs: { wk: 51 } })[0], /needs.wk must be a whole number/);
+  assert.strictEqual(getAutoBidLimit(null, {}, player("A", "batter")), 0);
+});
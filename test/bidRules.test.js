@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getIncrement, getNextBid, getMaxBid, validateBid, validateBidAmount } = require("../bidRules");
+const { DEFAULT_ROOM_RULES } = require("../roomRules");
+
+const CRORE = 10000000;
+const LAKH = 100000;
+
+function makeRoom(overrides = {}) {
+  return {
+    state: { isActive: true },
+    timerPaused: false,
+    sellingInProgress: false,
+    currentPlayer: { name: "Lot", basePrice: 2 * CRORE, playerType: "Indian" },
+    currentBidder: null,
+    currentBid: 0,
+    auctionQueue: [],
+    ...overrides,
+  };
+}
+
+const makeTeam = (overrides = {}) => ({ bidKey: "T0", budget: 100 * CRORE, roster: [], ...overrides });
+const code = (room, team, amount, rules) => (validateBid(room, team, amount, rules) || {}).code;
+
+test("increments follow the slab table", () => {
+  assert.strictEqual(getIncrement(50 * LAKH), 5 * LAKH);
+  assert.strictEqual(getIncrement(1 * CRORE), 10 * LAKH);
+  assert.strictEqual(getIncrement(3 * CRORE), 20 * LAKH);
+  assert.strictEqual(getIncrement(20 * CRORE), 25 * LAKH);
+});
+
+test("the base price opens and slabs follow", () => {
+  assert.strictEqual(getNextBid(makeRoom()), 2 * CRORE);
+  assert.strictEqual(getNextBid(makeRoom({ currentBidder: "T1", currentBid: 2 * CRORE })), 2 * CRORE + 20 * LAKH);
+});
+
+test("bids below the next step are rejected", () => {
+  const room = makeRoom({ currentBidder: "T1", currentBid: 2 * CRORE });
+  assert.strictEqual(code(room, makeTeam(), 2 * CRORE), "BID_TOO_LOW");
+  assert.strictEqual(code(room, makeTeam(), NaN), "BID_TOO_LOW");
+  assert.strictEqual(code(room, makeTeam(), 2 * CRORE + 20 * LAKH), undefined);
+});
+
+test("jump bids must land on the slab ladder", () => {
+  const room = makeRoom({ currentBidder: "T1", currentBid: 2 * CRORE });
+  assert.strictEqual(code(room, makeTeam(), 3 * CRORE), undefined);
+  assert.strictEqual(code(room, makeTeam(), 3 * CRORE + 1), "OFF_SLAB_BID");
+  // crosses the 5 Cr slab boundary: 4.8 -> 5.0 -> 5.25
+  assert.strictEqual(code(room, makeTeam(), 5.25 * CRORE), undefined);
+  assert.strictEqual(code(room, makeTeam(), 5.2 * CRORE), "OFF_SLAB_BID");
+  const open = { ...DEFAULT_ROOM_RULES, allowJumpBids: true };
+  assert.strictEqual(code(room, makeTeam(), 3 * CRORE + 1, open), undefined);
+});
+
+test("huge amounts are turned away on the purse, without walking the ladder", () => {
+  const room = makeRoom({ currentBidder: "T1", currentBid: 2 * CRORE });
+  const started = Date.now();
+  assert.strictEqual(code(room, makeTeam(), 1e15), "INSUFFICIENT_PURSE");
+  assert.strictEqual(code(room, makeTeam(), 1e22), "INSUFFICIENT_PURSE");
+  assert.strictEqual(code(room, makeTeam(), Infinity), "BID_TOO_LOW");
+  assert.ok(Date.now() - started < 100);
+});
+
+test("a rich team's off-ladder jump is answered at once", () => {
+  const room = makeRoom({ currentBidder: "T1", currentBid: 2 * CRORE });
+  const started = Date.now();
+  assert.strictEqual(code(room, makeTeam({ budget: 1e15 }), 1e15 - 1), "OFF_SLAB_BID");
+  assert.ok(Date.now() - started < 100);
+});
+
+test("the max bid keeps purse back for the rest of the squad", () => {
+  const room = makeRoom({ auctionQueue: [{ basePrice: 50 * LAKH }] });
+  const team = makeTeam({ budget: 10 * CRORE });
+  const maxBid = getMaxBid(room, team);
+  assert.strictEqual(maxBid, 10 * CRORE - (DEFAULT_ROOM_RULES.minSquad - 1) * 50 * LAKH);
+  assert.strictEqual(code(room, team, 2 * CRORE), "MAX_BID_EXCEEDED");
+});
+
+test("squad size, foreign quota & turn order are enforced", () => {
+  const full = makeTeam({ roster: Array.from({ length: DEFAULT_ROOM_RULES.maxSquad }, () => ({})) });
+  assert.strictEqual(code(makeRoom(), full, 2 * CRORE), "SQUAD_FULL");
+
+  const foreignLot = makeRoom({ currentPlayer: { basePrice: 2 * CRORE, playerType: "Foreign" } });
+  const foreigners = makeTeam({ roster: Array.from({ length: DEFAULT_ROOM_RULES.maxForeign }, () => ({ playerType: "Foreign" })) });
+  assert.strictEqual(code(foreignLot, foreigners, 2 * CRORE), "FOREIGN_QUOTA_FULL");
+
+  const leading = makeRoom({ currentBidder: "T0", currentBid: 2 * CRORE });
+  assert.strictEqual(code(leading, makeTeam(), 3 * CRORE), "ALREADY_HIGHEST");
+  assert.strictEqual(code(makeRoom({ timerPaused: true }), makeTeam(), 2 * CRORE), "AUCTION_CLOSED");
+});
+
+test("an RTM raise is checked like a bid, even with the lot closed", () => {
+  const room = makeRoom({ sellingInProgress: true, currentBidder: "T0", currentBid: 2 * CRORE });
+  const nextBid = 2 * CRORE + getIncrement(2 * CRORE);
+  const raise = (team, amount) => (validateBidAmount(room, team, amount, nextBid) || {}).code;
+  assert.strictEqual(raise(makeTeam(), 2 * CRORE + 1), "BID_TOO_LOW");
+  assert.strictEqual(raise(makeTeam(), 3 * CRORE + 1), "OFF_SLAB_BID");
+  assert.strictEqual(raise(makeTeam({ budget: 5 * CRORE }), 4.8 * CRORE), "MAX_BID_EXCEEDED");
+  assert.strictEqual(raise(makeTeam(), 3 * CRORE), undefined);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateBowlingPlan, createBowlingPlanner } = require("../bowlingPlan");
+
+// Keeper, four batters, two all-rounders and four bowlers
+const XI = [
+  { name: "Keeper", roleKey: "wk", stats: { bat: 70, bowl: 10 } },
+  ...["Bat 1", "Bat 2", "Bat 3", "Bat 4"].map((name) => ({ name, roleKey: "batter", stats: { bat: 75, bowl: 30 } })),
+  { name: "AR 1", roleKey: "allrounder", stats: { bat: 65, bowl: 65 } },
+  { name: "AR 2", roleKey: "allrounder", stats: { bat: 60, bowl: 60 } },
+  { name: "Pace 1", roleKey: "fast", stats: { bat: 20, bowl: 90 } },
+  { name: "Pace 2", roleKey: "fast", stats: { bat: 20, bowl: 80 } },
+  { name: "Spin 1", roleKey: "spinner", stats: { bat: 25, bowl: 85 } },
+  { name: "Spin 2", roleKey: "spinner", stats: { bat: 25, bowl: 75 } },
+];
+
+function bowlInnings(team, overs = 20) {
+  const nextBowler = createBowlingPlanner(team);
+  return Array.from({ length: overs }, (_, over) => nextBowler(over, overs).name);
+}
+
+function assertLaws(spell, cap) {
+  spell.forEach((name, i) => assert.notStrictEqual(name, spell[i - 1], `over ${i + 1}`));
+  const counts = {};
+  spell.forEach((name) => (counts[name] = (counts[name] || 0) + 1));
+  Object.entries(counts).forEach(([name, count]) => assert.ok(count <= cap, `${name} bowled ${count}`));
+  assert.ok(!spell.includes("Keeper"));
+}
+
+test("the auto plan never bowls anyone twice in a row or past 4 overs", () => {
+  const spell = bowlInnings({ playing11: XI });
+  assertLaws(spell, 4);
+  assert.ok(["Pace 1", "Pace 2"].includes(spell[0]));
+  assertLaws(bowlInnings({ playing11: XI }, 7), 2); // rain-shortened: 2 overs each
+});
+
+test("a plan is followed until it would break the laws", () => {
+  const plan = Array(20).fill(null);
+  [0, 2, 4, 6, 8].forEach((over) => (plan[over] = "Spin 2")); // a fifth over
+  plan[1] = "Spin 2"; // and a second in a row
+  const spell = bowlInnings({ playing11: XI, bowlingPlan: plan });
+  assertLaws(spell, 4);
+  assert.deepStrictEqual([0, 2, 4, 6].map((over) => spell[over]), Array(4).fill("Spin 2"));
+  assert.notStrictEqual(spell[1], "Spin 2");
+  assert.notStrictEqual(spell[8], "Spin 2");
+});
+
+test("planned consecutive overs & a fifth over are rejected", () => {
+  const { errors } = validateBowlingPlan(["Pace 1", "Pace 1", null, "Pace 1", null, "Pace 1", null, "Pace 1", "Nobody"], XI);
+  assert.deepStrictEqual(errors, [
+    "Over 2: Pace 1 can't bowl consecutive overs",
+    "Over 9: Nobody is not in the Playing XI",
+    "Pace 1 is planned for 5 overs (max 4)",
+  ]);
+  assert.strictEqual(validateBowlingPlan(Array(20).fill(""), XI).plan, null);
+  assert.deepStrictEqual(validateBowlingPlan(Array(21).fill(null), XI).errors, ["Bowling plan must list up to 20 overs"]);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseSimulationInput } = require("../simulationInput");
+const { runNewLogicSimulation, getRating } = require("../engine");
+const SQUADS = require("./fixtures/catalogue-squads.json"); // four catalogue XIs
+
+// Eleven identical players; only bat & bowl differ between the sides
+function ratedTeam(name, rating) {
+  return {
+    name,
+    captain: `${name} 1`,
+    playing11: Array.from({ length: 11 }, (_, i) => ({
+      name: `${name} ${i + 1}`,
+      role: i === 0 ? "keeper" : i < 5 ? "batter" : i < 7 ? "allrounder" : "bowler",
+      bat: rating,
+      bowl: rating,
+      luck: 50,
+    })),
+  };
+}
+
+function winShare(strong, weak, seasons = 50) {
+  const { teams, errors } = parseSimulationInput({ teams: [ratedTeam("Strong", strong), ratedTeam("Weak", weak)] });
+  assert.deepStrictEqual(errors, []);
+  let wins = 0;
+  let played = 0;
+  for (let seed = 0; seed < seasons; seed++) {
+    const results = runNewLogicSimulation(JSON.parse(JSON.stringify(teams)), { seed, rainFactor: 0 });
+    results.leagueMatches.forEach((m) => {
+      played++;
+      if (m.winnerName === "Strong") wins++;
+    });
+  }
+  return wins / played;
+}
+
+test("ratings come from p.stats, and 0 is a rating", () => {
+  assert.strictEqual(getRating({ stats: { bat: 70 }, bat: 30 }, "bat"), 70);
+  assert.strictEqual(getRating({ bowl: 40 }, "bowl"), 40);
+  assert.strictEqual(getRating({ stats: { bowl: 0 } }, "bowl"), 0);
+  assert.strictEqual(getRating({ stats: {} }, "luck"), 50);
+});
+
+test("bat & bowl ratings decide matches", () => {
+  assert.ok(winShare(70, 50) > 0.75);
+  assert.ok(winShare(90, 10) > 0.95);
+});
+
+test("evenly rated sides are a coin toss", () => {
+  const share = winShare(60, 60, 100);
+  assert.ok(share > 0.35 && share < 0.65, `share ${share}`);
+});
+
+test("a chase stopped level on the DLS par goes to a Super Over", () => {
+  const { teams } = parseSimulationInput({ teams: [ratedTeam("Home", 60), ratedTeam("Away", 60)] });
+  const parTies = [];
+  // Par ties are rare: play seasons until one turns up
+  for (let seed = 0; seed < 3000 && parTies.length === 0; seed++) {
+    const results = runNewLogicSimulation(JSON.parse(JSON.stringify(teams)), { seed, rainFactor: 3 });
+    [...results.leagueMatches, ...results.playoffs].forEach((m) => {
+      assert.ok(!m.margin.startsWith("Tied"), m.margin);
+      if (m.margin === "Super Over (DLS)") parTies.push(m);
+    });
+  }
+  assert.ok(parTies.length > 0);
+  parTies.forEach((m) => {
+    assert.ok(m.winnerName);
+    assert.ok(m.details.superOvers.length > 0);
+  });
+});
+
+test("catalogue XIs post T20 totals", () => {
+  const { teams } = parseSimulationInput(SQUADS);
+  const totals = [];
+  let innings = 0;
+  let allOut = 0;
+  for (let seed = 0; seed < 20; seed++) {
+    const results = runNewLogicSimulation(JSON.parse(JSON.stringify(teams)), { seed, rainFactor: 0 });
+    [...results.leagueMatches, ...results.playoffs].forEach((m) => {
+      totals.push(m.details.i1.score);
+      [m.details.i1, m.details.i2].forEach((i) => {
+        innings++;
+        if (i.wickets >= 10) allOut++;
+      });
+    });
+  }
+  totals.sort((a, b) => a - b);
+  const median = totals[Math.floor(totals.length / 2)];
+  const p90 = totals[Math.floor(totals.length * 0.9)];
+  assert.ok(median >= 130 && median <= 190, `median ${median}`);
+  assert.ok(p90 < 240, `p90 ${p90}`);
+  assert.ok(totals[totals.length - 1] < 300, `max ${totals[totals.length - 1]}`);
+  assert.ok(allOut / innings < 0.3, `all out ${allOut}/${innings}`);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { COLUMNS, buildAuctionReport, toCsv } = require("../exporter");
+
+const room = {
+  teams: [
+    {
+      name: "CSK",
+      budget: 900000000,
+      totalSpent: 100000000,
+      rtmsUsed: 1,
+      roster: [
+        { name: "Dhoni", roleKey: "wk", playerType: "Indian", set: "Marquee", status: "SOLD", basePrice: 20000000, price: 100000000 },
+      ],
+    },
+    { name: "MI", budget: 1000000000, roster: [] },
+  ],
+  auctionQueue: [
+    { name: "Unsold Guy", roleKey: "bat", playerType: "Foreign", set: "Set 2", basePrice: 5000000, status: "UNSOLD" },
+    { name: "Requeued Guy", roleKey: "bowl", playerType: "Indian", set: "Set 2", basePrice: 5000000, status: "UNSOLD", requeued: true },
+  ],
+  bidLedger: [
+    { at: 0, lotNumber: 1, playerName: "Dhoni", teamName: "CSK", amount: 100000000, source: "manual", accepted: true },
+    { at: 1000, lotNumber: 1, playerName: "Dhoni", teamName: "MI", amount: 90000000, source: "auto", accepted: false, code: "LOW_BID" },
+  ],
+};
+
+test("the report has one row per player, team, unsold lot and bid", () => {
+  const report = buildAuctionReport(room);
+  assert.deepStrictEqual(Object.keys(report), Object.keys(COLUMNS));
+  Object.keys(COLUMNS).forEach((sheet) =>
+    report[sheet].forEach((row) => assert.deepStrictEqual(Object.keys(row), COLUMNS[sheet], sheet))
+  );
+  assert.strictEqual(report.squads.length, 1);
+  assert.strictEqual(report.squads[0]["Purchase Price"], 100000000);
+  assert.deepStrictEqual(
+    report.purses.map((p) => [p.Team, p.Players, p["Total Spent"], p["RTM Used"]]),
+    [["CSK", 1, 100000000, 1], ["MI", 0, 0, 0]]
+  );
+  assert.deepStrictEqual(report.unsold.map((p) => p.Player), ["Unsold Guy"]);
+  assert.deepStrictEqual(report.bids.map((b) => [b.Accepted, b.Reason]), [["YES", ""], ["NO", "LOW_BID"]]);
+  assert.strictEqual(report.bids[1].Time, "1970-01-01T00:00:01.000Z");
+});
+
+test("an empty sheet still has its header row", () => {
+  const report = buildAuctionReport({});
+  assert.strictEqual(toCsv(report.bids, COLUMNS.bids), COLUMNS.bids.join(","));
+});
+
+test("CSV cells are quoted and formulas are neutralised", () => {
+  const rows = [
+    { Player: 'Pace, "Ace"', Role: "=HYPERLINK(\"x\")", Type: "+1", Set: "@SUM(A1)", "Base Price": -5 },
+    { Player: "-2+3", Role: "bat", Type: "Indian", Set: "Set\n2", "Base Price": 0 },
+  ];
+  const [header, first, second] = toCsv(rows, COLUMNS.unsold).split("\r\n");
+  assert.strictEqual(header, "Player,Role,Type,Set,Base Price");
+  assert.strictEqual(first, '"Pace, ""Ace""","\'=HYPERLINK(""x"")",\'+1,\'@SUM(A1),-5');
+  assert.strictEqual(second, "'-2+3,bat,Indian,\"Set\n2\",0");
+});
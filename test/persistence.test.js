@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createRoomStore, createSaveQueue, serializeRoom, reviveRoom } = require("../persistence");
+const { DEFAULT_ROOM_RULES } = require("../roomRules");
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "rooms-"));
+
+test("the json store round-trips a room without its timers & sockets", async (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createRoomStore({ dir });
+
+  const room = {
+    teams: [{ name: "CSK", budget: 1000000000 }],
+    rules: { ...DEFAULT_ROOM_RULES, purse: 1200000000 },
+    rtm: { stage: "OFFER", rtmTeamKey: "T1", amount: 20000000 },
+    users: [{ id: "socket-1" }],
+    timerInterval: setInterval(() => {}, 1000),
+    lastResults: { leagueMatches: [] },
+  };
+  clearInterval(room.timerInterval);
+  await store.save("R 1/x", serializeRoom(room));
+  fs.writeFileSync(path.join(dir, "rooms", "broken.json"), "{ nope");
+
+  const loaded = store.loadAll();
+  assert.deepStrictEqual(Object.keys(loaded), ["R 1/x"]);
+  assert.strictEqual(loaded["R 1/x"].timerInterval, undefined);
+  assert.strictEqual(loaded["R 1/x"].lastResults, undefined);
+
+  const revived = reviveRoom(loaded["R 1/x"]);
+  assert.deepStrictEqual(revived.teams, room.teams);
+  assert.deepStrictEqual(revived.rtm, room.rtm);
+  assert.strictEqual(revived.rules.purse, 1200000000);
+  assert.deepStrictEqual(revived.users, []);
+  assert.strictEqual(revived.timerInterval, null);
+});
+
+test("an old snapshot is restored with today's defaults", () => {
+  const revived = reviveRoom({ teams: [] });
+  assert.deepStrictEqual(revived.rules, DEFAULT_ROOM_RULES);
+  assert.deepStrictEqual([revived.autoBid, revived.auditLog, revived.poolId], [{}, [], "ipl"]);
+  assert.strictEqual(revived.liveMatch, null);
+});
+
+test("saves are coalesced per room and never overlap", async () => {
+  const written = [];
+  let inFlight = 0;
+  const store = {
+    async save(roomId, json) {
+      assert.strictEqual(inFlight++, 0);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      written.push([roomId, json]);
+      inFlight--;
+    },
+  };
+  const saves = createSaveQueue(store, { delayMs: 1000 });
+  let version = 0;
+  for (let i = 0; i < 5; i++) saves.schedule("R1", () => String(++version));
+  saves.schedule("R2", () => null); // room deleted before the write
+  await saves.flush();
+  assert.deepStrictEqual(written, [["R1", "1"]]);
+
+  saves.schedule("R1", () => "later");
+  const first = saves.flush();
+  saves.schedule("R1", () => "latest");
+  await Promise.all([first, saves.flush()]);
+  assert.deepStrictEqual(written.slice(1), [["R1", "later"], ["R1", "latest"]]);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parsePlayerPool } = require("../playerPool");
+
+const HEADER = "Name,Role,Nationality,Set,Base Price,Bat,Bowl,Luck,Image";
+const csv = (...rows) => [HEADER, ...rows].join("\n");
+const messages = (result) => result.errors.map((e) => `${e.row}: ${e.message}`);
+
+test("a valid CSV becomes auction players", () => {
+  const { players, errors } = parsePlayerPool(
+    csv("Local Hero,Keeper,Uncapped,Set A,50L,70,0,60,https://img.example/hero.png", '"Pace, Ace",fast,foreign,Set B,2 Cr,,,,'),
+    false
+  );
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(players.length, 2);
+  assert.deepStrictEqual(
+    [players[0].roleKey, players[0].playerType, players[0].basePrice, players[0].stats.bowl],
+    ["wk", "Uncapped", 5000000, 0]
+  );
+  assert.strictEqual(players[1].name, "Pace, Ace");
+  assert.strictEqual(players[1].basePrice, 20000000);
+});
+
+test("JSON takes an array or { players }", () => {
+  const row = { name: "A", role: "batter", nationality: "Indian", set: "S", basePrice: 2000000 };
+  assert.deepStrictEqual(parsePlayerPool(JSON.stringify([row]), true).errors, []);
+  assert.deepStrictEqual(parsePlayerPool(JSON.stringify({ players: [row] }), true).errors, []);
+  assert.strictEqual(parsePlayerPool(JSON.stringify({ list: [row] }), true).errors[0].row, 0);
+  assert.strictEqual(parsePlayerPool("{ nope", true).errors[0].row, 0);
+});
+
+test("errors are reported per row and nothing is loaded", () => {
+  const result = parsePlayerPool(
+    csv(
+      "Fine,batter,Indian,Set,1cr,,,,",
+      ",batter,Indian,Set,1cr,,,,",
+      "Fine,batter,Indian,Set,1cr,,,,",
+      "Other,goalkeeper,Martian,,lots,101,-1,x,ftp://img"
+    ),
+    false
+  );
+  assert.strictEqual(result.players.length, 1);
+  const [missing, duplicate, bad] = messages(result);
+  assert.strictEqual(missing, "3: name is required");
+  assert.strictEqual(duplicate, '4: duplicate player "Fine"');
+  assert.match(bad, /^5: role "goalkeeper"/);
+  ["nationality", "set is required", "base price", "bat rating", "bowl rating", "luck rating", "image URL"].forEach(
+    (part) => assert.ok(bad.includes(part), part)
+  );
+});
+
+test("markup & quotes are refused in names, sets and images", () => {
+  const result = parsePlayerPool(
+    csv(
+      "<img src=x onerror=alert(1)>,batter,Indian,Set,1cr,,,,",
+      "O'Brien,batter,Indian,Set,1cr,,,,",
+      "Safe,batter,Indian,<b>Set</b>,1cr,,,,",
+      "Safe Two,batter,Indian,Set,1cr,,,,https://img.example/a.png');color:red",
+      "Safe Three,batter,Indian,Set,1cr,,,,/img/a b.png"
+    ),
+    false
+  );
+  assert.deepStrictEqual(
+    result.errors.map((e) => e.row),
+    [2, 3, 4, 5, 6]
+  );
+});
+
+test("empty files & oversized pools are rejected", () => {
+  assert.strictEqual(parsePlayerPool("", false).errors[0].message, "The file is empty");
+  assert.strictEqual(parsePlayerPool(HEADER, false).errors[0].message, "The file has no players");
+  const many = Array.from({ length: 1001 }, (_, i) => `P${i},batter,Indian,Set,1cr,,,,`);
+  assert.match(parsePlayerPool(csv(...many), false).errors[0].message, /At most 1000/);
+});
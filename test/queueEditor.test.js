@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { applyQueueEdit } = require("../queueEditor");
+
+const lot = (name, set) => ({ name, set, stats: { bat: 50 } });
+const upcoming = [lot("A1", "A"), lot("A2", "A"), lot("A3", "A"), lot("B1", "B"), lot("B2", "B"), lot("C1", "C")];
+const bench = [lot("Z1", "B")];
+const names = (result) => result.upcoming.map((p) => p.name);
+const edit = (action, extra = {}, state = {}) =>
+  applyQueueEdit({ upcoming, lock: null, bench, ...state }, { action, ...extra });
+
+test("the same seed locks the same order whatever came before", () => {
+  const first = edit("lock", { seed: 42 });
+  const reordered = edit("move", { name: "A3", toIndex: 0 });
+  const second = edit("lock", { seed: "42" }, { upcoming: reordered.upcoming });
+  assert.deepStrictEqual(names(first), names(second));
+  assert.strictEqual(first.lock.seed, 42);
+  // Shuffled within sets only
+  assert.deepStrictEqual(first.upcoming.map((p) => p.set), upcoming.map((p) => p.set));
+  assert.match(edit("lock", { seed: -1 }).error, /Seed must be/);
+});
+
+test("a locked queue refuses edits until unlocked", () => {
+  const { lock } = edit("lock", { seed: 7 });
+  assert.match(edit("insert", { name: "Z1", toIndex: 1 }, { lock }).error, /locked \(seed 7\)/);
+  assert.match(edit("next", { name: "C1" }, { lock }).error, /locked/);
+  assert.strictEqual(edit("unlock", {}, { lock }).lock, null);
+});
+
+test("inserts land at the index and copy the bench player", () => {
+  const result = edit("insert", { name: "Z1", toIndex: 1 });
+  assert.deepStrictEqual(names(result).slice(0, 3), ["A1", "Z1", "A2"]);
+  assert.notStrictEqual(result.upcoming[1].stats, bench[0].stats);
+  assert.strictEqual(names(edit("insert", { name: "Z1", toIndex: 99 })).pop(), "Z1");
+  assert.match(edit("insert", { name: "A1" }).error, /not available/);
+});
+
+test("lots & sets move, and the input is never mutated", () => {
+  const before = names({ upcoming });
+  assert.deepStrictEqual(names(edit("moveSet", { set: "C", toIndex: 0 })), ["C1", "A1", "A2", "A3", "B1", "B2"]);
+  assert.strictEqual(names(edit("next", { name: "B2" }))[0], "B2");
+  assert.deepStrictEqual(names(edit("remove", { name: "A2" })), ["A1", "A3", "B1", "B2", "C1"]);
+  assert.match(edit("shuffle").error, /Unknown queue action/);
+  assert.deepStrictEqual(names({ upcoming }), before);
+});
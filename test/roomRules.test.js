@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { DEFAULT_ROOM_RULES, validateRoomRules, checkPlayingXI, resolveSquadPicks } = require("../roomRules");
+
+test("the defaults are valid", () => {
+  const { rules, errors } = validateRoomRules();
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rules, DEFAULT_ROOM_RULES);
+});
+
+test("out-of-range & inconsistent rules are reported", () => {
+  assert.ok(validateRoomRules({ timerSeconds: 1 }).errors.length > 0);
+  assert.ok(validateRoomRules({ minSquad: 30, maxSquad: 20 }).errors.length > 0);
+  assert.ok(validateRoomRules({ incrementSlabs: [{ upTo: 100, step: 5 }] }).errors.length > 0);
+  assert.ok(validateRoomRules({ allowJumpBids: "yes" }).errors.length > 0);
+});
+
+test("unknown keys are dropped", () => {
+  const { rules } = validateRoomRules({ isAdmin: true });
+  assert.strictEqual(rules.isAdmin, undefined);
+});
+
+test("the playing XI rules", () => {
+  const xi = Array.from({ length: 11 }, (_, i) => ({
+    name: `P${i}`,
+    roleKey: i === 0 ? "wk" : "batter",
+    playerType: i < 4 ? "Foreign" : "Indian",
+  }));
+  const impact = { name: "Sub", playerType: "Indian" };
+  assert.deepStrictEqual(checkPlayingXI({ playing11: xi, impact, captain: "P1" }), []);
+
+  const fiveForeign = xi.map((p, i) => (i === 4 ? { ...p, playerType: "Foreign" } : p));
+  assert.match(checkPlayingXI({ playing11: fiveForeign, impact, captain: "P1" })[0], /foreign/i);
+
+  const noKeeper = xi.map((p) => ({ ...p, roleKey: "batter" }));
+  assert.match(checkPlayingXI({ playing11: noKeeper, impact, captain: "P1" })[0], /wicketkeeper/i);
+
+  assert.strictEqual(checkPlayingXI({ playing11: xi, impact: null, captain: "P1" }).length, 1);
+  assert.strictEqual(checkPlayingXI({ playing11: xi, impact, captain: "Nobody" }).length, 1);
+  assert.strictEqual(checkPlayingXI({ playing11: xi.slice(1), impact, captain: "P1" }).length, 2);
+});
+
+test("squad picks are swapped for the team's own roster entries", () => {
+  const roster = [
+    { name: "Keeper", roleKey: "wk", playerType: "Indian" },
+    { name: "Star", roleKey: "batter", playerType: "Foreign" },
+  ];
+  const forged = { name: "Star", roleKey: "wk", playerType: "Indian", stats: { bat: 100 } };
+  const picks = resolveSquadPicks(roster, { playing11: ["Keeper", forged], impact: null });
+  assert.deepStrictEqual(picks.errors, []);
+  assert.strictEqual(picks.playing11[1], roster[1]);
+
+  const unknown = resolveSquadPicks(roster, { playing11: ["Keeper", { name: "Never Bought" }], impact: "Star" });
+  assert.deepStrictEqual(unknown.errors, ["Never Bought is not in your squad"]);
+
+  const twice = resolveSquadPicks(roster, { playing11: ["Star", "Star"], impact: "Star" });
+  assert.strictEqual(twice.errors.length, 2);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRng, parseSeed, seededShuffle } = require("../seededRandom");
+
+test("the same seed replays the same sequence", () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const first = Array.from({ length: 5 }, a);
+  assert.deepStrictEqual(first, Array.from({ length: 5 }, b));
+  assert.notDeepStrictEqual(first, Array.from({ length: 5 }, createRng(43)));
+  first.forEach((n) => assert.ok(n >= 0 && n < 1));
+});
+
+test("seeds are parsed strictly", () => {
+  assert.strictEqual(parseSeed("42"), 42);
+  assert.strictEqual(parseSeed(0), 0);
+  assert.strictEqual(parseSeed(-1), null);
+  assert.strictEqual(parseSeed("4.5"), null);
+  assert.strictEqual(parseSeed(2 ** 32), null);
+});
+
+test("a seeded shuffle keeps every item and leaves the input alone", () => {
+  const input = [1, 2, 3, 4, 5, 6];
+  const shuffled = seededShuffle(input, createRng(7));
+  assert.deepStrictEqual(input, [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual([...shuffled].sort(), input);
+  assert.deepStrictEqual(seededShuffle(input, createRng(7)), shuffled);
+});
@@ -0,0 +1,42 @@
+// Seeded season snapshot: the same squads & seed must replay the same season.
+// After a deliberate engine change, refresh it with UPDATE_SNAPSHOTS=1 npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { parseSimulationInput } = require("../simulationInput");
+const { runNewLogicSimulation } = require("../engine");
+const SQUADS = require("./fixtures/catalogue-squads.json"); // four catalogue XIs
+
+const SNAPSHOT = path.join(__dirname, "fixtures", "season-seed-2024.json");
+
+// The parts of a season worth pinning down
+function summarise(results) {
+  return {
+    seed: results.seed,
+    winner: results.winner,
+    runnerUp: results.runnerUp,
+    standings: results.standings.map((t) => [t.name, t.pts, t.stats.nrr.toFixed(3)]),
+    matches: [...results.leagueMatches, ...results.playoffs].map((m) =>
+      [m.type, m.t1, m.score1, m.t2, m.score2, m.winnerName, m.margin].join(" | ")
+    ),
+    orangeCap: results.orangeCap.name,
+    purpleCap: results.purpleCap.name,
+  };
+}
+
+function playSeason() {
+  const { teams, seed, errors } = parseSimulationInput(SQUADS);
+  assert.deepStrictEqual(errors, []);
+  return runNewLogicSimulation(teams, { seed });
+}
+
+test("a seeded season replays exactly", () => {
+  assert.deepStrictEqual(summarise(playSeason()), summarise(playSeason()));
+});
+
+test("a seeded season matches its snapshot", () => {
+  const actual = summarise(playSeason());
+  if (process.env.UPDATE_SNAPSHOTS) fs.writeFileSync(SNAPSHOT, JSON.stringify(actual, null, 2) + "\n");
+  assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(SNAPSHOT, "utf8")));
+});
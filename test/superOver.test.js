@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateSuperOverPicks, pickSuperOverSide } = require("../superOver");
+
+const XI = ["A", "B", "C", "D", "E", "F", "G", "H", "I", "J", "K"].map((name, i) => ({
+  name,
+  roleKey: i < 6 ? "batter" : "fast",
+  stats: { bat: 90 - i * 5, bowl: 20 + i * 5 },
+}));
+
+test("Super Over picks must be distinct Playing XI names", () => {
+  assert.deepStrictEqual(validateSuperOverPicks(undefined, XI), { picks: null, errors: [] });
+  assert.deepStrictEqual(validateSuperOverPicks({ batters: [" C ", "D"], bowler: "K" }, XI), {
+    picks: { batters: ["C", "D"], bowler: "K" },
+    errors: [],
+  });
+  assert.deepStrictEqual(validateSuperOverPicks({ batters: ["C", "C"] }, XI).errors, ["A Super Over batter is picked twice"]);
+  assert.deepStrictEqual(validateSuperOverPicks({ batters: ["A", "B", "C", "D"], bowler: "Z" }, XI).errors, [
+    "Pick at most 3 Super Over batters",
+    "Super Over: Z is not in the Playing XI",
+  ]);
+  assert.deepStrictEqual(validateSuperOverPicks(["A"], XI).errors, ["Super Over picks must be { batters, bowler }"]);
+});
+
+test("picks bat first and the best batters fill the rest", () => {
+  const side = pickSuperOverSide({ playing11: XI, superOver: { batters: ["F"], bowler: "H" } });
+  assert.deepStrictEqual(side.batters.map((p) => p.name), ["F", "A", "B"]);
+  assert.strictEqual(side.bowler.name, "H");
+  assert.strictEqual(pickSuperOverSide({ playing11: XI }).bowler.name, "K");
+});
+
+test("a batter picked twice bats once", () => {
+  const side = pickSuperOverSide({ playing11: XI, superOver: { batters: ["E", "E"] } });
+  assert.deepStrictEqual(side.batters.map((p) => p.name), ["E", "A", "B"]);
+});
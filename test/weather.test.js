@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getResources, getRevisedTarget, rollWeather } = require("../weather");
+const { createRng } = require("../seededRandom");
+
+test("a full innings is 100% of the resources", () => {
+  assert.strictEqual(Math.round(getResources(20, 0)), 100);
+  assert.strictEqual(getResources(0, 0), 0);
+  assert.strictEqual(getResources(10, 10), 0);
+});
+
+test("resources shrink with fewer overs and more wickets", () => {
+  assert.ok(getResources(10, 0) < getResources(15, 0));
+  assert.ok(getResources(10, 5) < getResources(10, 2));
+});
+
+test("revised targets scale with the resources each side had", () => {
+  assert.strictEqual(getRevisedTarget(160, 100, 100), 161);
+  assert.strictEqual(getRevisedTarget(160, 100, 50), 81);
+  assert.ok(getRevisedTarget(160, 60, 80) > 161);
+});
+
+test("a dry venue never rolls weather", () => {
+  const rng = createRng(1);
+  for (let i = 0; i < 100; i++) assert.strictEqual(rollWeather({ rain: 0.5 }, 0, rng), null);
+});
@@ -0,0 +1,71 @@
+// =================================================================
+// 🏟️ VENUES (Home grounds, pitch profiles, dew & the toss)
+// =================================================================
+// Every franchise plays at its own ground. The pitch profile feeds the
+// ball engine (runBoost / luckShift, spinShift for turners) and the dew
+// factor (0-1) makes bowling second harder under lights. rain is the
+// chance a match there is hit by the weather (weather.js).
+// Renamed franchises get a balanced ground of their own.
+
+// 🏟️ PITCH TYPES (Fixed Definition)
+const PITCH_TYPES = {
+  BATTING: {
+    name: "Batting Friendly",
+    runBoost: 1,
+    luckShift: -1   // fewer wickets
+  },
+  BOWLING: {
+    name: "Bowling Friendly",
+    runBoost: -1,
+    luckShift: 1    // more wickets
+  },
+  SPIN: {
+    name: "Spin Friendly",
+    runBoost: 0,
+    luckShift: 0,
+    spinShift: 1    // turn & grip for spinners only
+  },
+  COMMON: {
+    name: "Balanced",
+    runBoost: 0,
+    luckShift: 0
+  }
+};
+
+const HOME_GROUNDS = {
+  CSK: { ground: "M. A. Chidambaram Stadium", city: "Chennai", pitch: "SPIN", dew: 0.3, rain: 0.08 },
+  MI: { ground: "Wankhede Stadium", city: "Mumbai", pitch: "BATTING", dew: 0.8, rain: 0.1 },
+  RCB: { ground: "M. Chinnaswamy Stadium", city: "Bengaluru", pitch: "BATTING", dew: 0.4, rain: 0.16 },
+  LSG: { ground: "Ekana Cricket Stadium", city: "Lucknow", pitch: "SPIN", dew: 0.5, rain: 0.08 },
+  SRH: { ground: "Rajiv Gandhi Intl. Stadium", city: "Hyderabad", pitch: "BATTING", dew: 0.5, rain: 0.1 },
+  DC: { ground: "Arun Jaitley Stadium", city: "Delhi", pitch: "COMMON", dew: 0.6, rain: 0.06 },
+  GT: { ground: "Narendra Modi Stadium", city: "Ahmedabad", pitch: "COMMON", dew: 0.5, rain: 0.05 },
+  RR: { ground: "Sawai Mansingh Stadium", city: "Jaipur", pitch: "BOWLING", dew: 0.3, rain: 0.04 },
+  KKR: { ground: "Eden Gardens", city: "Kolkata", pitch: "SPIN", dew: 0.7, rain: 0.14 },
+  PBKS: { ground: "Maharaja Yadavindra Singh Stadium", city: "Mullanpur", pitch: "BOWLING", dew: 0.6, rain: 0.08 },
+};
+
+// Above this, captains would rather chase with a wet ball to bowl at
+const HEAVY_DEW = 0.6;
+
+function getHomeVenue(team) {
+  const home = HOME_GROUNDS[team.name] || {
+    ground: `${team.name} Home Ground`,
+    city: team.name,
+    pitch: "COMMON",
+    dew: 0.5,
+    rain: 0.08,
+  };
+  return { ...home, home: team.name };
+}
+
+// Captain's call on winning the toss: "bat" or "bowl"
+function decideToss(venue) {
+  if (venue.dew >= HEAVY_DEW) return "bowl"; // chase under the dew
+  if (venue.pitch === "BOWLING") return "bowl"; // use the juice early
+  if (venue.pitch === "SPIN") return "bat"; // it only turns more later
+  if (venue.pitch === "BATTING") return "bat"; // post a big one
+  return venue.dew >= 0.5 ? "bowl" : "bat";
+}
+
+module.exports = { PITCH_TYPES, getHomeVenue, decideToss };
@@ -0,0 +1,71 @@
+// =================================================================
+// 🌧️ WEATHER (Rain, lost overs & DLS-style revised targets)
+// =================================================================
+// Each match rolls once against its venue's rain chance (times the
+// season's rainFactor). A hit match is one of:
+//   washout            abandoned without a ball bowled (no result)
+//   delayed start      N overs a side from the start
+//   first innings cut  play never resumes for the side batting first;
+//                      the chase gets the same overs & a revised target
+//   chase cut          stoppage in the chase, then either a shorter chase
+//                      with a revised target or no resumption (par score)
+// Targets use a resource table in the Duckworth-Lewis style: how much of
+// a full 20-over innings is left with u overs to go & w wickets down.
+
+const FULL_OVERS = 20;
+const MIN_OVERS_FOR_RESULT = 5; // a chase shorter than this is a no result
+const AVERAGE_SCORE = 160; // G: par score for a full 20 overs
+
+const RESOURCE_DECAY = 0.035;
+const WICKET_FACTOR = [1, 0.93, 0.84, 0.74, 0.62, 0.49, 0.36, 0.24, 0.13, 0.05];
+
+const WEATHER_EVENTS = [
+  ["washout", 0.2],
+  ["delayed start", 0.35],
+  ["first innings cut", 0.2],
+  ["chase cut", 0.25],
+];
+
+// % of a full innings' resources left with `overs` to go & `wickets` down
+function getResources(overs, wickets) {
+  if (overs <= 0 || wickets >= 10) return 0;
+  const f = WICKET_FACTOR[wickets];
+  const full = 1 - Math.exp(-RESOURCE_DECAY * FULL_OVERS);
+  return (100 * f * (1 - Math.exp((-RESOURCE_DECAY * overs) / f))) / full;
+}
+
+// Runs the chasing side needs, from the first-innings score & both sides' resources
+function getRevisedTarget(score, r1, r2) {
+  const par = r2 < r1 ? (score * r2) / r1 : score + (AVERAGE_SCORE * (r2 - r1)) / 100;
+  return Math.floor(par) + 1;
+}
+
+// Returns null (fine weather) or { type, overs?, atOver?, resumeOvers? }
+function rollWeather(venue, rainFactor, rng) {
+  if (rng() >= Math.min(1, venue.rain * rainFactor)) return null;
+
+  let roll = rng();
+  const type = (WEATHER_EVENTS.find(([, odds]) => (roll -= odds) < 0) || WEATHER_EVENTS[0])[0];
+
+  if (type === "delayed start") return { type, overs: 5 + Math.floor(rng() * 15) }; // 5-19
+  if (type === "first innings cut") return { type, atOver: 8 + Math.floor(rng() * 10) }; // 8-17
+  if (type === "chase cut") {
+    const atOver = 3 + Math.floor(rng() * 14); // 3-16
+    const resumes = rng() < 0.5;
+    return {
+      type,
+      atOver,
+      resumeOvers: resumes ? atOver + 1 + Math.floor(rng() * (FULL_OVERS - 1 - atOver)) : null,
+    };
+  }
+  return { type };
+}
+
+module.exports = {
+  FULL_OVERS,
+  AVERAGE_SCORE,
+  MIN_OVERS_FOR_RESULT,
+  getResources,
+  getRevisedTarget,
+  rollWeather,
+};